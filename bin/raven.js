@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+'use strict';
+
+// Command line counterpart of the editor: converts and validates data files with the same readers
+// and writers (data-files.js, sheet-convert.js), so a file the CLI accepts opens in the grid and
+// a file it rejects fails with the message the editor would show.
+
+const fs = require('fs');
+const path = require('path');
+const dataFiles = require('../data-files');
+const sheetConvert = require('../sheet-convert');
+const xlsxWorkbook = require('../xlsx-workbook');
+
+const USAGE = `Usage:
+  raven convert <input> <output> [options]
+  raven validate <file>... [options]
+
+Options:
+  --sheet <name>        convert only this sheet (default: all sheets, or the first one for
+                        formats that hold a single sheet)
+  --no-header           the first row is data, not column names (JSON, Markdown, HTML), or
+                        is left out (CSV, TSV, workbooks)
+  --indent <n>          JSON indentation in spaces (default: 2)
+  --wrapper <property>  property of an object whose array is the table (default: data)
+  --delimiter <char>    field delimiter of CSV input (default: detected)
+
+The output format follows the output extension: .json, .csv, .tsv, .md, .html, .xlsx, .xlsm
+or .ods. Exit status is 0 on success, 1 when a file cannot be read,
+converted or opened in the grid, and 2 for usage errors.`;
+
+// Export format (see renderExport) per output extension; workbooks are written by xlsx-workbook.js.
+const OUTPUT_FORMATS = {
+  json: 'json',
+  csv: 'csv',
+  tsv: 'tsv',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+};
+const SINGLE_SHEET_FORMATS = ['csv', 'tsv'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const args = { positional: [], header: true, indent: 2, sheet: null, wrapper: undefined, delimiter: null };
+  const value = (i, flag) => {
+    if (i >= argv.length) {
+      throw new UsageError(`${flag} needs a value.`);
+    }
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--no-header') {
+      args.header = false;
+    } else if (arg === '--sheet') {
+      args.sheet = value((i += 1), arg);
+    } else if (arg === '--wrapper') {
+      args.wrapper = value((i += 1), arg);
+    } else if (arg === '--delimiter') {
+      args.delimiter = value((i += 1), arg).replace(/^\\t$/, '\t');
+    } else if (arg === '--indent') {
+      args.indent = Number(value((i += 1), arg));
+      if (!Number.isInteger(args.indent) || args.indent < 0 || args.indent > 10) {
+        throw new UsageError('--indent takes a number of spaces from 0 to 10.');
+      }
+    } else if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg.startsWith('--')) {
+      throw new UsageError(`Unknown option ${arg}.`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+// Read a file into a grid payload the way the editor opens it. Returns { payload, errors,
+// warnings } with messages prefixed by the file name (and line:column for JSON syntax errors).
+function loadFile(file, args) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (error) {
+    return { payload: null, errors: [`${file}: The file could not be read: ${error.message}`], warnings: [] };
+  }
+  const loaded = dataFiles.readDataFile(buffer, file, { delimiter: args.delimiter });
+  if (loaded.loadError) {
+    const { line, column, message } = loaded.loadError;
+    const where = line ? `${file}:${line}:${column}` : file;
+    return { payload: null, errors: [`${where}: ${message}`], warnings: [] };
+  }
+  const payload = sheetConvert.toSheetPayloadFromContent(loaded.content, { wrapperProperty: args.wrapper });
+  const warnings = (payload.warnings || []).map((warning) => `${file}: ${warning}`);
+  if (payload.error) {
+    return { payload: null, errors: [`${file}: ${payload.error}`], warnings };
+  }
+  // Sheets built from text files get their ids from FortuneSheet in the grid; renderExport picks
+  // sheets by id.
+  payload.sheets = payload.sheets.map((sheet, idx) => ({ ...sheet, id: sheet.id ?? `sheet${idx + 1}` }));
+  return { payload, errors: [], warnings };
+}
+
+function convert(input, output, args) {
+  const extension = path.extname(output).slice(1).toLowerCase();
+  const workbookFormat = xlsxWorkbook.workbookFormat(output);
+  const format = workbookFormat ? 'xlsx' : OUTPUT_FORMATS[extension];
+  if (!format) {
+    throw new UsageError(`Cannot write .${extension} files.`);
+  }
+  if (workbookFormat && !xlsxWorkbook.WORKBOOK_FORMATS[workbookFormat].writable) {
+    throw new UsageError(`${xlsxWorkbook.WORKBOOK_FORMATS[workbookFormat].label} files cannot be written.`);
+  }
+
+  const { payload, errors, warnings } = loadFile(input, args);
+  warnings.forEach((warning) => console.error(`warning: ${warning}`));
+  if (!payload) {
+    errors.forEach((error) => console.error(error));
+    return 1;
+  }
+
+  const visible = payload.sheets.filter((sheet) => !sheet.hide);
+  let selected = visible;
+  if (args.sheet !== null) {
+    selected = payload.sheets.filter((sheet) => sheet.name === args.sheet);
+    if (!selected.length) {
+      console.error(`${input}: There is no sheet named "${args.sheet}".`);
+      return 1;
+    }
+  } else if (SINGLE_SHEET_FORMATS.includes(format)) {
+    selected = [visible.find((sheet) => sheet.status === 1) || visible[0]].filter(Boolean);
+  }
+
+  const result = sheetConvert.renderExport(
+    payload.sheets,
+    {
+      format,
+      sheetIds: selected.map((sheet) => sheet.id),
+      header: args.header,
+      title: path.basename(input),
+    },
+    {
+      typeMap: payload.typeMap || {},
+      dataKind: payload.dataKind,
+      wrapper: payload.wrapper || null,
+      source: payload.source || null,
+      nested: sheetConvert.createNestedState(payload.nestedTables),
+      schema: { columnTypes: payload.columnTypes || null, overrides: {}, primaryKey: null },
+      indent: args.indent,
+    },
+  );
+  const bytes =
+    format === 'xlsx'
+      ? xlsxWorkbook.writeWorkbook(result.xlsxSheets || [], null, workbookFormat).buffer
+      : Buffer.from(String(result.text ?? ''), 'utf8');
+  fs.writeFileSync(output, bytes);
+  return 0;
+}
+
+function validate(files, args) {
+  let status = 0;
+  files.forEach((file) => {
+    const { errors, warnings } = loadFile(file, args);
+    warnings.forEach((warning) => console.error(`warning: ${warning}`));
+    errors.forEach((error) => console.error(error));
+    if (errors.length) {
+      status = 1;
+    }
+  });
+  return status;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const [command, ...operands] = args.positional;
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command === 'convert') {
+    if (operands.length !== 2) {
+      throw new UsageError('convert takes an input and an output file.');
+    }
+    return convert(operands[0], operands[1], args);
+  }
+  if (command === 'validate') {
+    if (!operands.length) {
+      throw new UsageError('validate takes at least one file.');
+    }
+    return validate(operands, args);
+  }
+  throw new UsageError(command ? `Unknown command "${command}".` : 'Missing command.');
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  if (!(error instanceof UsageError)) {
+    throw error;
+  }
+  console.error(`raven: ${error.message}\n\n${USAGE}`);
+  process.exitCode = 2;
+}
@@ -0,0 +1,106 @@
+'use strict';
+
+// Cell matching for Find/Replace in the grid and for Search Data Files in Workspace. Both run the
+// same matcher over the same table model: { name, rows, header, columns }, where `rows` holds the
+// cell texts of every grid row, `header` says whether the first row names the columns and
+// `columns` lists { name, type } per column (`type` is the column's type hint, or null).
+
+const cellTypes = require('./cell-types');
+
+// Build a matcher for `query`. Without `regex` the query is literal text; `wholeCell` requires the
+// whole cell to match. Returns null for an empty query, and { error } for a bad pattern.
+function createMatcher({ query, regex = false, matchCase = false, wholeCell = false }) {
+  const text = String(query ?? '');
+  if (!text) {
+    return null;
+  }
+  const source = regex ? text : escapeRegExp(text);
+  try {
+    return {
+      pattern: new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi'),
+      regex: Boolean(regex),
+    };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchesCell(matcher, text) {
+  matcher.pattern.lastIndex = 0;
+  return matcher.pattern.test(text);
+}
+
+// The cell text with every match replaced. Regular expression replacements can use `$1`, `$<name>`
+// and `$&`; literal replacements are taken as typed.
+function replaceInCell(matcher, text, replacement) {
+  const value = String(replacement ?? '');
+  return text.replace(matcher.pattern, matcher.regex ? value : value.replace(/\$/g, '$$$$'));
+}
+
+// Column names and type hints of a table: names come from the header row (column letters where
+// it is blank; `key`/`value` for key/value documents), types from the column schema
+// ({ columnTypes, overrides }, see cellTypes.typeHint).
+function tableColumns(rows, keyValue, schema) {
+  const headerRow = keyValue ? ['key', 'value'] : rows[0] || [];
+  const width = keyValue ? 2 : Math.max(0, ...rows.map((row) => (row || []).length));
+  const columns = [];
+  for (let c = 0; c < width; c += 1) {
+    const header = headerRow[c] ?? '';
+    columns.push({
+      name: header || columnLetter(c),
+      type: keyValue && c === 0 ? 'string' : cellTypes.typeHint(null, schema, header),
+    });
+  }
+  return columns;
+}
+
+function columnLetter(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Matches in one table: [{ row, col, text, column }] in row order. `filter.column` keeps cells of
+// the column with that name, `filter.type` cells whose text is saved as that type (header cells
+// only match when neither is set); `inference` is the file's typeInference setting for cells of
+// untyped columns. Empty cells never match.
+function searchTable(table, matcher, filter = {}, inference = null) {
+  const results = [];
+  const filtered = Boolean(filter.column || filter.type);
+  (table.rows || []).forEach((row, r) => {
+    if (filtered && table.header && r === 0) {
+      return;
+    }
+    (row || []).forEach((text, c) => {
+      if (!text) {
+        return;
+      }
+      const column = (table.columns || [])[c] || { name: '', type: null };
+      if (filter.column && column.name !== filter.column) {
+        return;
+      }
+      if (filter.type && cellTypes.castWithType(text, column.type, inference).type !== filter.type) {
+        return;
+      }
+      if (matchesCell(matcher, text)) {
+        results.push({ row: r, col: c, text, column: column.name });
+      }
+    });
+  });
+  return results;
+}
+
+module.exports = {
+  columnLetter,
+  createMatcher,
+  matchesCell,
+  replaceInCell,
+  searchTable,
+  tableColumns,
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+// How cell text is read back as a JSON value. Shared by the grid serializer and column profile in
+// the webview and by the extension's workspace search, so all of them type cells the same way.
+// `inference` is the file's typeInference setting ({ numbers, booleans, null }); callers pass it
+// down rather than changing RULES, whose value is only the default.
+
+const jsonRules = require('./json-sheet-rules');
+const jsonFormat = require('./json-format');
+
+// Type a cell is written back as: a column type picked by the user wins, then the type the
+// value had in the file, then the column type. Null means "infer from the text".
+function typeHint(cellType, schema, header) {
+  const override = schema?.overrides?.[header];
+  if (override) {
+    return override;
+  }
+  if (cellType && cellType !== 'null') {
+    return cellType;
+  }
+  const columnType = schema?.columnTypes?.[header];
+  if (columnType && columnType !== 'mixed' && columnType !== 'null') {
+    return columnType;
+  }
+  return cellType || null;
+}
+
+// Type a cell's text is saved as under a column type hint. Text that does not fit the hint is
+// kept as a string and flagged `invalid`. Without a hint the text is typed by `inference`.
+function castWithType(raw, hint, inference) {
+  const trimmed = (raw ?? '').trim();
+  if (trimmed === '""' || trimmed === "''") {
+    return { casted: '', type: 'string' };
+  }
+  // Clearing a cell should become an empty string, not null, and should never drop keys.
+  if (trimmed === '') {
+    return { casted: '', type: 'string' };
+  }
+  if (!hint || hint === 'null') {
+    return inferType(trimmed, inference);
+  }
+  // Strings are taken as typed: "007" or "true" in a string column stay strings.
+  if (hint === 'string' || hint === 'table') {
+    return { casted: raw, type: 'string' };
+  }
+  if (/^null$/i.test(trimmed)) {
+    return { casted: null, type: 'null' };
+  }
+
+  // Text that does not fit the expected type is kept as a string and flagged as invalid.
+  const invalid = { casted: raw, type: 'string', invalid: true };
+  if (hint === 'number') {
+    return NUMBER_PATTERN.test(trimmed) ? { casted: jsonRules.parseNumberLiteral(trimmed), type: 'number' } : invalid;
+  }
+  if (hint === 'boolean') {
+    if (/^true$/i.test(trimmed)) {
+      return { casted: true, type: 'boolean' };
+    }
+    if (/^false$/i.test(trimmed)) {
+      return { casted: false, type: 'boolean' };
+    }
+    return invalid;
+  }
+  if (hint === 'array' || hint === 'object') {
+    // Arrays of primitives and empty objects are shown as JSON text; parse them back.
+    try {
+      const parsed = jsonFormat.parseJsonLossless(trimmed);
+      const parsedType = Array.isArray(parsed) ? 'array' : parsed && typeof parsed === 'object' ? 'object' : '';
+      if (parsedType === hint) {
+        return { casted: parsed, type: hint };
+      }
+    } catch {
+      // Not valid JSON any more.
+    }
+    return invalid;
+  }
+  return { casted: raw, type: 'string' };
+}
+
+// JSON number syntax (no hex, Infinity or surrounding text).
+const NUMBER_PATTERN = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+
+function inferType(raw, inference) {
+  if (raw === '' || raw === undefined) {
+    return { casted: '', type: 'string' };
+  }
+  const rules = inference || jsonRules.RULES.typeInference;
+  if (rules.booleans && /^true$/i.test(raw)) {
+    return { casted: true, type: 'boolean' };
+  }
+  if (rules.booleans && /^false$/i.test(raw)) {
+    return { casted: false, type: 'boolean' };
+  }
+  if (rules.null && /^null$/i.test(raw)) {
+    return { casted: null, type: 'null' };
+  }
+  if (rules.numbers && NUMBER_PATTERN.test(raw)) {
+    return { casted: jsonRules.parseNumberLiteral(raw), type: 'number' };
+  }
+  return { casted: raw, type: 'string' };
+}
+
+module.exports = {
+  castWithType,
+  inferType,
+  typeHint,
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+// Locked columns on the extension host: which locked columns an edit changed. Both versions of the
+// document are read straight from their parsed content (see data-files.js) into plain tables of
+// cell texts, with columns named like the grid's header row: `key` and `value` in key/value
+// documents, `key` and the field paths in object-of-objects documents.
+
+const jsonRules = require('./json-sheet-rules');
+
+// The tables of a document's content: [{ name, columns, rows }], where `rows` holds the cell texts
+// of each data row in `columns` order. Content the grid cannot show has no tables. `settings` are
+// the file's editor settings; only JSON reads `wrapperProperty`.
+function lockTables(content, settings) {
+  if (content?.dataKind === 'csv') {
+    return [matrixTable('', content.matrix, (value) => String(value ?? ''))];
+  }
+  if (content?.dataKind === 'xlsx') {
+    const sheets = Array.isArray(content.sheets) ? content.sheets : [{ name: 'Sheet1', matrix: content.matrix }];
+    return sheets.map((sheet, idx) => matrixTable(String(sheet?.name || `Sheet${idx + 1}`), sheet?.matrix, workbookCellText));
+  }
+  if (content?.dataKind === 'jsonl') {
+    const entries = Array.isArray(content.entries) ? content.entries : [];
+    return [
+      recordTable(entries.filter((entry) => Object.prototype.hasOwnProperty.call(entry, 'value')).map((entry) => entry.value)),
+    ];
+  }
+
+  const extracted = jsonRules.validateAndExtract(content, settings?.wrapperProperty);
+  if (!extracted.ok) {
+    return [];
+  }
+  if (extracted.kind === 'objectKV') {
+    const { out } = jsonRules.flattenObject(extracted.object);
+    const rows = Object.entries(out).map(([key, value]) => [key, valueText(value)]);
+    return [{ name: '', columns: ['key', 'value'], rows }];
+  }
+  if (extracted.kind === 'objectOfObjects') {
+    return [recordTable(Object.values(extracted.object), Object.keys(extracted.object))];
+  }
+  return [recordTable(extracted.data)];
+}
+
+// A sheet whose first row is the header row.
+function matrixTable(name, matrix, cellText) {
+  const [header = [], ...body] = Array.isArray(matrix) ? matrix : [];
+  return {
+    name,
+    columns: Array.from(header || [], cellText),
+    rows: body.map((row) => Array.from(row || [], cellText)),
+  };
+}
+
+function workbookCellText(value) {
+  return value && typeof value === 'object' ? String(value.m ?? value.v ?? '') : String(value ?? '');
+}
+
+// Row objects flattened into dotted field paths, the columns in first-seen order. `keys` adds the
+// `key` column of object-of-objects documents.
+function recordTable(records, keys) {
+  const columns = keys ? ['key'] : [];
+  const index = new Map(columns.map((name, c) => [name, c]));
+  const rows = records.map((record, r) => {
+    const row = keys ? [keys[r]] : [];
+    const flat = jsonRules.isPlainObject(record) ? jsonRules.flattenObject(record).out : {};
+    Object.entries(flat).forEach(([name, value]) => {
+      if (!index.has(name)) {
+        index.set(name, columns.length);
+        columns.push(name);
+      }
+      row[index.get(name)] = valueText(value);
+    });
+    return row;
+  });
+  return { name: '', columns, rows };
+}
+
+function valueText(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'string' ? value : jsonRules.stringifyLossless(value);
+}
+
+// Locked columns (by header name) an edit changed, comparing the lockTables of the content before
+// and after it. Rows can be removed and sorted, and added with their locked cells empty, but a row
+// that stays keeps its locked cells: they cannot change, be cleared or move to another row, and a
+// locked column cannot go away.
+function changedLockedColumns(beforeTables, afterTables, lockedColumns) {
+  const afterByName = new Map(afterTables.map((table) => [table.name, table]));
+  const changed = new Set();
+  beforeTables.forEach((table) => {
+    const other = afterByName.get(table.name);
+    if (!other) {
+      // Removing a whole workbook sheet is not a column edit.
+      return;
+    }
+    const locked = lockedColumns.filter((name) => table.columns.includes(name));
+    locked.filter((name) => !other.columns.includes(name)).forEach((name) => changed.add(name));
+    const kept = locked.filter((name) => other.columns.includes(name));
+    if (kept.length) {
+      changedLockedCells(table, other, kept).forEach((name) => changed.add(name));
+    }
+  });
+  return lockedColumns.filter((name) => changed.has(name));
+}
+
+// Rows are paired in two passes. Rows whose cells did not change pair up wherever they moved to,
+// which covers sorting and removing rows. The edited rows left over pair in order by their locked
+// cells; an edit cannot reorder rows, so an edited row whose locked cells found no partner had them
+// changed. A row with empty locked cells is a new row, unless its other cells are those of a row
+// that lost its partner: then its locked cells were cleared.
+function changedLockedCells(before, after, locked) {
+  const names = [...new Set([...before.columns, ...after.columns])];
+  const unlocked = names.filter((name) => !locked.includes(name));
+  const beforeCells = rowCells(before);
+  const afterCells = rowCells(after);
+  const key = (cells, columns) => JSON.stringify(columns.map(cells));
+
+  const unchanged = new Map();
+  before.rows.forEach((row, r) => {
+    const rowKey = key(beforeCells(row), names);
+    unchanged.set(rowKey, [...(unchanged.get(rowKey) || []), r]);
+  });
+  const editedBefore = new Set(before.rows.keys());
+  const editedAfter = [];
+  after.rows.forEach((row) => {
+    const matches = unchanged.get(key(afterCells(row), names));
+    if (matches?.length) {
+      editedBefore.delete(matches.shift());
+    } else {
+      editedAfter.push(row);
+    }
+  });
+
+  const byLockedCells = new Map();
+  editedBefore.forEach((r) => {
+    const lockedKey = key(beforeCells(before.rows[r]), locked);
+    byLockedCells.set(lockedKey, [...(byLockedCells.get(lockedKey) || []), r]);
+  });
+  const unpaired = [];
+  let last = -1;
+  editedAfter.forEach((row) => {
+    const candidates = byLockedCells.get(key(afterCells(row), locked)) || [];
+    const next = candidates.findIndex((r) => r > last);
+    if (next < 0) {
+      unpaired.push(row);
+      return;
+    }
+    last = candidates[next];
+    editedBefore.delete(last);
+    candidates.splice(0, next + 1);
+  });
+
+  const lost = new Map();
+  editedBefore.forEach((r) => {
+    const cells = beforeCells(before.rows[r]);
+    if (locked.some((name) => cells(name) !== '')) {
+      lost.set(key(cells, unlocked), cells);
+    }
+  });
+  const changed = new Set();
+  unpaired.forEach((row) => {
+    const cells = afterCells(row);
+    const filled = locked.filter((name) => cells(name) !== '');
+    const cleared = filled.length ? null : lost.get(key(cells, unlocked));
+    (cleared ? locked.filter((name) => cleared(name) !== '') : filled).forEach((name) => changed.add(name));
+  });
+  return changed;
+}
+
+// Cell text by column name for the rows of a table (the first column of a repeated name).
+function rowCells(table) {
+  const index = new Map();
+  table.columns.forEach((name, c) => {
+    if (!index.has(name)) {
+      index.set(name, c);
+    }
+  });
+  return (row) => (name) => (index.has(name) ? (row[index.get(name)] ?? '') : '');
+}
+
+module.exports = {
+  changedLockedColumns,
+  lockTables,
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+// Data files as bytes on disk, read the same way by the extension host and the raven CLI:
+// which kind of file a path is, and its content in the shape sheet-convert.js reads.
+
+const textEncoding = require('./text-encoding');
+const jsonFormat = require('./json-format');
+const xlsxWorkbook = require('./xlsx-workbook');
+const sheetConvert = require('./sheet-convert');
+
+function detectKind(fsPath) {
+  const lower = (fsPath || '').toLowerCase();
+  if (lower.endsWith('.jsonl') || lower.endsWith('.ndjson')) {
+    return 'jsonl';
+  }
+  if (['.csv', '.tsv', '.psv', '.txt'].some((ext) => lower.endsWith(ext))) {
+    return 'csv';
+  }
+  if (xlsxWorkbook.workbookFormat(lower)) {
+    return 'xlsx';
+  }
+  return 'json';
+}
+
+// Parse the bytes of the file at `fsPath`. `options.encoding` and `options.delimiter` replace the
+// detected ones (the per-file choices made in the editor). Returns { fileType, content, text,
+// matrix, encoding, loadError }: `text` is the decoded text of text files, `matrix` the first
+// sheet of a workbook. When the file does not parse, `loadError` says why and `content` is empty.
+function readDataFile(buffer, fsPath, options = {}) {
+  const fileType = detectKind(fsPath);
+
+  if (fileType === 'xlsx') {
+    try {
+      // Cells keep their formulas and formatting; see xlsx-workbook.js.
+      const sheets = xlsxWorkbook.readWorkbook(buffer);
+      const content = { dataKind: 'xlsx', sheets, source: { bytes: buffer, sheets } };
+      return { fileType, content, matrix: sheets[0]?.matrix || [[]], loadError: null };
+    } catch (error) {
+      return {
+        ...emptyDataFile(fileType, fsPath),
+        loadError: { message: `Not a readable Excel workbook: ${error.message}` },
+      };
+    }
+  }
+
+  const encoding = options.encoding || textEncoding.detectTextEncoding(buffer);
+  const text = textEncoding.decodeText(buffer, encoding);
+  if (fileType === 'csv') {
+    const dialect = sheetConvert.detectCsvDialect(text, fsPath);
+    if (options.delimiter) {
+      dialect.delimiter = options.delimiter;
+    }
+    return { fileType, content: sheetConvert.parseCsv(text, dialect), text, encoding, loadError: null };
+  }
+  if (fileType === 'jsonl') {
+    return { fileType, content: sheetConvert.parseJsonLines(text), text, encoding, loadError: null };
+  }
+  try {
+    return { fileType, content: jsonFormat.parseJsonLossless(text), text, encoding, loadError: null };
+  } catch (error) {
+    // Keep the text untouched: the document opens in an error state and cannot be saved.
+    return { fileType, content: {}, text, encoding, loadError: sheetConvert.describeJsonError(text, error) };
+  }
+}
+
+// Placeholder content for a file that could not be read, in the readDataFile shape.
+function emptyDataFile(fileType, fsPath) {
+  if (fileType === 'xlsx') {
+    return { fileType, content: { dataKind: 'xlsx', sheets: [{ name: 'Sheet1', matrix: [[]] }] }, matrix: [[]] };
+  }
+  if (fileType === 'csv') {
+    const content = { dataKind: 'csv', matrix: [[]], text: '', dialect: sheetConvert.detectCsvDialect('', fsPath) };
+    return { fileType, content, text: '' };
+  }
+  if (fileType === 'jsonl') {
+    return { fileType, content: sheetConvert.parseJsonLines(''), text: '' };
+  }
+  return { fileType, content: {}, text: '{}' };
+}
+
+module.exports = {
+  detectKind,
+  emptyDataFile,
+  readDataFile,
+};
@@ -1,8 +1,84 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const XLSX = require('xlsx');
 const jsonRules = require('./json-sheet-rules');
+const textEncoding = require('./text-encoding');
+const jsonFormat = require('./json-format');
+const xlsxWorkbook = require('./xlsx-workbook');
+const sheetDiff = require('./sheet-diff');
+const sqlQuery = require('./sql-query');
+const cellSearch = require('./cell-search');
+const sheetConvert = require('./sheet-convert');
+const dataFiles = require('./data-files');
+const columnLocks = require('./column-locks');
+
+const CSV_DELIMITER_OVERRIDES_KEY = 'csvDelimiterOverrides';
+const ENCODING_OVERRIDES_KEY = 'encodingOverrides';
+const COLUMN_TYPE_OVERRIDES_KEY = 'columnTypeOverrides';
+const PRIMARY_KEYS_KEY = 'primaryKeys';
+const COLUMN_LOCKS_KEY = 'columnLocks';
+// Key conflicts listed in the save confirmation; the grid lists all of them.
+const KEY_CONFLICT_DETAIL_LIMIT = 20;
+const QUERY_HISTORY_KEY = 'queryHistory';
+// Queries remembered per file, most recent first.
+const QUERY_HISTORY_LIMIT = 50;
+
+// Export As… targets. The webview renders the text formats from its sheets (renderExport in
+// sheet-convert.js); `multiSheet` formats can hold several sheets. `header` says what the header
+// row question asks: `keys` formats whether the first row is a header, `rows` formats whether to
+// write it.
+const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', extension: 'json', multiSheet: true, header: 'keys' },
+  { id: 'csv', label: 'CSV', extension: 'csv', multiSheet: false, header: 'rows' },
+  { id: 'tsv', label: 'TSV', extension: 'tsv', multiSheet: false, header: 'rows' },
+  { id: 'xlsx', label: 'Excel Workbook', extension: 'xlsx', multiSheet: true, header: 'rows' },
+  { id: 'markdown', label: 'Markdown table', extension: 'md', multiSheet: true, header: 'keys' },
+  { id: 'html', label: 'HTML table', extension: 'html', multiSheet: true, header: 'keys' },
+];
+const EXPORT_HEADER_CHOICES = {
+  keys: [
+    { label: 'First row is the header', header: true },
+    { label: 'No header row', header: false },
+  ],
+  rows: [
+    { label: 'Include the header row', header: true },
+    { label: 'Leave out the header row', header: false },
+  ],
+};
+const WEBVIEW_REQUEST_TIMEOUT_MS = 10000;
+// Scripts and git often write a file in several steps; react once they are done.
+const EXTERNAL_CHANGE_DEBOUNCE_MS = 300;
+// The linked text view (Open Text View to the Side) is a virtual file holding the document's
+// current text; see TextViewFileSystem. Typing reaches the grid once the user pauses.
+const TEXT_VIEW_SCHEME = 'raven-text';
+const TEXT_VIEW_DEBOUNCE_MS = 300;
+// Compare With… grid: row markers and fills for added, removed and changed rows and cells.
+const COMPARE_MARKERS = { added: '+', removed: '−', changed: '~' };
+const COMPARE_COLORS = { added: '#d7f5dd', removed: '#fbd9d6', changed: '#fff1b8' };
+const GIT_SHOW_MAX_BUFFER = 512 * 1024 * 1024;
+// Search Data Files in Workspace: the files it reads and when it stops.
+const WORKSPACE_SEARCH_INCLUDE = '**/*.{json,jsonl,ndjson,csv,tsv,psv,xlsx,xlsm,xls,xlsb,ods}';
+const WORKSPACE_SEARCH_EXCLUDE = '**/node_modules/**';
+const WORKSPACE_SEARCH_FILE_LIMIT = 5000;
+const WORKSPACE_SEARCH_HIT_LIMIT = 2000;
+// Editor settings ("jsonFortuneSheet.*" in package.json) and their defaults. Each can also be set
+// per language ("[json]": { … }) and per glob in jsonFortuneSheet.fileOverrides; see _getSettings.
+const EDITOR_SETTINGS = {
+  wrapperProperty: 'data',
+  readOnly: false,
+  typeInference: { numbers: true, booleans: true, null: true },
+  jsonIndentation: 2,
+  defaultColumnWidth: 120,
+  editDebounce: 300,
+  initUnlockDelay: 350,
+  lockedColumns: [],
+};
+// Language of a file for language-specific settings. There is no text document to ask, so go by
+// extension; csv and tsv are the ids CSV extensions register.
+const SETTINGS_LANGUAGE_IDS = { '.json': 'json', '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.csv': 'csv', '.tsv': 'tsv' };
 
 function activate(context) {
   const provider = new FortuneSheetEditorProvider(context);
@@ -11,15 +87,69 @@ function activate(context) {
       webviewOptions: { retainContextWhenHidden: true },
       supportsMultipleEditorsPerDocument: false,
     }),
+    vscode.commands.registerCommand('jsonFortuneSheet.setCsvDelimiter', () => provider.pickCsvDelimiter()),
+    vscode.commands.registerCommand('jsonFortuneSheet.reopenWithEncoding', () => provider.pickEncoding()),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAs', () => provider.exportAs()),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsJson', () => provider.exportAs('json')),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsCsv', () => provider.exportAs('csv')),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsTsv', () => provider.exportAs('tsv')),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsXlsx', () => provider.exportAs('xlsx')),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsMarkdown', () => provider.exportAs('markdown')),
+    vscode.commands.registerCommand('jsonFortuneSheet.exportAsHtml', () => provider.exportAs('html')),
+    vscode.commands.registerCommand('jsonFortuneSheet.openTextView', () => provider.openTextView()),
+    vscode.commands.registerCommand('jsonFortuneSheet.openQueryPanel', () => provider.openQueryPanel()),
+    vscode.commands.registerCommand('jsonFortuneSheet.findReplace', () => provider.openFindPanel()),
+    vscode.commands.registerCommand('jsonFortuneSheet.searchWorkspace', () => provider.searchWorkspace()),
+    vscode.commands.registerCommand('jsonFortuneSheet.openInViewer', (resource) => provider.openInViewer(resource)),
+    vscode.commands.registerCommand('jsonFortuneSheet.reopenAsText', () => provider.reopenAsText()),
+    vscode.commands.registerCommand('jsonFortuneSheet.toggleReadOnly', () => provider.toggleReadOnly()),
+    vscode.commands.registerCommand('jsonFortuneSheet.addSheet', () => provider.runGridCommand('addSheet')),
+    vscode.commands.registerCommand('jsonFortuneSheet.removeSheet', () => provider.runGridCommand('removeSheet')),
+    vscode.commands.registerCommand('jsonFortuneSheet.freezeHeaderRow', () => provider.runGridCommand('freezeHeaderRow')),
+    vscode.commands.registerCommand('jsonFortuneSheet.copyAsJson', () => provider.runGridCommand('copySelection', { format: 'json' })),
+    vscode.commands.registerCommand('jsonFortuneSheet.copyAsCsv', () => provider.runGridCommand('copySelection', { format: 'csv' })),
+    vscode.commands.registerCommand('jsonFortuneSheet.copyAsMarkdown', () =>
+      provider.runGridCommand('copySelection', { format: 'markdown' }),
+    ),
+    vscode.commands.registerCommand('jsonFortuneSheet.compareWith', (resource) => provider.compareWith(resource)),
+    vscode.commands.registerCommand('jsonFortuneSheet.compareWithHead', (resource) => provider.compareWithHead(resource)),
+    vscode.workspace.registerFileSystemProvider(TEXT_VIEW_SCHEME, new TextViewFileSystem(provider), { isCaseSensitive: true }),
+    vscode.workspace.onDidChangeTextDocument((event) => provider.handleTextViewChange(event)),
+    vscode.window.onDidChangeTextEditorSelection((event) => provider.handleTextViewSelection(event)),
+    vscode.workspace.onDidCloseTextDocument((textDocument) => provider.handleTextViewClose(textDocument)),
+    vscode.workspace.onDidChangeConfiguration((event) => provider.handleSettingsChange(event)),
   );
 }
 
 class FortuneSheetDocument {
-  constructor(uri, fileType, content, initialText, initialMatrix) {
+  constructor(uri, fileType, content, initialText, initialMatrix, encoding, loadError) {
     this.uri = uri;
     this.fileType = fileType;
     this.content = content;
+    // Set when the file could not be read or parsed; such documents are shown as an error and never saved.
+    this.loadError = loadError || null;
+    // Only meaningful for text-based files; xlsx is binary.
+    this.encoding = encoding || { ...textEncoding.DEFAULT_ENCODING };
+    this.dialect = content && content.dataKind === 'csv' ? content.dialect || null : null;
+    // The workbook bytes and sheets as loaded; saving patches that package instead of rebuilding it.
+    this.xlsxSource = content && content.dataKind === 'xlsx' ? content.source || null : null;
+    // Workbook format from the file extension ('xlsx', 'xls', 'ods', ...); see xlsx-workbook.js.
+    this.workbookFormat = fileType === 'xlsx' ? xlsxWorkbook.workbookFormat(uri.fsPath) || 'xlsx' : null;
+    // Hash of the bytes last read from or written to disk, to tell other programs' changes from our own saves.
+    this.diskSignature = null;
+    // Set while the file changed on disk and the user has unsaved edits they have not decided about.
+    this.externalChange = false;
+    // Toggle Read-Only's choice for this editor session; null follows the readOnly setting.
+    this.readOnly = null;
+    // Duplicate and empty keys the webview found in the grid: { column, lossy, conflicts }, or null.
+    this.keyCheck = null;
+    // Locked-column tables (see column-locks.js) of the content they were read from: { content, tables }.
+    this.lockTables = null;
+    this.watcher = null;
+    // Pending reload after a burst of change events from the watcher.
+    this.watchTimer = null;
     this.currentText = typeof initialText === 'string' ? initialText : '';
+    this.savedText = this.currentText;
     this.currentMatrix = Array.isArray(initialMatrix)
       ? initialMatrix
       : content && content.dataKind === 'xlsx' && Array.isArray(content.matrix)
@@ -31,33 +161,73 @@ class FortuneSheetDocument {
 
   markSaved() {
     // VS Code clears dirty state when saveCustomDocument completes.
-    // This method exists so the provider can keep internal state if needed.
+    // Remember what is on disk so the provider can tell whether there are unsaved edits.
+    this.savedText = this.currentText;
+  }
+
+  get isDirty() {
+    return this.currentText !== this.savedText;
+  }
+
+  // The edited state, for undo/redo: content, text and matrix are replaced (never mutated) by edits.
+  snapshot() {
+    return { content: this.content, currentText: this.currentText, currentMatrix: this.currentMatrix };
+  }
+
+  restore(state) {
+    this.content = state.content;
+    this.currentText = state.currentText;
+    this.currentMatrix = state.currentMatrix;
   }
 
   resetFrom(otherDocument) {
     this.fileType = otherDocument.fileType;
     this.content = otherDocument.content;
+    this.loadError = otherDocument.loadError;
+    this.encoding = otherDocument.encoding;
+    this.dialect = otherDocument.dialect;
+    this.xlsxSource = otherDocument.xlsxSource;
+    this.workbookFormat = otherDocument.workbookFormat;
+    this.diskSignature = otherDocument.diskSignature;
+    this.externalChange = false;
     this.currentText = otherDocument.currentText;
+    this.savedText = otherDocument.savedText;
     this.currentMatrix = otherDocument.currentMatrix;
   }
 
-  dispose() {}
+  dispose() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    if (this.watcher) {
+      this.watcher.dispose();
+      this.watcher = null;
+    }
+  }
 }
 
 class FortuneSheetEditorProvider {
   constructor(context) {
     this.extensionUri = context.extensionUri;
     this.globalStorageUri = context.globalStorageUri;
+    this.workspaceState = context.workspaceState;
     this._onDidChangeCustomDocument = new vscode.EventEmitter();
     this.onDidChangeCustomDocument = this._onDidChangeCustomDocument.event;
     this._webviews = new Map();
+    this._documents = new Map();
+    // Replies the extension is waiting for from a webview, by request id.
+    this._pendingRequests = new Map();
+    this._nextRequestId = 1;
+    // Open text views by document URI: { mtime, timer, saving }.
+    this._textViews = new Map();
+    this._textViewHighlight = null;
+    // Cells to select once a document's webview is ready, by document URI (workspace search hits).
+    this._pendingReveals = new Map();
   }
 
   async openCustomDocument(uri, openContext, token) {
-    const fileType = detectKind(uri.fsPath);
-    let content;
-    let initialText;
-    let initialMatrix;
+    const fileType = dataFiles.detectKind(uri.fsPath);
+    let file;
+    let diskSignature = null;
 
     try {
       const fileContent = openContext?.untitledDocumentData
@@ -66,73 +236,48 @@ class FortuneSheetEditorProvider {
           ? await vscode.workspace.fs.readFile(vscode.Uri.parse(openContext.backupId))
           : await vscode.workspace.fs.readFile(uri);
       const buffer = Buffer.from(fileContent);
-
-      if (fileType === 'xlsx') {
-        try {
-          const workbook = XLSX.read(buffer, { type: 'buffer' });
-          // Multi-sheet support: collect all sheets
-          const sheets = workbook.SheetNames.map((sheetName) => {
-            const worksheet = workbook.Sheets[sheetName];
-            const matrix = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '' });
-            return { name: sheetName, matrix };
-          });
-          content = { dataKind: 'xlsx', sheets };
-          initialMatrix = sheets[0]?.matrix || [[]];
-        } catch (error) {
-          console.error('Error reading Excel file:', error);
-          content = { dataKind: 'xlsx', sheets: [{ name: 'Sheet1', matrix: [[]] }] };
-          initialMatrix = [[]];
-        }
-      } else if (fileType === 'csv') {
-        const text = buffer.toString('utf8');
-        initialText = text;
-        content = parseCsv(text);
-      } else {
-        const text = buffer.toString('utf8');
-        initialText = text;
-        try {
-          content = JSON.parse(text);
-        } catch (error) {
-          console.warn('Invalid JSON, using empty object');
-          content = {};
-        }
+      if (!openContext?.untitledDocumentData && !openContext?.backupId) {
+        diskSignature = hashBytes(buffer);
       }
+      file = dataFiles.readDataFile(buffer, uri.fsPath, {
+        encoding: this._getEncodingOverride(uri),
+        delimiter: this._getCsvDelimiterOverride(uri),
+      });
     } catch (error) {
       console.error('Error reading file:', error);
-      if (fileType === 'xlsx') {
-        content = { dataKind: 'xlsx', sheets: [{ name: 'Sheet1', matrix: [[]] }] };
-        initialMatrix = [[]];
-      } else if (fileType === 'csv') {
-        content = { dataKind: 'csv', matrix: [[]], text: '' };
-        initialText = '';
-      } else {
-        content = {};
-        initialText = '{}';
-      }
+      file = {
+        ...dataFiles.emptyDataFile(fileType, uri.fsPath),
+        loadError: { message: `The file could not be read: ${error.message}` },
+      };
     }
 
-    return new FortuneSheetDocument(uri, fileType, content, initialText, initialMatrix);
+    const document = new FortuneSheetDocument(
+      uri,
+      fileType,
+      file.content,
+      file.text,
+      file.matrix,
+      file.encoding,
+      file.loadError,
+    );
+    document.diskSignature = diskSignature;
+    return document;
   }
 
   async resolveCustomEditor(document, webviewPanel, token) {
-    webviewPanel.webview.options = {
-      enableScripts: true,
-      localResourceRoots: [
-        vscode.Uri.joinPath(this.extensionUri, 'media'),
-        vscode.Uri.joinPath(this.extensionUri, 'node_modules'),
-      ],
-    };
+    webviewPanel.webview.options = this._webviewOptions();
 
     webviewPanel.webview.html = this.getHtmlForWebview(webviewPanel.webview);
 
     this._trackWebview(document, webviewPanel);
+    this._watchDocument(document);
 
     const updateWebview = () => {
       if (!document || !document.content) {
         vscode.window.showErrorMessage('Failed to load document content');
         return;
       }
-      const payload = toSheetPayloadFromContent(document.content);
+      const payload = this._buildPayload(document);
       webviewPanel.webview.postMessage({ type: 'init', payload });
     };
 
@@ -140,6 +285,14 @@ class FortuneSheetEditorProvider {
       switch (message.type) {
         case 'ready': {
           updateWebview();
+          if (this._textViews.has(document.uri.toString())) {
+            webviewPanel.webview.postMessage({ type: 'textView', open: true });
+          }
+          const reveal = this._pendingReveals.get(document.uri.toString());
+          if (reveal) {
+            this._pendingReveals.delete(document.uri.toString());
+            webviewPanel.webview.postMessage({ type: 'revealCell', ...reveal });
+          }
           break;
         }
         case 'webviewError': {
@@ -153,6 +306,86 @@ class FortuneSheetEditorProvider {
           this._applyEdit(document, message);
           break;
         }
+        case 'setColumnType': {
+          await this._setColumnTypeOverride(document.uri, message.column, message.columnType);
+          break;
+        }
+        case 'setPrimaryKey': {
+          await this._setPrimaryKey(document.uri, message.column);
+          break;
+        }
+        case 'setColumnLock': {
+          await this._setColumnLock(document.uri, message.column, message.locked);
+          // The grid takes its locks from the init payload.
+          this._updateAllWebviews(document, { keepView: true });
+          break;
+        }
+        case 'keyCheck': {
+          document.keyCheck = message.keyCheck || null;
+          break;
+        }
+        case 'reopenWithEncoding': {
+          await this.pickEncoding(document);
+          break;
+        }
+        case 'openInTextEditor': {
+          await vscode.commands.executeCommand('vscode.openWith', document.uri, 'default');
+          break;
+        }
+        case 'toggleReadOnly': {
+          this.toggleReadOnly(document);
+          break;
+        }
+        case 'copyText': {
+          await vscode.env.clipboard.writeText(String(message.text ?? ''));
+          vscode.window.setStatusBarMessage(`Copied ${message.label}`, 3000);
+          break;
+        }
+        case 'undo':
+        case 'redo': {
+          // Keyboard undo/redo from the grid goes through VS Code's edit stack.
+          await vscode.commands.executeCommand(message.type);
+          break;
+        }
+        case 'saveAsXlsx': {
+          await this.saveWorkbookAsXlsx(document);
+          break;
+        }
+        case 'exportSheets':
+        case 'exportResult': {
+          const resolve = this._pendingRequests.get(message.requestId);
+          if (resolve) {
+            this._pendingRequests.delete(message.requestId);
+            resolve(message);
+          }
+          break;
+        }
+        case 'externalChangeReload': {
+          // Revert the active editor so VS Code also drops its dirty state and undo stack.
+          await vscode.commands.executeCommand('workbench.action.files.revert');
+          break;
+        }
+        case 'externalChangeKeep': {
+          // The user's version wins: the next save overwrites the file without asking.
+          document.externalChange = false;
+          break;
+        }
+        case 'externalChangeCompare': {
+          await this._compareWithDisk(document);
+          break;
+        }
+        case 'openTextView': {
+          await this.openTextView(document);
+          break;
+        }
+        case 'selectCell': {
+          this._revealInTextView(document, message);
+          break;
+        }
+        case 'runQuery': {
+          await this._runQuery(document, webviewPanel, message);
+          break;
+        }
         case 'save': {
           // Ensure the latest content is recorded before save.
           this._applyEdit(document, message);
@@ -167,49 +400,475 @@ class FortuneSheetEditorProvider {
   }
 
   async saveCustomDocument(document, cancellation) {
+    assertSavable(document);
+    await this._confirmKeyConflicts(document);
+    if (document.externalChange) {
+      const choice = await vscode.window.showWarningMessage(
+        `${path.basename(document.uri.fsPath)} was changed on disk after you opened it. Overwrite it with your version?`,
+        { modal: true },
+        'Overwrite',
+      );
+      if (choice !== 'Overwrite') {
+        throw new Error(`${path.basename(document.uri.fsPath)} was not saved because it changed on disk.`);
+      }
+      document.externalChange = false;
+    }
+    let written;
     if (document.fileType === 'xlsx') {
+      const format = xlsxWorkbook.WORKBOOK_FORMATS[document.workbookFormat];
+      if (!format.writable) {
+        throw new Error(
+          `${path.basename(document.uri.fsPath)} is read-only: ${format.label} files cannot be written without losing formulas. Use "Save As .xlsx" instead.`,
+        );
+      }
       // Save all sheets if present
       if (document.content && document.content.sheets) {
-        await this.saveXlsxFileMulti(document.uri, document.content.sheets);
+        const bytes = await this.saveXlsxFileMulti(
+          document.uri,
+          document.content.sheets,
+          document.xlsxSource,
+          document.workbookFormat,
+        );
+        if (bytes) {
+          // Later saves patch what is now on disk.
+          document.xlsxSource = { bytes, sheets: document.content.sheets };
+        }
+        written = bytes;
       } else {
-        await this.saveXlsxFile(document.uri, document.currentMatrix);
+        written = await this.saveXlsxFile(document.uri, document.currentMatrix);
       }
     } else {
-      await this.saveTextFile(document.uri, document.currentText ?? '', document.fileType);
+      written = await this.saveTextFile(document.uri, document.currentText ?? '', document.fileType, document.encoding);
+    }
+    if (written) {
+      document.diskSignature = hashBytes(written);
     }
     document.markSaved();
+    await this._syncTextView(document);
   }
 
   async saveCustomDocumentAs(document, destination, cancellation) {
+    assertSavable(document);
+    await this._confirmKeyConflicts(document);
     if (document.fileType === 'xlsx') {
+      // The destination's extension picks the format; the original package is only reused for the same format.
+      const format = xlsxWorkbook.workbookFormat(destination.fsPath) || 'xlsx';
+      if (!xlsxWorkbook.WORKBOOK_FORMATS[format].writable) {
+        throw new Error(`${xlsxWorkbook.WORKBOOK_FORMATS[format].label} files cannot be written. Save as .xlsx instead.`);
+      }
       if (document.content && document.content.sheets) {
-        await this.saveXlsxFileMulti(destination, document.content.sheets);
+        const source = format === document.workbookFormat ? document.xlsxSource : null;
+        await this.saveXlsxFileMulti(destination, document.content.sheets, source, format);
       } else {
         await this.saveXlsxFile(destination, document.currentMatrix);
       }
     } else {
-      await this.saveTextFile(destination, document.currentText ?? '', document.fileType);
+      await this.saveTextFile(destination, document.currentText ?? '', document.fileType, document.encoding);
     }
     // Don't mark as saved: this is a different URI.
   }
 
-  // Save all sheets to Excel file
-  async saveXlsxFileMulti(uri, sheets) {
-    const workbook = XLSX.utils.book_new();
-    for (const sheet of sheets) {
-      const safeMatrix = Array.isArray(sheet?.matrix) ? sheet.matrix : [[]];
-      const normalized = normalizeMatrixForXlsx(safeMatrix);
-      const ws = XLSX.utils.aoa_to_sheet(normalized);
-      XLSX.utils.book_append_sheet(workbook, ws, String(sheet?.name || 'Sheet1'));
-    }
-    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  // Save all sheets to Excel file, patching the workbook they were loaded from when possible.
+  // Returns the written bytes.
+  async saveXlsxFileMulti(uri, sheets, source, format = 'xlsx') {
+    const { buffer, rebuilt, patchError } = xlsxWorkbook.writeWorkbook(sheets, source, format);
     await vscode.workspace.fs.writeFile(uri, buffer);
+    if (rebuilt) {
+      const reason = patchError
+        ? `The original workbook could not be updated (${patchError})`
+        : 'Sheets were added, removed or reordered';
+      vscode.window.showWarningMessage(
+        `${reason}, so the workbook was rebuilt: values, formulas, number formats, merges and sizes were kept, but fonts, fills, borders and charts were not.`,
+      );
+    }
+    return buffer;
+  }
+
+  // Read-only workbook formats (.xls, .xlsb): write the sheets to a new .xlsx file and open that.
+  async saveWorkbookAsXlsx(document) {
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: document.uri.with({ path: document.uri.path.replace(/\.[^./]*$/, '') + '.xlsx' }),
+      filters: { 'Excel Workbook': ['xlsx'] },
+    });
+    if (!target) {
+      return;
+    }
+    try {
+      const { buffer } = xlsxWorkbook.writeWorkbook(document.content?.sheets || [], null, 'xlsx');
+      await vscode.workspace.fs.writeFile(target, buffer);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to save Excel file: ${error.message}`);
+      return;
+    }
+    await vscode.commands.executeCommand('vscode.openWith', target, 'jsonFortuneSheet.editor');
   }
 
   async revertCustomDocument(document, cancellation) {
     const fresh = await this.openCustomDocument(document.uri, { backupId: undefined, untitledDocumentData: undefined }, cancellation);
     document.resetFrom(fresh);
-    this._updateAllWebviews(document);
+    this._updateAllWebviews(document, { keepView: true });
+    await this._syncTextView(document);
+  }
+
+  // Follow changes other programs (scripts, git checkout, ...) make to the file.
+  _watchDocument(document) {
+    if (document.watcher || document.uri.scheme !== 'file') {
+      return;
+    }
+    const watcher = vscode.workspace.createFileSystemWatcher(
+      new vscode.RelativePattern(vscode.Uri.joinPath(document.uri, '..'), path.basename(document.uri.fsPath)),
+    );
+    const onChange = () => {
+      clearTimeout(document.watchTimer);
+      document.watchTimer = setTimeout(() => {
+        document.watchTimer = null;
+        this._onExternalChange(document).catch((error) => console.error('Reloading after an external change failed:', error));
+      }, EXTERNAL_CHANGE_DEBOUNCE_MS);
+    };
+    watcher.onDidChange(onChange);
+    watcher.onDidCreate(onChange);
+    document.watcher = watcher;
+  }
+
+  // A clean document reloads in place; one with unsaved edits asks the user through a banner.
+  async _onExternalChange(document) {
+    let bytes;
+    try {
+      bytes = await vscode.workspace.fs.readFile(document.uri);
+    } catch {
+      // Deleted or unreadable for now; a later change event brings it back.
+      return;
+    }
+    const signature = hashBytes(bytes);
+    if (signature === document.diskSignature) {
+      // Our own save, or the file was touched without changing.
+      return;
+    }
+    if (!document.isDirty) {
+      await this.revertCustomDocument(document);
+      return;
+    }
+    document.externalChange = true;
+    document.diskSignature = signature;
+    this._postToWebviews(document, { type: 'externalChange' });
+  }
+
+  // Show the cell-level differences between the grid and the file on disk.
+  async _compareWithDisk(document) {
+    const onDisk = await this.openCustomDocument(document.uri, { backupId: undefined, untitledDocumentData: undefined });
+    if (onDisk.loadError) {
+      vscode.window.showErrorMessage(`The version on disk could not be read: ${onDisk.loadError.message}`);
+      return;
+    }
+    const payload = sheetConvert.toSheetPayloadFromContent(onDisk.content, this._getSettings(document.uri));
+    this._postToWebviews(document, { type: 'showDiff', label: 'on disk', sheets: payload.sheets });
+  }
+
+  // Open the document's text next to the grid. Edits in either view reach the other, and the
+  // selection follows the cursor both ways.
+  async openTextView(targetDocument) {
+    const document = targetDocument || this._getActiveDocument();
+    if (!document || document.fileType === 'xlsx') {
+      vscode.window.showInformationMessage('Open a JSON or CSV file in Raven Viewer to show its text.');
+      return;
+    }
+    if (document.loadError) {
+      vscode.window.showInformationMessage('This file could not be read. Use "Open in Text Editor" to fix it.');
+      return;
+    }
+    const key = document.uri.toString();
+    if (!this._textViews.has(key)) {
+      this._textViews.set(key, { mtime: Date.now(), timer: null, saving: false });
+    }
+    const textDocument = await vscode.workspace.openTextDocument(textViewUri(document.uri));
+    await vscode.window.showTextDocument(textDocument, {
+      viewColumn: vscode.ViewColumn.Beside,
+      preserveFocus: true,
+      preview: false,
+    });
+    this._postToWebviews(document, { type: 'textView', open: true });
+  }
+
+  // The grid document a text view belongs to, if it is still open.
+  _documentForTextView(uri) {
+    if (uri.scheme !== TEXT_VIEW_SCHEME) {
+      return undefined;
+    }
+    const key = documentUriOfTextView(uri).toString();
+    return this._textViews.has(key) ? this._documents.get(key) : undefined;
+  }
+
+  handleTextViewChange(event) {
+    const document = this._documentForTextView(event.document.uri);
+    if (!document || event.contentChanges.length === 0) {
+      return;
+    }
+    const view = this._textViews.get(document.uri.toString());
+    clearTimeout(view.timer);
+    view.timer = setTimeout(() => {
+      view.timer = null;
+      this._applyTextViewText(document, event.document.getText());
+    }, TEXT_VIEW_DEBOUNCE_MS);
+  }
+
+  _applyTextViewText(document, text) {
+    if (text === document.currentText) {
+      // Our own update from the grid, or typing that was undone.
+      return;
+    }
+    const content = document.content;
+    this._applyEdit(document, { text, fromTextView: true });
+    if (document.content !== content) {
+      this._updateAllWebviews(document, { keepView: true });
+    }
+  }
+
+  // Saving the text view saves the document (TextViewFileSystem.writeFile).
+  async saveFromTextView(document, text) {
+    const view = this._textViews.get(document.uri.toString());
+    clearTimeout(view.timer);
+    view.timer = null;
+    view.mtime = Date.now();
+    this._applyTextViewText(document, text);
+    if (!document.isDirty) {
+      return;
+    }
+    view.saving = true;
+    try {
+      await vscode.workspace.save(document.uri);
+    } finally {
+      view.saving = false;
+    }
+  }
+
+  // Bring the text view up to date with the document, changing only the text that differs so
+  // the cursor and scroll position stay put. Once the document is saved the text view is too.
+  async _syncTextView(document) {
+    const view = this._textViews.get(document.uri.toString());
+    const uri = textViewUri(document.uri).toString();
+    const textDocument = view && vscode.workspace.textDocuments.find((d) => d.uri.toString() === uri);
+    if (!textDocument) {
+      return;
+    }
+    try {
+      const text = textDocument.getText();
+      if (text !== document.currentText) {
+        const change = diffText(text, document.currentText);
+        const edit = new vscode.WorkspaceEdit();
+        edit.replace(
+          textDocument.uri,
+          new vscode.Range(textDocument.positionAt(change.start), textDocument.positionAt(change.end)),
+          change.text,
+        );
+        await vscode.workspace.applyEdit(edit);
+      }
+      if (!document.isDirty && textDocument.isDirty && !view.saving) {
+        await textDocument.save();
+      }
+    } catch (error) {
+      console.error('Updating the text view failed:', error);
+    }
+  }
+
+  // Grid selection -> highlight the JSON value or CSV field in the text view.
+  _revealInTextView(document, cell) {
+    const uri = textViewUri(document.uri).toString();
+    const editor = vscode.window.visibleTextEditors.find((e) => e.document.uri.toString() === uri);
+    if (!editor) {
+      return;
+    }
+    if (!this._textViewHighlight) {
+      this._textViewHighlight = vscode.window.createTextEditorDecorationType({
+        backgroundColor: new vscode.ThemeColor('editor.findMatchHighlightBackground'),
+        borderColor: new vscode.ThemeColor('editor.findMatchBorder'),
+        borderStyle: 'solid',
+        borderWidth: '1px',
+      });
+    }
+    const text = editor.document.getText();
+    // While typing is still on its way to the grid the offsets would not match.
+    const found = text === document.currentText ? locateCellText(document, text, cell) : null;
+    if (!found) {
+      editor.setDecorations(this._textViewHighlight, []);
+      return;
+    }
+    const range = new vscode.Range(editor.document.positionAt(found.start), editor.document.positionAt(found.end));
+    editor.setDecorations(this._textViewHighlight, [range]);
+    editor.revealRange(range, vscode.TextEditorRevealType.InCenterIfOutsideViewport);
+  }
+
+  // Text view cursor -> select the matching cell in the grid.
+  handleTextViewSelection(event) {
+    const document = this._documentForTextView(event.textEditor.document.uri);
+    // Only the user's own moves: edits and programmatic selections also fire this event.
+    const byUser =
+      event.kind === vscode.TextEditorSelectionChangeKind.Keyboard || event.kind === vscode.TextEditorSelectionChangeKind.Mouse;
+    if (!document || !byUser || !event.selections.length) {
+      return;
+    }
+    const text = event.textEditor.document.getText();
+    if (text !== document.currentText) {
+      return;
+    }
+    const target = cellAtTextOffset(document, text, event.textEditor.document.offsetAt(event.selections[0].active));
+    if (target) {
+      this._postToWebviews(document, { type: 'revealCell', ...target });
+    }
+  }
+
+  handleTextViewClose(textDocument) {
+    if (textDocument.uri.scheme !== TEXT_VIEW_SCHEME) {
+      return;
+    }
+    const key = documentUriOfTextView(textDocument.uri).toString();
+    const view = this._textViews.get(key);
+    if (!view) {
+      return;
+    }
+    clearTimeout(view.timer);
+    this._textViews.delete(key);
+    const document = this._documents.get(key);
+    if (document) {
+      this._postToWebviews(document, { type: 'textView', open: false });
+    }
+  }
+
+  // Compare a file (the Explorer selection or the active grid) with another file the user picks.
+  async compareWith(resource) {
+    const uri = resourceUri(resource) || this._getActiveDocument()?.uri;
+    if (!uri) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer, or pick one in the Explorer, to compare it.');
+      return;
+    }
+    const picked = await vscode.window.showOpenDialog({
+      defaultUri: vscode.Uri.joinPath(uri, '..'),
+      canSelectMany: false,
+      openLabel: 'Compare',
+      title: `Compare ${path.basename(uri.fsPath)} with`,
+    });
+    if (!picked || !picked.length) {
+      return;
+    }
+    const before = await this._loadVersion(picked[0]);
+    const after = await this._loadVersion(uri);
+    await this._showComparison(
+      `${path.basename(picked[0].fsPath)} ↔ ${path.basename(uri.fsPath)}`,
+      { label: path.basename(picked[0].fsPath), document: before },
+      { label: path.basename(uri.fsPath), document: after },
+    );
+  }
+
+  // Compare a file with its last committed version.
+  async compareWithHead(resource) {
+    const uri = resourceUri(resource) || this._getActiveDocument()?.uri;
+    if (!uri || uri.scheme !== 'file') {
+      vscode.window.showInformationMessage('Open a file from a Git repository in Raven Viewer to compare it with HEAD.');
+      return;
+    }
+    const name = path.basename(uri.fsPath);
+    let bytes;
+    try {
+      bytes = await readGitHead(uri);
+    } catch (error) {
+      vscode.window.showErrorMessage(`${name} has no committed version to compare with: ${error.message}`);
+      return;
+    }
+    const before = await this.openCustomDocument(uri, { untitledDocumentData: bytes });
+    const after = await this._loadVersion(uri);
+    await this._showComparison(
+      `${name} (HEAD) ↔ ${name}`,
+      { label: 'HEAD', document: before },
+      { label: 'working copy', document: after },
+    );
+  }
+
+  // A file as the grid would show it: an open document (with its unsaved edits) or the file on disk.
+  async _loadVersion(uri) {
+    return this._documents.get(uri.toString()) || this.openCustomDocument(uri, {});
+  }
+
+  // Show two versions of a document as one read-only grid of their differences.
+  async _showComparison(title, before, after) {
+    const payloads = [];
+    for (const side of [before, after]) {
+      if (side.document.loadError) {
+        vscode.window.showErrorMessage(`${side.label} could not be read: ${side.document.loadError.message}`);
+        return;
+      }
+      const payload = sheetConvert.toSheetPayloadFromContent(side.document.content, this._getSettings(side.document.uri));
+      if (payload.error) {
+        vscode.window.showErrorMessage(`${side.label} cannot be shown as a grid: ${payload.error}`);
+        return;
+      }
+      payloads.push(payload);
+    }
+    const beforeSheets = toComparisonSheets(payloads[0]);
+    const afterSheets = toComparisonSheets(payloads[1]);
+
+    // Keyless documents get a choice of key column; object documents are keyed by their keys.
+    const kind = payloads[1].dataKind;
+    let options;
+    if (kind === 'object') {
+      options = { header: false, key: 0 };
+    } else if (kind === 'objectOfObjects') {
+      options = { header: true, key: 'key' };
+    } else {
+      const headerNames = (sheets) => new Set(sheets.flatMap((sheet) => (sheet.rows[0] || []).filter((name) => name !== '')));
+      const beforeNames = headerNames(beforeSheets);
+      const shared = [...headerNames(afterSheets)].filter((name) => beforeNames.has(name));
+      let key = null;
+      if (shared.length) {
+        const choice = await vscode.window.showQuickPick(
+          [
+            { label: 'Row position', description: 'Match rows by their contents and order', key: null },
+            ...shared.map((name) => ({ label: name, description: 'Key column', key: name })),
+          ],
+          { placeHolder: 'Match rows between the versions by' },
+        );
+        if (!choice) {
+          return;
+        }
+        key = choice.key;
+      }
+      options = { header: true, key };
+    }
+
+    const results = sheetDiff.compareWorkbooks(beforeSheets, afterSheets, options);
+    const multiple = results.length > 1;
+    const entries = [];
+    const counts = { added: 0, removed: 0, changed: 0 };
+    const sheets = results.map((result, idx) => {
+      const sheet = createSheetFromComparison(result, idx, options.header, multiple, entries);
+      Object.keys(counts).forEach((status) => {
+        counts[status] += result.table.counts[status];
+      });
+      return sheet;
+    });
+    const rowCount = counts.added + counts.removed + counts.changed;
+    const summary =
+      entries.length === 0
+        ? 'no differences'
+        : `${counts.added} added, ${counts.removed} removed, ${counts.changed} changed row${rowCount === 1 ? '' : 's'}`;
+
+    const panel = vscode.window.createWebviewPanel('jsonFortuneSheet.compare', title, vscode.ViewColumn.Active, {
+      ...this._webviewOptions(),
+      retainContextWhenHidden: true,
+    });
+    panel.webview.html = this.getHtmlForWebview(panel.webview);
+    const payload = {
+      sheets,
+      typeMap: {},
+      dataKind: 'compare',
+      compare: { label: `${before.label} → ${after.label}`, summary, entries },
+      settings: this._getSettings(after.document.uri),
+    };
+    panel.webview.onDidReceiveMessage((message) => {
+      if (message.type === 'ready') {
+        panel.webview.postMessage({ type: 'init', payload });
+      } else if (message.type === 'webviewError') {
+        console.error('Webview error:', message.message, message.stack);
+      }
+    });
   }
 
   async backupCustomDocument(document, context, cancellation) {
@@ -218,7 +877,11 @@ class FortuneSheetEditorProvider {
     try {
       if (document.fileType === 'xlsx') {
         if (document.content && Array.isArray(document.content.sheets)) {
-          await this.saveXlsxFileMulti(destination, document.content.sheets);
+          // Read-only formats are backed up as .xlsx; the backup is read back by content, not extension.
+          const format = xlsxWorkbook.WORKBOOK_FORMATS[document.workbookFormat].writable ? document.workbookFormat : 'xlsx';
+          const source = format === document.workbookFormat ? document.xlsxSource : null;
+          const { buffer } = xlsxWorkbook.writeWorkbook(document.content.sheets, source, format);
+          await vscode.workspace.fs.writeFile(destination, buffer);
         } else {
           const safeMatrix = document.currentMatrix;
           const normalized = normalizeMatrixForXlsx(safeMatrix);
@@ -229,7 +892,8 @@ class FortuneSheetEditorProvider {
           await vscode.workspace.fs.writeFile(destination, wbout);
         }
       } else {
-        const buffer = Buffer.from(document.currentText ?? '', 'utf8');
+        // Same encoding as the file so the backup is detected the same way on restore.
+        const { buffer } = textEncoding.encodeText(document.currentText ?? '', document.encoding);
         await vscode.workspace.fs.writeFile(destination, buffer);
       }
     } catch (error) {
@@ -249,10 +913,14 @@ class FortuneSheetEditorProvider {
   }
 
   _applyEdit(document, message) {
-    if (!document) {
+    if (!document || document.loadError) {
+      return;
+    }
+    if (document.fileType === 'xlsx' && !xlsxWorkbook.WORKBOOK_FORMATS[document.workbookFormat].writable) {
       return;
     }
 
+    const before = document.snapshot();
     if (document.fileType === 'xlsx') {
       const xlsxSheets = Array.isArray(message.xlsxSheets) ? message.xlsxSheets : null;
       if (xlsxSheets) {
@@ -268,20 +936,97 @@ class FortuneSheetEditorProvider {
       }
     } else {
       const text = typeof message.text === 'string' ? message.text : '';
-      document.currentText = text;
       if (document.fileType === 'csv') {
-        document.content = parseCsv(text);
+        document.currentText = text;
+        document.content = sheetConvert.parseCsv(text, document.dialect);
+      } else if (document.fileType === 'jsonl') {
+        document.currentText = text;
+        document.content = sheetConvert.parseJsonLines(text);
+      } else if (message.fromTextView) {
+        // Typed text is kept as written; the grid follows whenever it parses.
+        document.currentText = text;
+        try {
+          document.content = jsonFormat.parseJsonLossless(text);
+        } catch {
+          // Keep showing the last valid content while the user is typing.
+        }
       } else {
         try {
-          document.content = JSON.parse(text || '{}');
+          const value = JSON.parse(text || '{}');
+          document.content = value;
+          // Patch the previous text so untouched values keep their formatting, key order and spelling.
+          document.currentText = jsonFormat.formatJsonPreserving(
+            document.currentText,
+            value,
+            this._getSettings(document.uri).jsonIndentation,
+          );
         } catch {
           // Keep previous content if JSON invalid; still allow saving raw text.
+          document.currentText = text;
         }
       }
     }
 
-    // Signal a content change so VS Code marks the editor dirty (no custom undo/redo stack).
-    this._onDidChangeCustomDocument.fire({ document });
+    if (document.currentText === before.currentText) {
+      // e.g. the save message repeating the last edit: nothing to record.
+      return;
+    }
+
+    if (this._isReadOnly(document)) {
+      document.restore(before);
+      this._rejectEdit(document, message, `${path.basename(document.uri.fsPath)} is read-only.`);
+      return;
+    }
+
+    const lockedColumns = this._getLockedColumns(document);
+    if (lockedColumns.length && document.content !== before.content) {
+      // The tables of the last accepted edit are kept, so each edit reads only its own content.
+      const settings = this._getSettings(document.uri);
+      const beforeTables =
+        document.lockTables?.content === before.content
+          ? document.lockTables.tables
+          : columnLocks.lockTables(before.content, settings);
+      const afterTables = columnLocks.lockTables(document.content, settings);
+      const changed = columnLocks.changedLockedColumns(beforeTables, afterTables, lockedColumns);
+      if (changed.length) {
+        document.restore(before);
+        const columns = `${changed.length === 1 ? 'column' : 'columns'} ${changed.map((name) => `"${name}"`).join(', ')}`;
+        this._rejectEdit(document, message, `The edit was not applied: locked ${columns} cannot be changed.`);
+        return;
+      }
+      document.lockTables = { content: document.content, tables: afterTables };
+    }
+
+    // Each edit batch is one step on VS Code's undo stack; undo/redo replay the state into the webviews.
+    const after = document.snapshot();
+    this._onDidChangeCustomDocument.fire({
+      document,
+      label: 'Edit',
+      undo: () => {
+        document.restore(before);
+        this._updateAllWebviews(document, { keepView: true });
+        this._syncTextView(document);
+      },
+      redo: () => {
+        document.restore(after);
+        this._updateAllWebviews(document, { keepView: true });
+        this._syncTextView(document);
+      },
+    });
+    if (!message.fromTextView) {
+      this._syncTextView(document);
+    }
+  }
+
+  // Edits refused by the document (read-only, locked columns) never reach it: its views are put
+  // back to the document and the user is told why.
+  _rejectEdit(document, message, reason) {
+    vscode.window.showWarningMessage(reason);
+    if (message.fromTextView) {
+      this._syncTextView(document);
+    } else {
+      this._updateAllWebviews(document, { keepView: true });
+    }
   }
 
   _trackWebview(document, webviewPanel) {
@@ -292,65 +1037,689 @@ class FortuneSheetEditorProvider {
       this._webviews.set(key, set);
     }
     set.add(webviewPanel);
+    this._documents.set(key, document);
     webviewPanel.onDidDispose(() => {
       const current = this._webviews.get(key);
       if (current) {
         current.delete(webviewPanel);
         if (current.size === 0) {
           this._webviews.delete(key);
+          this._documents.delete(key);
         }
       }
     });
   }
 
-  _updateAllWebviews(document) {
-    const key = document.uri.toString();
-    const set = this._webviews.get(key);
-    if (!set || set.size === 0) {
-      return;
-    }
-    const payload = toSheetPayloadFromContent(document.content);
-    for (const panel of set) {
-      try {
-        panel.webview.postMessage({ type: 'init', payload });
-      } catch {
-        // ignore
+  // The document whose webview panel currently has focus, if any.
+  _getActiveDocument() {
+    for (const [key, set] of this._webviews) {
+      for (const panel of set) {
+        if (panel.active) {
+          return this._documents.get(key);
+        }
       }
     }
+    return undefined;
   }
 
-  async saveTextFile(uri, content, fileType) {
-    try {
-      const buffer = Buffer.from(content, 'utf8');
-      await vscode.workspace.fs.writeFile(uri, buffer);
-    } catch (error) {
-      vscode.window.showErrorMessage(`Failed to save file: ${error.message}`);
+  // Post a message to the document's webview and wait for the reply carrying the same requestId.
+  _requestFromWebview(document, message) {
+    const panels = this._webviews.get(document.uri.toString());
+    const panel = panels ? [...panels].find((p) => p.active) || [...panels][0] : null;
+    if (!panel) {
+      return Promise.reject(new Error('The editor is not open.'));
     }
+    const requestId = String(this._nextRequestId++);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pendingRequests.delete(requestId);
+        reject(new Error('The editor did not respond.'));
+      }, WEBVIEW_REQUEST_TIMEOUT_MS);
+      this._pendingRequests.set(requestId, (reply) => {
+        clearTimeout(timer);
+        resolve(reply);
+      });
+      panel.webview.postMessage({ ...message, requestId });
+    });
   }
 
-  async saveXlsxFile(uri, matrix) {
-    try {
-      const safeMatrix = Array.isArray(matrix) ? matrix : [[]];
-      const normalized = normalizeMatrixForXlsx(safeMatrix);
-      const worksheet = XLSX.utils.aoa_to_sheet(normalized);
-      const workbook = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
-      const wbout = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
-      await vscode.workspace.fs.writeFile(uri, wbout);
-    } catch (error) {
-      vscode.window.showErrorMessage(`Failed to save Excel file: ${error.message}`);
+  // Webview init payload: the grid built from the content plus document-level details.
+  _buildPayload(document) {
+    const settings = this._getSettings(document.uri);
+    if (document.readOnly !== null) {
+      settings.readOnly = document.readOnly;
     }
-  }
-
-  getHtmlForWebview(webview) {
-    const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(this.extensionUri, 'media', 'webview.js'));
+    const payload = document.loadError
+      ? { sheets: [], typeMap: {}, dataKind: document.fileType, loadError: document.loadError, text: '' }
+      : sheetConvert.toSheetPayloadFromContent(document.content, settings);
+    payload.settings = settings;
+    if (payload.columnTypes) {
+      payload.columnTypeOverrides = this._getColumnTypeOverrides(document.uri);
+    }
+    if (!document.loadError) {
+      payload.queryHistory = this._getQueryHistory(document.uri);
+      payload.primaryKey = this._getPrimaryKey(document.uri);
+      payload.columnLocks = this._getColumnLocks(document.uri);
+    }
+    if (document.fileType === 'xlsx') {
+      const format = xlsxWorkbook.WORKBOOK_FORMATS[document.workbookFormat];
+      payload.workbookInfo = {
+        format: document.workbookFormat,
+        label: format.label,
+        writable: format.writable,
+        note: format.note || null,
+      };
+    }
+    if (document.fileType !== 'xlsx') {
+      payload.fileInfo = {
+        encoding: document.encoding,
+        encodingLabel: textEncoding.describeEncoding(document.encoding),
+      };
+    }
+    return payload;
+  }
+
+  // Editor settings for a file: the user and workspace settings for its language, then every
+  // jsonFortuneSheet.fileOverrides glob it matches, in order.
+  _getSettings(uri) {
+    const ext = path.extname(uri.path).toLowerCase();
+    const scope = SETTINGS_LANGUAGE_IDS[ext] ? { uri, languageId: SETTINGS_LANGUAGE_IDS[ext] } : uri;
+    const config = vscode.workspace.getConfiguration('jsonFortuneSheet', scope);
+    const settings = {};
+    Object.keys(EDITOR_SETTINGS).forEach((name) => {
+      settings[name] = config.get(name, EDITOR_SETTINGS[name]);
+    });
+    const relativePath = vscode.workspace.asRelativePath(uri, false);
+    Object.entries(config.get('fileOverrides') || {}).forEach(([glob, values]) => {
+      if (!values || typeof values !== 'object' || !(matchesGlob(glob, relativePath) || matchesGlob(glob, uri.path))) {
+        return;
+      }
+      Object.keys(EDITOR_SETTINGS).forEach((name) => {
+        if (values[name] !== undefined) {
+          settings[name] = values[name];
+        }
+      });
+    });
+    return normalizeSettings(settings);
+  }
+
+  // Open documents take new settings right away: their webviews are sent the document again.
+  handleSettingsChange(event) {
+    for (const document of this._documents.values()) {
+      if (event.affectsConfiguration('jsonFortuneSheet', document.uri)) {
+        this._updateAllWebviews(document, { keepView: true });
+      }
+    }
+  }
+
+  // Column types picked by the user, per file: { [column header]: type }.
+  _getColumnTypeOverrides(uri) {
+    const overrides = this.workspaceState?.get(COLUMN_TYPE_OVERRIDES_KEY) || {};
+    return overrides[uri.toString()] || {};
+  }
+
+  async _setColumnTypeOverride(uri, column, columnType) {
+    if (typeof column !== 'string') {
+      return;
+    }
+    const overrides = { ...(this.workspaceState?.get(COLUMN_TYPE_OVERRIDES_KEY) || {}) };
+    const forFile = { ...(overrides[uri.toString()] || {}) };
+    if (jsonRules.VALUE_TYPES.includes(columnType)) {
+      forFile[column] = columnType;
+    } else {
+      delete forFile[column];
+    }
+    if (Object.keys(forFile).length) {
+      overrides[uri.toString()] = forFile;
+    } else {
+      delete overrides[uri.toString()];
+    }
+    await this.workspaceState?.update(COLUMN_TYPE_OVERRIDES_KEY, overrides);
+  }
+
+  // Primary key column picked by the user, per file (table-like documents only, see checkKeys in the webview).
+  _getPrimaryKey(uri) {
+    const primaryKeys = this.workspaceState?.get(PRIMARY_KEYS_KEY) || {};
+    return primaryKeys[uri.toString()] || null;
+  }
+
+  async _setPrimaryKey(uri, column) {
+    const primaryKeys = { ...(this.workspaceState?.get(PRIMARY_KEYS_KEY) || {}) };
+    if (typeof column === 'string' && column) {
+      primaryKeys[uri.toString()] = column;
+    } else {
+      delete primaryKeys[uri.toString()];
+    }
+    await this.workspaceState?.update(PRIMARY_KEYS_KEY, primaryKeys);
+  }
+
+  // Columns locked by the user, per file: [column header]. The lockedColumns setting adds more.
+  _getColumnLocks(uri) {
+    const locks = this.workspaceState?.get(COLUMN_LOCKS_KEY) || {};
+    return Array.isArray(locks[uri.toString()]) ? locks[uri.toString()] : [];
+  }
+
+  async _setColumnLock(uri, column, locked) {
+    if (typeof column !== 'string' || !column) {
+      return;
+    }
+    const locks = { ...(this.workspaceState?.get(COLUMN_LOCKS_KEY) || {}) };
+    const forFile = this._getColumnLocks(uri).filter((name) => name !== column);
+    if (locked) {
+      forFile.push(column);
+    }
+    if (forFile.length) {
+      locks[uri.toString()] = forFile;
+    } else {
+      delete locks[uri.toString()];
+    }
+    await this.workspaceState?.update(COLUMN_LOCKS_KEY, locks);
+  }
+
+  _getLockedColumns(document) {
+    return [...new Set([...this._getSettings(document.uri).lockedColumns, ...this._getColumnLocks(document.uri)])];
+  }
+
+  // Toggle Read-Only wins over the readOnly setting until the document is closed.
+  _isReadOnly(document) {
+    return document.readOnly ?? this._getSettings(document.uri).readOnly;
+  }
+
+  // Rows with a duplicate or empty key are lost when a keyed JSON object is written, and break the
+  // primary key of a table; either way the user confirms before the file is written.
+  async _confirmKeyConflicts(document) {
+    const conflicts = document.keyCheck?.conflicts || [];
+    if (!conflicts.length) {
+      return;
+    }
+    const name = path.basename(document.uri.fsPath);
+    const rows = conflicts.length === 1 ? '1 row has' : `${conflicts.length} rows have`;
+    const message = document.keyCheck.lossy
+      ? `${rows} a duplicate or empty key and will be lost if ${name} is saved. Save anyway?`
+      : `${rows} a duplicate or empty primary key (${document.keyCheck.column}) in ${name}. Save anyway?`;
+    const listed = conflicts.slice(0, KEY_CONFLICT_DETAIL_LIMIT);
+    if (conflicts.length > KEY_CONFLICT_DETAIL_LIMIT) {
+      listed.push(`…and ${conflicts.length - KEY_CONFLICT_DETAIL_LIMIT} more`);
+    }
+    const choice = await vscode.window.showWarningMessage(message, { modal: true, detail: listed.join('\n') }, 'Save Anyway');
+    if (choice !== 'Save Anyway') {
+      throw new Error(`${name} was not saved because of duplicate or empty keys.`);
+    }
+  }
+
+  _getQueryHistory(uri) {
+    const history = this.workspaceState?.get(QUERY_HISTORY_KEY) || {};
+    return Array.isArray(history[uri.toString()]) ? history[uri.toString()] : [];
+  }
+
+  async _addQueryHistory(uri, sql) {
+    const history = { ...(this.workspaceState?.get(QUERY_HISTORY_KEY) || {}) };
+    const forFile = this._getQueryHistory(uri).filter((entry) => entry !== sql);
+    history[uri.toString()] = [sql, ...forFile].slice(0, QUERY_HISTORY_LIMIT);
+    await this.workspaceState?.update(QUERY_HISTORY_KEY, history);
+    return history[uri.toString()];
+  }
+
+  openFindPanel() {
+    const document = this._getActiveDocument();
+    if (!document || document.loadError) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to search it.');
+      return;
+    }
+    this._postToWebviews(document, { type: 'openFindPanel' });
+  }
+
+  // Search Data Files in Workspace: run the find panel's matcher over every JSON, CSV and workbook
+  // file, read with the same parsers as the editor (open documents with their unsaved edits).
+  async searchWorkspace() {
+    const query = await vscode.window.showInputBox({
+      prompt: 'Search the cells of the JSON, CSV and Excel files in the workspace',
+      placeHolder: 'Text or regular expression',
+    });
+    if (!query) {
+      return;
+    }
+    const picked = await vscode.window.showQuickPick(
+      [
+        { label: 'Regular expression', option: 'regex' },
+        { label: 'Match case', option: 'matchCase' },
+        { label: 'Match whole cell', option: 'wholeCell' },
+      ],
+      { canPickMany: true, placeHolder: 'Search options (none: plain text, any case, part of a cell)' },
+    );
+    if (!picked) {
+      return;
+    }
+    const options = { query };
+    picked.forEach((item) => {
+      options[item.option] = true;
+    });
+    const matcher = cellSearch.createMatcher(options);
+    if (matcher.error) {
+      vscode.window.showErrorMessage(matcher.error);
+      return;
+    }
+
+    const files = await vscode.workspace.findFiles(
+      WORKSPACE_SEARCH_INCLUDE,
+      WORKSPACE_SEARCH_EXCLUDE,
+      WORKSPACE_SEARCH_FILE_LIMIT,
+    );
+    const hits = [];
+    let unreadable = 0;
+    await vscode.window.withProgress(
+      { location: vscode.ProgressLocation.Notification, title: 'Searching data files', cancellable: true },
+      async (progress, token) => {
+        for (const uri of files) {
+          if (token.isCancellationRequested || hits.length >= WORKSPACE_SEARCH_HIT_LIMIT) {
+            break;
+          }
+          progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / files.length });
+          const found = await this._searchFile(uri, matcher);
+          if (found) {
+            hits.push(...found);
+          } else {
+            unreadable += 1;
+          }
+        }
+      },
+    );
+
+    const capped = hits.length >= WORKSPACE_SEARCH_HIT_LIMIT;
+    const items = hits.slice(0, WORKSPACE_SEARCH_HIT_LIMIT).map((hit) => ({
+      label: hit.text,
+      description: `${vscode.workspace.asRelativePath(hit.uri)} ${hit.location}`,
+      detail: hit.column ? `Column ${hit.column}` : undefined,
+      hit,
+    }));
+    const notes = [
+      `${items.length}${capped ? '+' : ''} match${items.length === 1 ? '' : 'es'} in ${files.length} file${files.length === 1 ? '' : 's'}`,
+      unreadable ? `${unreadable} could not be read as a grid` : '',
+    ].filter(Boolean);
+    const choice = await vscode.window.showQuickPick(items, {
+      placeHolder: notes.join('; '),
+      matchOnDescription: true,
+      matchOnDetail: true,
+    });
+    if (choice) {
+      await this.revealCellInEditor(choice.hit.uri, { sheet: choice.hit.sheet, row: choice.hit.row, col: choice.hit.col });
+    }
+  }
+
+  // Matches in one file, or null if it cannot be read as a grid.
+  async _searchFile(uri, matcher) {
+    let document;
+    try {
+      document = await this._loadVersion(uri);
+    } catch {
+      return null;
+    }
+    if (document.loadError) {
+      return null;
+    }
+    const settings = this._getSettings(uri);
+    const payload = sheetConvert.toSheetPayloadFromContent(document.content, settings);
+    if (payload.error) {
+      return null;
+    }
+    const multiple = (payload.sheets || []).length > 1;
+    return toSearchTables(payload, this._getColumnTypeOverrides(uri)).flatMap((table) =>
+      cellSearch.searchTable(table, matcher, {}, settings.typeInference).map((match) => ({
+        ...match,
+        uri,
+        sheet: table.name,
+        location: `${multiple ? `${table.name}!` : ''}${cellSearch.columnLetter(match.col)}${match.row + 1}`,
+      })),
+    );
+  }
+
+  // Open a file in the grid and select a cell of the named sheet.
+  async revealCellInEditor(uri, target) {
+    const key = uri.toString();
+    const document = this._documents.get(key);
+    if (document && this._webviews.has(key)) {
+      await vscode.commands.executeCommand('vscode.openWith', uri, 'jsonFortuneSheet.editor');
+      this._postToWebviews(document, { type: 'revealCell', ...target });
+      return;
+    }
+    this._pendingReveals.set(key, target);
+    await vscode.commands.executeCommand('vscode.openWith', uri, 'jsonFortuneSheet.editor');
+  }
+
+  // Open in Raven Viewer: the file picked in the Explorer, else the one in the active text editor.
+  async openInViewer(resource) {
+    const uri = resourceUri(resource) || vscode.window.activeTextEditor?.document.uri;
+    if (!uri) {
+      vscode.window.showInformationMessage('Open a JSON, CSV or Excel file, or pick one in the Explorer, to show it in Raven Viewer.');
+      return;
+    }
+    await vscode.commands.executeCommand('vscode.openWith', uri, 'jsonFortuneSheet.editor');
+  }
+
+  async reopenAsText() {
+    const document = this._getActiveDocument();
+    if (!document) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to reopen it as text.');
+      return;
+    }
+    await vscode.commands.executeCommand('vscode.openWith', document.uri, 'default');
+  }
+
+  // Toggle Read-Only: lasts until the document is closed; the readOnly setting applies again after.
+  toggleReadOnly(targetDocument) {
+    const document = targetDocument || this._getActiveDocument();
+    if (!document || document.loadError) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to change whether it can be edited.');
+      return;
+    }
+    const readOnly = !this._isReadOnly(document);
+    document.readOnly = readOnly;
+    this._postToWebviews(document, { type: 'setReadOnly', readOnly });
+    vscode.window.setStatusBarMessage(
+      `${path.basename(document.uri.fsPath)} is ${readOnly ? 'read-only' : 'editable'} in Raven Viewer`,
+      3000,
+    );
+  }
+
+  // Add/Remove Sheet, Freeze Header Row and Copy Selection as …: run by the focused grid.
+  runGridCommand(command, options = {}) {
+    const document = this._getActiveDocument();
+    if (!document || document.loadError) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to use this command.');
+      return;
+    }
+    this._postToWebviews(document, { type: 'gridCommand', command, ...options });
+  }
+
+  openQueryPanel() {
+    const document = this._getActiveDocument();
+    if (!document || document.loadError) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to query it.');
+      return;
+    }
+    this._postToWebviews(document, { type: 'openQueryPanel' });
+  }
+
+  // Run a query from the query panel over the sheets the webview sent; the reply carries the
+  // result (or SQLite's error) and the updated history.
+  async _runQuery(document, webviewPanel, message) {
+    const sql = String(message.sql || '').trim();
+    if (!sql) {
+      return;
+    }
+    const history = await this._addQueryHistory(document.uri, sql);
+    let reply;
+    try {
+      const result = await sqlQuery.runQuery(message.tables, sql);
+      reply = { ...result, limit: sqlQuery.RESULT_ROW_LIMIT };
+    } catch (error) {
+      reply = { error: error.message };
+    }
+    webviewPanel.webview.postMessage({ type: 'queryResult', requestId: message.requestId, history, ...reply });
+  }
+
+  _getEncodingOverride(uri) {
+    const overrides = this.workspaceState?.get(ENCODING_OVERRIDES_KEY) || {};
+    return overrides[uri.toString()];
+  }
+
+  async pickEncoding(targetDocument) {
+    const document = targetDocument || this._getActiveDocument();
+    if (!document || document.fileType === 'xlsx') {
+      vscode.window.showInformationMessage('Open a JSON or CSV file in Raven Viewer to change its encoding.');
+      return;
+    }
+
+    const options = [
+      { name: 'utf8', bom: false },
+      { name: 'utf8', bom: true },
+      { name: 'utf16le', bom: true },
+      { name: 'utf16be', bom: true },
+      { name: 'windows1252', bom: false },
+      { name: 'latin1', bom: false },
+    ];
+    const currentLabel = textEncoding.describeEncoding(document.encoding);
+    const items = options.map((encoding) => {
+      const label = textEncoding.describeEncoding(encoding);
+      return { label, description: label === currentLabel ? 'current' : undefined, encoding };
+    });
+
+    const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Reopen with encoding' });
+    if (!choice) {
+      return;
+    }
+
+    if (document.isDirty) {
+      const confirm = await vscode.window.showWarningMessage(
+        'Reopening with a different encoding discards unsaved changes.',
+        { modal: true },
+        'Reopen',
+      );
+      if (confirm !== 'Reopen') {
+        return;
+      }
+    }
+
+    const overrides = { ...(this.workspaceState?.get(ENCODING_OVERRIDES_KEY) || {}) };
+    overrides[document.uri.toString()] = choice.encoding;
+    await this.workspaceState?.update(ENCODING_OVERRIDES_KEY, overrides);
+
+    if (document.isDirty) {
+      // Let VS Code revert so it also clears the dirty state; revertCustomDocument applies the override.
+      await vscode.commands.executeCommand('workbench.action.files.revert');
+    } else {
+      await this.revertCustomDocument(document);
+    }
+  }
+
+  _getCsvDelimiterOverride(uri) {
+    const overrides = this.workspaceState?.get(CSV_DELIMITER_OVERRIDES_KEY) || {};
+    return overrides[uri.toString()];
+  }
+
+  async _setCsvDelimiterOverride(uri, delimiter) {
+    const overrides = { ...(this.workspaceState?.get(CSV_DELIMITER_OVERRIDES_KEY) || {}) };
+    if (delimiter) {
+      overrides[uri.toString()] = delimiter;
+    } else {
+      delete overrides[uri.toString()];
+    }
+    await this.workspaceState?.update(CSV_DELIMITER_OVERRIDES_KEY, overrides);
+  }
+
+  async pickCsvDelimiter() {
+    const document = this._getActiveDocument();
+    if (!document || document.fileType !== 'csv') {
+      vscode.window.showInformationMessage('Open a CSV/TSV file in Raven Viewer to change its delimiter.');
+      return;
+    }
+
+    const current = document.dialect?.delimiter;
+    const items = [
+      { label: 'Auto-detect', description: 'Sniff the delimiter from the file contents', delimiter: undefined },
+      { label: 'Comma', description: ',', delimiter: ',' },
+      { label: 'Semicolon', description: ';', delimiter: ';' },
+      { label: 'Tab', description: '\\t', delimiter: '\t' },
+      { label: 'Pipe', description: '|', delimiter: '|' },
+    ].map((item) => ({ ...item, picked: item.delimiter === current }));
+
+    const choice = await vscode.window.showQuickPick(items, {
+      placeHolder: `Delimiter for ${path.basename(document.uri.fsPath)} (current: ${describeDelimiter(current)})`,
+    });
+    if (!choice) {
+      return;
+    }
+
+    await this._setCsvDelimiterOverride(document.uri, choice.delimiter);
+    const dialect = sheetConvert.detectCsvDialect(document.currentText, document.uri.fsPath);
+    if (choice.delimiter) {
+      dialect.delimiter = choice.delimiter;
+    }
+    // Re-read the current text with the new delimiter; saving then writes it back in that dialect.
+    document.dialect = dialect;
+    document.content = sheetConvert.parseCsv(document.currentText, dialect);
+    this._updateAllWebviews(document);
+  }
+
+  // Write the focused grid to a new file in another format. `formatId` skips the format picker.
+  async exportAs(formatId) {
+    const document = this._getActiveDocument();
+    if (!document || document.loadError) {
+      vscode.window.showInformationMessage('Open a file in Raven Viewer to export it.');
+      return;
+    }
+
+    let format = EXPORT_FORMATS.find((entry) => entry.id === formatId);
+    if (!format) {
+      const choice = await vscode.window.showQuickPick(
+        EXPORT_FORMATS.map((entry) => ({ label: entry.label, description: `.${entry.extension}`, format: entry })),
+        { placeHolder: 'Export as' },
+      );
+      if (!choice) {
+        return;
+      }
+      format = choice.format;
+    }
+
+    try {
+      const listing = await this._requestFromWebview(document, { type: 'exportSheets' });
+      const sheets = Array.isArray(listing.sheets) ? listing.sheets : [];
+      if (!sheets.length) {
+        vscode.window.showInformationMessage('There is nothing to export.');
+        return;
+      }
+
+      let sheetIds = [sheets.find((sheet) => sheet.id === listing.activeId)?.id ?? sheets[0].id];
+      if (sheets.length > 1) {
+        const items = sheets.map((sheet) => ({
+          label: sheet.name,
+          description: sheet.id === listing.activeId ? 'current sheet' : undefined,
+          picked: sheet.id === listing.activeId,
+          id: sheet.id,
+        }));
+        const picked = format.multiSheet
+          ? await vscode.window.showQuickPick(items, { canPickMany: true, placeHolder: 'Sheets to export' })
+          : await vscode.window.showQuickPick(items, { placeHolder: `Sheet to export (${format.label} holds one sheet)` });
+        if (!picked || (Array.isArray(picked) && !picked.length)) {
+          return;
+        }
+        sheetIds = Array.isArray(picked) ? picked.map((item) => item.id) : [picked.id];
+      }
+
+      const choice = await vscode.window.showQuickPick(EXPORT_HEADER_CHOICES[format.header], { placeHolder: 'Header row' });
+      if (!choice) {
+        return;
+      }
+      const { header } = choice;
+
+      const base = document.uri.path.replace(/\.[^./]*$/, '');
+      const target = await vscode.window.showSaveDialog({
+        defaultUri: document.uri.with({ path: `${base}.${format.extension}` }),
+        filters: { [format.label]: [format.extension] },
+      });
+      if (!target) {
+        return;
+      }
+
+      const result = await this._requestFromWebview(document, {
+        type: 'exportRender',
+        format: format.id,
+        sheetIds,
+        header,
+        title: path.basename(document.uri.fsPath),
+      });
+      if (format.id === 'xlsx') {
+        await this.saveXlsxFileMulti(target, result.xlsxSheets || []);
+      } else {
+        await vscode.workspace.fs.writeFile(target, Buffer.from(String(result.text ?? ''), 'utf8'));
+      }
+      vscode.window.showInformationMessage(`Exported to ${path.basename(target.fsPath)}.`);
+    } catch (error) {
+      vscode.window.showErrorMessage(`Export failed: ${error.message}`);
+    }
+  }
+
+  _postToWebviews(document, message) {
+    for (const panel of this._webviews.get(document.uri.toString()) || []) {
+      panel.webview.postMessage(message);
+    }
+  }
+
+  // Re-send the document to its webviews. `keepView` keeps the sheet, scroll position and
+  // selection that are showing (undo/redo, reloads).
+  _updateAllWebviews(document, options = {}) {
+    const key = document.uri.toString();
+    const set = this._webviews.get(key);
+    if (!set || set.size === 0) {
+      return;
+    }
+    const payload = this._buildPayload(document);
+    for (const panel of set) {
+      try {
+        panel.webview.postMessage({ type: 'init', payload, keepView: Boolean(options.keepView) });
+      } catch {
+        // ignore
+      }
+    }
+  }
+
+  async saveTextFile(uri, content, fileType, encoding) {
+    try {
+      const { buffer, unmappable } = textEncoding.encodeText(content, encoding);
+      if (unmappable > 0) {
+        vscode.window.showWarningMessage(
+          `${unmappable} character(s) cannot be represented in ${textEncoding.describeEncoding(encoding)} and were saved as "?". Use "Raven Viewer: Reopen with Encoding…" to switch to UTF-8.`,
+        );
+      }
+      await vscode.workspace.fs.writeFile(uri, buffer);
+      return buffer;
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to save file: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  // Save a single matrix as the only sheet of a new workbook. Returns the written bytes.
+  async saveXlsxFile(uri, matrix) {
+    try {
+      const safeMatrix = Array.isArray(matrix) ? matrix : [[]];
+      const normalized = normalizeMatrixForXlsx(safeMatrix);
+      const worksheet = XLSX.utils.aoa_to_sheet(normalized);
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, worksheet, 'Sheet1');
+      const wbout = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+      await vscode.workspace.fs.writeFile(uri, wbout);
+      return wbout;
+    } catch (error) {
+      vscode.window.showErrorMessage(`Failed to save Excel file: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  _webviewOptions() {
+    return {
+      enableScripts: true,
+      localResourceRoots: [
+        vscode.Uri.joinPath(this.extensionUri, 'media'),
+        vscode.Uri.joinPath(this.extensionUri, 'node_modules'),
+      ],
+    };
+  }
+
+  getHtmlForWebview(webview) {
+    const scriptUri = webview.asWebviewUri(vscode.Uri.joinPath(this.extensionUri, 'media', 'webview.js'));
     const styleUri = webview.asWebviewUri(vscode.Uri.joinPath(this.extensionUri, 'media', 'webview.css'));
+    const workerUri = webview.asWebviewUri(vscode.Uri.joinPath(this.extensionUri, 'media', 'profile-worker.js'));
     const nonce = getNonce();
+    // Webviews cannot start workers from extension resources directly: the column profile worker
+    // is fetched and started from a blob URL.
     const csp = [
       "default-src 'none'",
       `img-src ${webview.cspSource} data:`,
       `style-src ${webview.cspSource} 'unsafe-inline'`,
       `script-src 'nonce-${nonce}'`,
+      `connect-src ${webview.cspSource}`,
+      'worker-src blob:',
     ].join('; ');
 
     return `<!DOCTYPE html>
@@ -362,7 +1731,7 @@ class FortuneSheetEditorProvider {
   <link rel="stylesheet" href="${styleUri}" />
   <title>JSON FortuneSheet Editor</title>
 </head>
-<body>
+<body data-profile-worker="${workerUri}">
   <div id="root"></div>
   <script nonce="${nonce}" src="${scriptUri}"></script>
 </body>
@@ -370,454 +1739,366 @@ class FortuneSheetEditorProvider {
   }
 }
 
-function toSheetPayloadFromContent(content) {
-  if (content && content.dataKind === 'csv') {
-    const { sheets, typeMap } = createSheetFromMatrix(content.matrix);
-    return { sheets, typeMap, dataKind: 'csv', text: content.text };
-  }
-
-  if (content && content.dataKind === 'xlsx') {
-    const rawSheets = Array.isArray(content.sheets)
-      ? content.sheets
-      : Array.isArray(content.matrix)
-        ? [{ name: 'Sheet1', matrix: content.matrix }]
-        : [{ name: 'Sheet1', matrix: [[]] }];
-
-    const sheets = [];
-    rawSheets.forEach((s, idx) => {
-      const built = createSheetFromMatrix(s.matrix, s.name);
-      const sheetObj = built.sheets[0];
-      sheetObj.order = idx;
-      sheets.push(sheetObj);
-    });
+// Serves the text views (see openTextView): a `raven-text:` file reads as the document's
+// current text, and saving it saves the document.
+class TextViewFileSystem {
+  constructor(provider) {
+    this.provider = provider;
+    this._onDidChangeFile = new vscode.EventEmitter();
+    this.onDidChangeFile = this._onDidChangeFile.event;
+  }
 
-    return { sheets, typeMap: {}, dataKind: 'xlsx', text: '' };
+  _document(uri) {
+    const document = this.provider._documentForTextView(uri);
+    if (!document) {
+      throw vscode.FileSystemError.FileNotFound(uri);
+    }
+    return document;
   }
 
-  const extracted = jsonRules.validateAndExtract(content);
-  const text = JSON.stringify(content ?? {}, null, 2);
+  watch() {
+    return new vscode.Disposable(() => {});
+  }
 
-  if (!extracted.ok) {
+  stat(uri) {
+    const document = this._document(uri);
+    const view = this.provider._textViews.get(document.uri.toString());
     return {
-      sheets: [],
-      typeMap: {},
-      dataKind: 'unsupported',
-      error: extracted.reason,
-      text,
+      type: vscode.FileType.File,
+      ctime: view.mtime,
+      mtime: view.mtime,
+      size: Buffer.byteLength(document.currentText, 'utf8'),
     };
   }
 
-  if (extracted.kind === 'objectKV') {
-    const { sheets, dataKind } = createSheetsFromJson(extracted.object);
-    return { sheets, typeMap: {}, dataKind, text };
+  readFile(uri) {
+    return Buffer.from(this._document(uri).currentText, 'utf8');
   }
 
-  if (extracted.kind === 'objectOfObjects') {
-    const prep = prepareObjectOfObjects(extracted.object);
-    if (!prep.ok) {
-      return {
-        sheets: [],
-        typeMap: {},
-        dataKind: 'unsupported',
-        error: prep.reason,
-        text,
-      };
-    }
-    const { sheets } = createSheetFromObjectOfObjects(prep.keys, prep.fieldHeaders, prep.rows);
-    return {
-      sheets,
-      typeMap: {},
-      dataKind: 'objectOfObjects',
-      text,
-    };
+  async writeFile(uri, content) {
+    const document = this._document(uri);
+    const text = Buffer.from(content).toString('utf8').replace(/^\uFEFF/, '');
+    await this.provider.saveFromTextView(document, text);
   }
 
-  // Array-like shapes (top-level array or wrapper {data:[...]})
-  const inputRows = extracted.kind === 'wrappedArray' ? extracted.data : extracted.data;
-  const kindForWrapper = extracted.kind;
-
-  const flattenedRows = [];
-  const headers = [];
-  const headerSet = new Set();
-
-  for (let i = 0; i < inputRows.length; i += 1) {
-    const row = inputRows[i];
-    const flatRes = jsonRules.flattenRowObject(row);
-    if (!flatRes.ok) {
-      return {
-        sheets: [],
-        typeMap: {},
-        dataKind: 'unsupported',
-        error: `Unsupported JSON at row[${i}]: ${flatRes.errors.join(' ')}`,
-        text,
-      };
-    }
-
-    const flat = flatRes.flat;
-    Object.keys(flat).forEach((key) => {
-      if (!headerSet.has(key)) {
-        headerSet.add(key);
-        headers.push(key);
-      }
-    });
-    flattenedRows.push(flat);
+  readDirectory() {
+    return [];
   }
 
-  const { sheets } = createSheetFromFlatRows(headers, flattenedRows);
+  createDirectory(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
+  }
 
-  if (kindForWrapper === 'wrappedArray') {
-    return {
-      sheets,
-      typeMap: {},
-      dataKind: 'wrappedArray',
-      wrapper: { meta: extracted.meta, dataProp: extracted.dataProp },
-      text,
-    };
+  delete(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
   }
 
-  return {
-    sheets,
-    typeMap: {},
-    dataKind: 'array',
-    text,
-  };
+  rename(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
+  }
 }
 
-function prepareObjectOfObjects(obj) {
-  const keys = Object.keys(obj || {});
-  const rows = [];
-  const fieldHeaders = [];
-  const fieldSet = new Set();
-
-  for (let i = 0; i < keys.length; i += 1) {
-    const k = keys[i];
-    const inner = obj[k];
-    const flatRes = jsonRules.flattenInnerObject(inner, k);
-    if (!flatRes.ok) {
-      return { ok: false, reason: flatRes.errors.join(' ') };
-    }
-    const flat = flatRes.flat;
-    Object.keys(flat).forEach((field) => {
-      if (!fieldSet.has(field)) {
-        fieldSet.add(field);
-        fieldHeaders.push(field);
-      }
-    });
-    rows.push({ key: k, fields: flat });
+// The file a command was run on: a URI from the Explorer, or a Source Control resource.
+function resourceUri(resource) {
+  if (resource instanceof vscode.Uri) {
+    return resource;
   }
-
-  return { ok: true, keys, fieldHeaders, rows };
+  return resource && resource.resourceUri instanceof vscode.Uri ? resource.resourceUri : undefined;
 }
 
-function createSheetFromObjectOfObjects(keys, fieldHeaders, rows) {
-  const celldata = [];
-  const headers = ['key', ...fieldHeaders];
-
-  headers.forEach((h, c) => {
-    celldata.push(createCell(0, c, h));
-  });
-
-  rows.forEach((row, idx) => {
-    const r = idx + 1;
-    celldata.push(createCell(r, 0, row.key));
-    fieldHeaders.forEach((field, cIdx) => {
-      const v = Object.prototype.hasOwnProperty.call(row.fields, field) ? row.fields[field] : '';
-      celldata.push(createCell(r, cIdx + 1, v));
-    });
+// The file's bytes as committed in HEAD of its Git repository.
+function readGitHead(uri) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      'git',
+      ['show', `HEAD:./${path.basename(uri.fsPath)}`],
+      { cwd: path.dirname(uri.fsPath), encoding: 'buffer', maxBuffer: GIT_SHOW_MAX_BUFFER },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(String(stderr || '').trim() || error.message));
+        } else {
+          resolve(stdout);
+        }
+      },
+    );
   });
+}
 
-  const data = celldataToMatrixFromCells(celldata);
-  return {
-    sheets: [
-      {
-        name: 'Sheet1',
-        order: 0,
-        status: 1,
-        celldata,
-        data,
-        row: Math.max(rows.length + 10, 20),
-        column: Math.max(headers.length + 5, 10),
-        defaultColWidth: 120,
-        showGridLines: true,
-        filter: {},
-      },
-    ],
-  };
+// The text view of a document is the same path under TEXT_VIEW_SCHEME, with the original scheme
+// kept in the query.
+function textViewUri(uri) {
+  return uri.with({ scheme: TEXT_VIEW_SCHEME, query: uri.scheme });
 }
 
-function toSheetPayloadFromObject(obj) {
-  const typeMap = {};
-  buildTypeMap(obj, '', typeMap);
-  const { sheets, dataKind } = createSheetsFromJson(obj);
-  return { sheets, typeMap, dataKind };
+function documentUriOfTextView(uri) {
+  return uri.with({ scheme: uri.query || 'file', query: '' });
 }
 
-function buildTypeMap(value, pathPrefix, typeMap) {
-  if (value === null) {
-    typeMap[pathPrefix || '$root'] = 'null';
-    return;
-  }
-  const valueType = typeof value;
-  if (valueType === 'number' || valueType === 'boolean' || valueType === 'string') {
-    typeMap[pathPrefix || '$root'] = valueType;
-    return;
-  }
-  if (Array.isArray(value)) {
-    const base = pathPrefix || '$root';
-    typeMap[base] = 'array';
-    value.forEach((item, index) => {
-      const nextPrefix = pathPrefix ? `${pathPrefix}[${index}]` : `[${index}]`;
-      buildTypeMap(item, nextPrefix, typeMap);
-    });
-    return;
-  }
-  if (value && valueType === 'object') {
-    const base = pathPrefix || '$root';
-    typeMap[base] = 'object';
-    Object.entries(value).forEach(([key, val]) => {
-      const nextPrefix = pathPrefix ? `${pathPrefix}.${key}` : key;
-      buildTypeMap(val, nextPrefix, typeMap);
-    });
+// The single replacement that turns `before` into `after`: the span between their common prefix and suffix.
+function diffText(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
   }
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end += 1;
+  }
+  return { start, end: before.length - end, text: after.slice(start, after.length - end) };
 }
 
-function createSheetsFromJson(json) {
-  if (Array.isArray(json)) {
-    return createSheetFromArray(json);
+// Text range a grid cell comes from. `cell` is { row, col } of the main sheet; JSON cells also
+// carry the path the webview derived for them (cellJsonPath in webview-src/main.jsx).
+function locateCellText(document, text, cell) {
+  if (document.fileType === 'csv') {
+    return sheetConvert.csvFieldRanges(text, document.dialect)[cell.row]?.[cell.col] || null;
   }
-  if (json && typeof json === 'object') {
-    return createSheetFromObject(json);
+  if (!cell.path || !Array.isArray(cell.path.segments)) {
+    return null;
   }
-  return createSheetFromObject({});
+  if (document.fileType === 'jsonl') {
+    const [index, ...segments] = cell.path.segments;
+    const line = jsonLinesRecordRanges(text)[index];
+    if (!line) {
+      return null;
+    }
+    if (!segments.length) {
+      return line;
+    }
+    const found = jsonFormat.locatePath(text.slice(line.start, line.end), segments, cell.path.key);
+    return found ? { start: line.start + found.start, end: line.start + found.end } : null;
+  }
+  return jsonFormat.locatePath(text, cell.path.segments, cell.path.key);
 }
 
-function createSheetFromFlatRows(headers, rows) {
-  const celldata = [];
-
-  headers.forEach((key, c) => {
-    celldata.push(createCell(0, c, key));
-  });
+// Inverse of locateCellText: the cell (or JSON path, for the webview to resolve) at a text offset.
+function cellAtTextOffset(document, text, offset) {
+  if (document.fileType === 'csv') {
+    const ranges = sheetConvert.csvFieldRanges(text, document.dialect);
+    for (let row = 0; row < ranges.length; row += 1) {
+      const col = (ranges[row] || []).findIndex((range) => range && offset >= range.start && offset <= range.end);
+      if (col >= 0) {
+        return { row, col };
+      }
+    }
+    return null;
+  }
+  if (document.fileType === 'jsonl') {
+    const lines = jsonLinesRecordRanges(text);
+    const index = lines.findIndex((line) => offset >= line.start && offset <= line.end);
+    if (index < 0) {
+      return null;
+    }
+    const found = jsonFormat.pathAtOffset(text.slice(lines[index].start, lines[index].end), offset - lines[index].start);
+    return { path: { segments: [index, ...(found ? found.segments : [])], key: Boolean(found?.key) } };
+  }
+  const found = jsonFormat.pathAtOffset(text, offset);
+  return found && found.segments.length ? { path: found } : null;
+}
 
-  rows.forEach((rowObj, rowIndex) => {
-    const r = rowIndex + 1;
-    headers.forEach((key, c) => {
-      const value = Object.prototype.hasOwnProperty.call(rowObj, key) ? rowObj[key] : '';
-      celldata.push(createCell(r, c, value));
+// Text ranges of the JSON Lines records that are table rows (blank and invalid lines are not).
+function jsonLinesRecordRanges(text) {
+  const lineStarts = [0];
+  const lineBreak = /\r\n|\n|\r/g;
+  let match;
+  while ((match = lineBreak.exec(text))) {
+    lineStarts.push(match.index + match[0].length);
+  }
+  return sheetConvert.parseJsonLines(text)
+    .entries.filter((entry) => Object.prototype.hasOwnProperty.call(entry, 'value'))
+    .map((entry) => {
+      const start = lineStarts[entry.lineNumber - 1];
+      const length = text.slice(start).search(/\r|\n/);
+      return { start, end: length < 0 ? text.length : start + length };
     });
-  });
-
-  const data = celldataToMatrixFromCells(celldata);
-
-  return {
-    sheets: [
-      {
-        name: 'Sheet1',
-        order: 0,
-        status: 1,
-        celldata,
-        data,
-        row: Math.max(rows.length + 10, 20),
-        column: Math.max(headers.length + 5, 10),
-        showGridLines: true,
-        filter: {},
-      },
-    ],
-  };
 }
 
-function createSheetFromMatrix(matrix, sheetName = 'Sheet1') {
-  const typeMap = {};
-  const celldata = [];
-  (matrix || []).forEach((row, r) => {
-    (row || []).forEach((value, c) => {
-      const hint = inferSimpleHint(value);
-      typeMap[`${r},${c}`] = hint;
+// Fingerprint of file contents, to recognise our own writes (see diskSignature).
+function hashBytes(bytes) {
+  return crypto.createHash('sha1').update(bytes).digest('hex');
+}
 
-      // Keep primitive values as-is; default to empty string.
-      let cellValue = value;
-      if (cellValue === undefined || cellValue === null) {
-        cellValue = '';
-      }
-      celldata.push(createCell(r, c, cellValue));
-    });
-  });
+// Documents that failed to load hold placeholder content; writing it would replace the file.
+function assertSavable(document) {
+  if (document.loadError) {
+    throw new Error(`${path.basename(document.uri.fsPath)} was not saved because it could not be opened: ${document.loadError.message}`);
+  }
+}
 
-  const data = celldataToMatrixFromCells(celldata);
+// Cell texts of each sheet in a grid payload, for sheet-diff.js.
+function toComparisonSheets(payload) {
+  return (payload.sheets || []).map((sheet) => ({
+    name: sheet.name,
+    rows: Array.from(sheetConvert.celldataToMatrixFromCells(sheet.celldata || []), (row) =>
+      Array.from(row || [], (cell) => (cell && typeof cell === 'object' ? String(cell.m ?? cell.v ?? '') : '')),
+    ),
+  }));
+}
 
-  return {
-    sheets: [
-      {
-        name: sheetName,
-        order: 0,
-        status: 1,
-        celldata,
-        data,
-        row: Math.max(matrix.length + 10, 20),
-        column: Math.max((matrix[0] || []).length + 5, 10),
-        showGridLines: true,
-        filter: {},
-      },
-    ],
-    typeMap,
-  };
+// The sheets of a payload in the table model of cell-search.js, with columns named and typed the
+// way the webview does for its find panel (column types apply to the main sheet of JSON files).
+function toSearchTables(payload, overrides) {
+  const keyValue = payload.dataKind === 'object';
+  const schema = payload.columnTypes && !keyValue ? { columnTypes: payload.columnTypes, overrides: overrides || {} } : null;
+  return toComparisonSheets(payload).map((sheet, idx) => ({
+    name: sheet.name,
+    rows: sheet.rows,
+    header: !keyValue,
+    columns: cellSearch.tableColumns(sheet.rows, keyValue, idx === 0 ? schema : null),
+  }));
 }
 
-function createSheetFromArray(arr) {
-  const headers = collectHeaders(arr);
+// One sheet of the Compare With… grid: a marker column (+ added, − removed, ~ changed) and the
+// aligned columns. Changed cells read "old → new"; rows and columns only in one version are
+// filled green (added) or red (removed). Each difference is appended to `entries` for navigation.
+function createSheetFromComparison(result, order, header, multiple, entries) {
+  const { table } = result;
+  const id = `compare-${order}`;
+  const name = result.status === 'both' ? result.name : `${result.name} (${result.status})`;
+  const prefix = multiple ? `${result.name}: ` : '';
   const celldata = [];
+  const put = (r, c, text, bg) => {
+    if (text === '' && !bg) {
+      return;
+    }
+    const cell = sheetConvert.createCell(r, c, text);
+    if (bg) {
+      cell.v.bg = bg;
+    }
+    celldata.push(cell);
+  };
+  const columnStatus = table.columns.map((column) => (column.before < 0 ? 'added' : column.after < 0 ? 'removed' : null));
+  const headerRow = header ? table.rows[0] : null;
+  const columnName = (idx) => {
+    const text = headerRow ? headerRow.cells[idx].after || headerRow.cells[idx].before : '';
+    return text || `column ${idx + 1}`;
+  };
 
-  // Create header row
-  headers.forEach((key, idx) => {
-    celldata.push(createCell(0, idx, key));
-  });
-
-  // Create data rows
-  arr.forEach((row, rowIndex) => {
-    const targetRow = rowIndex + 1;
-    if (row && typeof row === 'object' && !Array.isArray(row)) {
-      headers.forEach((key, colIndex) => {
-        const value = row[key];
-        celldata.push(createCell(targetRow, colIndex, value));
-      });
-    } else {
-      // Handle primitive values in array
-      celldata.push(createCell(targetRow, 0, rowIndex));
-      celldata.push(createCell(targetRow, 1, row));
+  if (result.status !== 'both') {
+    entries.push({ sheetId: id, sheetName: name, row: 0, col: 0, description: `Sheet "${result.name}" was ${result.status}` });
+  }
+  table.rows.forEach((row, r) => {
+    put(r, 0, COMPARE_MARKERS[row.status] || '', COMPARE_COLORS[row.status]);
+    if (result.status === 'both' && (row.status === 'added' || row.status === 'removed')) {
+      const line = row.status === 'added' ? row.after + 1 : row.before + 1;
+      entries.push({ sheetId: id, sheetName: name, row: r, col: 0, description: `${prefix}Row ${line} ${row.status}` });
     }
+    row.cells.forEach((cell, idx) => {
+      const c = idx + 1;
+      if (cell.changed) {
+        put(r, c, `${cell.before} → ${cell.after}`, COMPARE_COLORS.changed);
+        entries.push({
+          sheetId: id,
+          sheetName: name,
+          row: r,
+          col: c,
+          description: `${prefix}${row.status === 'header' ? 'Header' : `Row ${row.after + 1}`}, ${columnName(idx)}: ${JSON.stringify(cell.before)} → ${JSON.stringify(cell.after)}`,
+        });
+        return;
+      }
+      const fromAfter = row.after >= 0 && table.columns[idx].after >= 0;
+      const fill = row.status === 'added' || row.status === 'removed' ? row.status : columnStatus[idx];
+      put(r, c, fromAfter ? cell.after : cell.before, fill ? COMPARE_COLORS[fill] : null);
+    });
   });
 
-  const data = celldataToMatrixFromCells(celldata);
-
   return {
-    sheets: [
-      {
-        name: 'Sheet1',
-        order: 0,
-        status: 1,
-        celldata,
-        data,
-        row: Math.max(arr.length + 10, 20),
-        column: Math.max(headers.length + 2, 10),
-        showGridLines: true,
-        filter: {},
-      },
-    ],
-    dataKind: 'array',
+    id,
+    name,
+    order,
+    status: order === 0 ? 1 : 0,
+    celldata,
+    data: sheetConvert.celldataToMatrixFromCells(celldata),
+    config: { columnlen: { 0: 28 } },
+    frozen: { type: header ? 'both' : 'column', range: { row_focus: 0, column_focus: 0 } },
+    row: Math.max(table.rows.length + 10, 20),
+    column: Math.max(table.columns.length + 5, 10),
+    showGridLines: true,
   };
 }
 
-function createSheetFromObject(obj) {
-  const entries = Object.entries(obj ?? {});
-  const celldata = [];
-
-  entries.forEach(([key, value], rowIndex) => {
-    celldata.push(createCell(rowIndex, 0, key));
-    celldata.push(createCell(rowIndex, 1, value));
-  });
-
-  if (entries.length === 0) {
-    celldata.push(createCell(0, 0, 'key'));
-    celldata.push(createCell(0, 1, 'value'));
+function describeDelimiter(delimiter) {
+  switch (delimiter) {
+    case ',':
+      return 'comma';
+    case ';':
+      return 'semicolon';
+    case '\t':
+      return 'tab';
+    case '|':
+      return 'pipe';
+    default:
+      return delimiter ? JSON.stringify(delimiter) : 'auto';
   }
-
-  const data = celldataToMatrixFromCells(celldata);
-
-  return {
-    sheets: [
-      {
-        name: 'Sheet1',
-        order: 0,
-        status: 1,
-        celldata,
-        data,
-        row: Math.max(entries.length + 10, 20),
-        column: 10,
-        showGridLines: true,
-      },
-    ],
-    dataKind: 'object',
-  };
 }
 
-function createCell(r, c, value) {
-  let display;
-  let rawValue;
-  
-  if (value === null) {
-    display = 'null';
-    rawValue = null;
-  } else if (value === undefined) {
-    display = '';
-    rawValue = '';
-  } else if (typeof value === 'object') {
-    // Convert objects and arrays to JSON string for display
-    display = JSON.stringify(value);
-    rawValue = display;
-  } else {
-    display = String(value);
-    rawValue = value;
-  }
-  
+// Settings as the editor uses them: values of the wrong type fall back to the defaults.
+function normalizeSettings(settings) {
+  const number = (name, min) =>
+    Number.isFinite(settings[name]) && settings[name] >= min ? Math.round(settings[name]) : EDITOR_SETTINGS[name];
+  const inference = settings.typeInference && typeof settings.typeInference === 'object' ? settings.typeInference : {};
+  const typeInference = {};
+  Object.keys(EDITOR_SETTINGS.typeInference).forEach((name) => {
+    typeInference[name] = typeof inference[name] === 'boolean' ? inference[name] : EDITOR_SETTINGS.typeInference[name];
+  });
   return {
-    r,
-    c,
-    v: {
-      v: rawValue,
-      m: display,
-    },
+    wrapperProperty:
+      typeof settings.wrapperProperty === 'string' && settings.wrapperProperty
+        ? settings.wrapperProperty
+        : EDITOR_SETTINGS.wrapperProperty,
+    readOnly: settings.readOnly === true,
+    typeInference,
+    jsonIndentation: Math.min(number('jsonIndentation', 0), 8),
+    defaultColumnWidth: number('defaultColumnWidth', 20),
+    editDebounce: number('editDebounce', 0),
+    initUnlockDelay: number('initUnlockDelay', 0),
+    lockedColumns: Array.isArray(settings.lockedColumns)
+      ? settings.lockedColumns.filter((name) => typeof name === 'string' && name)
+      : [],
   };
 }
 
-// Convert a celldata array into a 2D matrix structure FortuneSheet can also consume
-function celldataToMatrixFromCells(cells) {
-  const matrix = [];
-  cells.forEach((cell) => {
-    if (!matrix[cell.r]) {
-      matrix[cell.r] = [];
+// Whether `filePath` (forward slashes) matches a settings glob: `*` and `?` stay within a folder,
+// `**` crosses folders, `{a,b}` is either and `[…]` a character class.
+function matchesGlob(glob, filePath) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all.
+      const folders = glob[i + 2] === '/';
+      source += folders ? '(?:.*/)?' : '.*';
+      i += folders ? 2 : 1;
+    } else if (ch === '*') {
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '{') {
+      source += '(?:';
+      braces += 1;
+    } else if (ch === '}' && braces) {
+      source += ')';
+      braces -= 1;
+    } else if (ch === ',' && braces) {
+      source += '|';
+    } else if (ch === '[' && glob.indexOf(']', i + 2) > 0) {
+      const end = glob.indexOf(']', i + 2);
+      source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += ch.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
     }
-    matrix[cell.r][cell.c] = cell.v;
-  });
-  return matrix;
-}
-
-function parseCsv(text) {
-  const lines = text.split(/\r?\n/);
-  const matrix = lines
-    .filter((line, idx, arr) => !(idx === arr.length - 1 && line.trim() === ''))
-    .map((line) => line.split(',').map((cell) => cell.trim()));
-  return { dataKind: 'csv', matrix, text };
-}
-
-function detectKind(fsPath) {
-  const lower = (fsPath || '').toLowerCase();
-  if (lower.endsWith('.csv')) {
-    return 'csv';
   }
-  if (lower.endsWith('.xlsx')) {
-    return 'xlsx';
-  }
-  return 'json';
-}
-
-function inferSimpleHint(value) {
-  if (value === null) return 'null';
-  if (typeof value === 'number') return 'number';
-  if (typeof value === 'boolean') return 'boolean';
-  return 'string';
-}
-
-function collectHeaders(arr) {
-  const headers = new Set();
-  arr.forEach((item) => {
-    if (item && typeof item === 'object' && !Array.isArray(item)) {
-      Object.keys(item).forEach((key) => headers.add(key));
-    }
-  });
-  if (headers.size === 0) {
-    headers.add('index');
-    headers.add('value');
+  try {
+    return new RegExp(`^${source}$`).test(filePath);
+  } catch {
+    return false;
   }
-  return Array.from(headers);
 }
 
 function normalizeMatrixForXlsx(matrix) {
@@ -0,0 +1,451 @@
+'use strict';
+
+// Minimal-diff JSON writing.
+// The webview sends the whole document back after every edit. Instead of re-emitting it with
+// JSON.stringify, patch the previous text: values that did not change keep their exact text
+// (number spelling, escapes, key order, whitespace) and only changed values, or containers
+// whose members were added/removed, are rewritten in the file's own indentation style.
+
+const jsonRules = require('./json-sheet-rules');
+
+// `indent` (spaces) is used when the text has no indented line to follow.
+function detectJsonStyle(text, indent = 2) {
+  const source = String(text || '');
+  const eol = /\r\n/.test(source) ? '\r\n' : '\n';
+  const nested = /[[{][ \t]*\r?\n([ \t]*)\S/.exec(source);
+  const multiline = Boolean(nested);
+  const keySep = /"([ \t]*):([ \t]*)/.exec(source);
+  const itemSep = /[\]}"\d el]([ \t]*),([ \t]*)["[{\d\-tfn]/.exec(source);
+  return {
+    eol,
+    multiline,
+    indent: nested && nested[1] ? nested[1] : ' '.repeat(indent),
+    keySeparator: keySep ? `${keySep[1]}:${keySep[2]}` : multiline ? ': ' : ':',
+    itemSeparator: itemSep ? `${itemSep[1]},${itemSep[2]}` : ',',
+    trailingNewline: /\r?\n$/.test(source),
+  };
+}
+
+// Parse JSON text into nodes that remember where each value starts and ends.
+function parseWithPositions(text) {
+  let i = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${i}`);
+  };
+  const skipWhitespace = () => {
+    while (i < text.length && /[ \t\r\n]/.test(text[i])) {
+      i += 1;
+    }
+  };
+
+  const parseString = () => {
+    const start = i;
+    i += 1;
+    while (i < text.length && text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    if (i >= text.length) {
+      fail('Unterminated string');
+    }
+    i += 1;
+    return { type: 'primitive', start, end: i, value: JSON.parse(text.slice(start, i)) };
+  };
+
+  const parseValue = () => {
+    skipWhitespace();
+    const ch = text[i];
+    if (ch === '{') {
+      const node = { type: 'object', start: i, members: [] };
+      i += 1;
+      skipWhitespace();
+      if (text[i] === '}') {
+        i += 1;
+        node.end = i;
+        return node;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"') {
+          fail('Expected property name');
+        }
+        const keyNode = parseString();
+        skipWhitespace();
+        if (text[i] !== ':') {
+          fail("Expected ':'");
+        }
+        i += 1;
+        const valueNode = parseValue();
+        node.members.push({ key: keyNode.value, start: keyNode.start, keyEnd: keyNode.end, value: valueNode });
+        skipWhitespace();
+        if (text[i] === ',') {
+          i += 1;
+          continue;
+        }
+        if (text[i] === '}') {
+          i += 1;
+          node.end = i;
+          return node;
+        }
+        fail("Expected ',' or '}'");
+      }
+    }
+    if (ch === '[') {
+      const node = { type: 'array', start: i, items: [] };
+      i += 1;
+      skipWhitespace();
+      if (text[i] === ']') {
+        i += 1;
+        node.end = i;
+        return node;
+      }
+      for (;;) {
+        node.items.push(parseValue());
+        skipWhitespace();
+        if (text[i] === ',') {
+          i += 1;
+          continue;
+        }
+        if (text[i] === ']') {
+          i += 1;
+          node.end = i;
+          return node;
+        }
+        fail("Expected ',' or ']'");
+      }
+    }
+    if (ch === '"') {
+      return parseString();
+    }
+    const literal = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+    literal.lastIndex = i;
+    const match = literal.exec(text);
+    if (!match) {
+      fail('Unexpected token');
+    }
+    const start = i;
+    i += match[0].length;
+    const value = /^[-\d]/.test(match[0]) ? jsonRules.parseNumberLiteral(match[0]) : JSON.parse(match[0]);
+    return { type: 'primitive', start, end: i, value };
+  };
+
+  const root = parseValue();
+  skipWhitespace();
+  if (i < text.length) {
+    fail('Unexpected trailing content');
+  }
+  return root;
+}
+
+// Text range of the value at `segments` (property names and array indexes, e.g. [0, 'name']), or of
+// its property name with `key`. A property missing from the last object points at that object.
+function locatePath(text, segments, key) {
+  let node;
+  try {
+    node = parseWithPositions(text);
+  } catch {
+    return null;
+  }
+  let member = null;
+  for (let depth = 0; depth < segments.length; depth += 1) {
+    const segment = segments[depth];
+    let next = null;
+    member = null;
+    if (node.type === 'object') {
+      // Like JSON.parse, the last of duplicate keys wins.
+      member = [...node.members].reverse().find((m) => m.key === String(segment)) || null;
+      next = member ? member.value : null;
+    } else if (node.type === 'array' && Number.isInteger(segment)) {
+      next = node.items[segment] || null;
+    }
+    if (!next) {
+      return depth > 0 && depth === segments.length - 1 ? { start: node.start, end: node.end } : null;
+    }
+    node = next;
+  }
+  if (key && member) {
+    return { start: member.start, end: member.keyEnd };
+  }
+  return { start: node.start, end: node.end };
+}
+
+// Inverse of locatePath: the path of the innermost value at `offset`, and whether the offset is
+// on its property name.
+function pathAtOffset(text, offset) {
+  let node;
+  try {
+    node = parseWithPositions(text);
+  } catch {
+    return null;
+  }
+  const segments = [];
+  for (;;) {
+    if (node.type === 'object') {
+      const member = node.members.find((m) => offset >= m.start && offset <= m.value.end);
+      if (!member) {
+        break;
+      }
+      segments.push(member.key);
+      if (offset <= member.keyEnd) {
+        return { segments, key: true };
+      }
+      node = member.value;
+    } else if (node.type === 'array') {
+      const index = node.items.findIndex((item) => offset >= item.start && offset <= item.end);
+      if (index < 0) {
+        break;
+      }
+      segments.push(index);
+      node = node.items[index];
+    } else {
+      break;
+    }
+  }
+  return { segments, key: false };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The JS value a node represents (only needed to compare array items).
+function nodeValue(node) {
+  if (node.type === 'object') {
+    const out = {};
+    node.members.forEach((member) => {
+      out[member.key] = nodeValue(member.value);
+    });
+    return out;
+  }
+  if (node.type === 'array') {
+    return node.items.map(nodeValue);
+  }
+  return node.value;
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, idx) => deepEqual(item, b[idx]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function lineIndentAt(text, pos) {
+  const lineStart = text.lastIndexOf('\n', pos - 1) + 1;
+  const match = /^[ \t]*/.exec(text.slice(lineStart, pos));
+  return match ? match[0] : '';
+}
+
+function applyEdits(text, edits, offset = 0) {
+  let out = text;
+  [...edits]
+    .sort((a, b) => b.start - a.start)
+    .forEach((edit) => {
+      out = out.slice(0, edit.start - offset) + edit.text + out.slice(edit.end - offset);
+    });
+  return out;
+}
+
+// Serialize a value that has no original text, at the given line indentation.
+function formatValue(value, style, indent) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    const items = value.map((item) => formatValue(item, style, indent + style.indent));
+    return style.multiline
+      ? `[${style.eol}${indent}${style.indent}${items.join(`,${style.eol}${indent}${style.indent}`)}${style.eol}${indent}]`
+      : `[${items.join(style.itemSeparator)}]`;
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    if (keys.length === 0) {
+      return '{}';
+    }
+    const members = keys.map(
+      (key) => `${JSON.stringify(key)}${style.keySeparator}${formatValue(value[key], style, indent + style.indent)}`,
+    );
+    return style.multiline
+      ? `{${style.eol}${indent}${style.indent}${members.join(`,${style.eol}${indent}${style.indent}`)}${style.eol}${indent}}`
+      : `{${members.join(style.itemSeparator)}}`;
+  }
+  if (jsonRules.isLosslessNumber(value)) {
+    return jsonRules.losslessNumberText(value);
+  }
+  const json = JSON.stringify(value);
+  return json === undefined ? 'null' : json;
+}
+
+// Rebuild a container from parts (original text where kept, fresh text otherwise),
+// following the container's own layout: one part per line or all on one line.
+function layoutContainer(text, node, parts, open, close, style) {
+  if (parts.length === 0) {
+    return `${open}${close}`;
+  }
+  const original = text.slice(node.start, node.end);
+  const children = node.type === 'object' ? node.members : node.items;
+  const multiline = children.length ? original.includes('\n') : style.multiline;
+  if (!multiline) {
+    let separator = style.itemSeparator;
+    if (children.length > 1) {
+      const between = text.slice(children[0].end, children[1].start);
+      separator = between.trim() === ',' ? between.replace(/^\s*/, '') : separator;
+    }
+    return `${open}${parts.join(separator)}${close}`;
+  }
+  const baseIndent = lineIndentAt(text, node.start);
+  const childIndent = children.length ? lineIndentAt(text, children[0].start) : baseIndent + style.indent;
+  return `${open}${style.eol}${childIndent}${parts.join(`,${style.eol}${childIndent}`)}${style.eol}${baseIndent}${close}`;
+}
+
+// The style of new items in an array that has items: like its first object or array, so an array
+// written with one compact object per line gets another compact object, not a multiline one.
+function siblingStyle(text, node, style) {
+  const sibling = node.items.find((item) => item.type !== 'primitive');
+  const source = sibling ? text.slice(sibling.start, sibling.end) : '';
+  if (!sibling || source.includes('\n')) {
+    return style;
+  }
+  const own = detectJsonStyle(source);
+  return { ...style, multiline: false, keySeparator: own.keySeparator, itemSeparator: own.itemSeparator };
+}
+
+// Collect the edits that turn `node` (from `text`) into `value`.
+function patchNode(text, node, value, style, edits) {
+  const childIndentFor = (child) => lineIndentAt(text, child.start);
+
+  if (node.type === 'object' && isPlainObject(value)) {
+    const byKey = new Map(node.members.map((member) => [member.key, member]));
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    const sameKeys = keys.length === byKey.size && keys.every((key) => byKey.has(key));
+    if (sameKeys) {
+      node.members.forEach((member) => patchNode(text, member.value, value[member.key], style, edits));
+      return;
+    }
+
+    // Members were added or removed: keep the original order for the remaining keys and
+    // append new keys at the end.
+    const indent = node.members.length ? childIndentFor(node.members[0]) : lineIndentAt(text, node.start) + style.indent;
+    const parts = [];
+    node.members.forEach((member) => {
+      if (!Object.prototype.hasOwnProperty.call(value, member.key) || value[member.key] === undefined) {
+        return;
+      }
+      const memberEdits = [];
+      patchNode(text, member.value, value[member.key], style, memberEdits);
+      parts.push(applyEdits(text.slice(member.start, member.value.end), memberEdits, member.start));
+    });
+    keys
+      .filter((key) => !byKey.has(key))
+      .forEach((key) => {
+        parts.push(`${JSON.stringify(key)}${style.keySeparator}${formatValue(value[key], style, indent)}`);
+      });
+    // A member spans from its key to the end of its value.
+    const layoutNode = { ...node, members: node.members.map((m) => ({ start: m.start, end: m.value.end })) };
+    edits.push({ start: node.start, end: node.end, text: layoutContainer(text, layoutNode, parts, '{', '}', style) });
+    return;
+  }
+
+  if (node.type === 'array' && Array.isArray(value)) {
+    if (node.items.length === value.length) {
+      node.items.forEach((item, idx) => patchNode(text, item, value[idx], style, edits));
+      return;
+    }
+
+    // Items were inserted or removed: items equal at the start and end keep their text, the
+    // ones in between are patched pairwise and the surplus is added or dropped.
+    const oldValues = node.items.map(nodeValue);
+    let prefix = 0;
+    while (prefix < oldValues.length && prefix < value.length && deepEqual(oldValues[prefix], value[prefix])) {
+      prefix += 1;
+    }
+    let suffix = 0;
+    while (
+      suffix < oldValues.length - prefix &&
+      suffix < value.length - prefix &&
+      deepEqual(oldValues[oldValues.length - 1 - suffix], value[value.length - 1 - suffix])
+    ) {
+      suffix += 1;
+    }
+
+    const indent = node.items.length ? childIndentFor(node.items[0]) : lineIndentAt(text, node.start) + style.indent;
+    const newItemStyle = siblingStyle(text, node, style);
+    const parts = value.map((item, idx) => {
+      let oldIdx = -1;
+      if (idx < prefix) {
+        oldIdx = idx;
+      } else if (idx >= value.length - suffix) {
+        oldIdx = oldValues.length - (value.length - idx);
+      } else if (idx < oldValues.length - suffix) {
+        oldIdx = idx;
+      }
+      if (oldIdx < 0) {
+        return formatValue(item, newItemStyle, indent);
+      }
+      const oldNode = node.items[oldIdx];
+      const itemEdits = [];
+      patchNode(text, oldNode, item, style, itemEdits);
+      return applyEdits(text.slice(oldNode.start, oldNode.end), itemEdits, oldNode.start);
+    });
+    edits.push({ start: node.start, end: node.end, text: layoutContainer(text, node, parts, '[', ']', style) });
+    return;
+  }
+
+  if (node.type === 'primitive' && !isPlainObject(value) && !Array.isArray(value)) {
+    // Equal values keep their spelling (1.0, 1e3, "é", ...).
+    if (node.value === value || (value === undefined && node.value === null)) {
+      return;
+    }
+    edits.push({ start: node.start, end: node.end, text: formatValue(value, style, '') });
+    return;
+  }
+
+  // The value changed type (e.g. primitive -> object): write it fresh at this position.
+  edits.push({ start: node.start, end: node.end, text: formatValue(value, style, lineIndentAt(text, node.start)) });
+}
+
+// Write `value` as JSON, reusing the formatting of `previousText` wherever possible. `indent`
+// (spaces) is for text that has no formatting to reuse.
+function formatJsonPreserving(previousText, value, indent = 2) {
+  const text = String(previousText || '');
+  let root;
+  try {
+    root = parseWithPositions(text);
+  } catch {
+    return jsonRules.stringifyLossless(value, indent);
+  }
+
+  const style = detectJsonStyle(text, indent);
+  const edits = [];
+  patchNode(text, root, value, style, edits);
+  return applyEdits(text, edits);
+}
+
+// A literal with 16+ digits or a 3-digit exponent may not fit a double.
+const WIDE_NUMBER_PATTERN = /\d[\d.]{15,}|[eE][+-]?\d{3}/;
+
+// JSON.parse that keeps numbers a double cannot hold as lossless numbers (see json-sheet-rules).
+// Syntax errors are JSON.parse's own, so callers can report them as usual.
+function parseJsonLossless(text) {
+  const value = JSON.parse(text);
+  if (!jsonRules.RULES.losslessNumbers || !WIDE_NUMBER_PATTERN.test(text)) {
+    return value;
+  }
+  return nodeValue(parseWithPositions(text));
+}
+
+module.exports = {
+  detectJsonStyle,
+  parseJsonLossless,
+  formatJsonPreserving,
+  parseWithPositions,
+  locatePath,
+  pathAtOffset,
+};
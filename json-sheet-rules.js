@@ -7,15 +7,77 @@ const RULES = {
   // Supported roots:
   // - Array of objects (table)
   // - Object of primitives (key/value)
-  // - Object of objects with primitive fields (table)
-  // - Object with a `data` array (optional wrapper)
+  // - Object of objects (table)
+  // - Object with a `data` array (optional wrapper; the property is the wrapperProperty setting)
   optionalArrayWrapperProperty: 'data',
 
   // For table-like shapes, cells must be primitives or arrays of primitives.
-  // Nested objects are only allowed when the ROOT is "object-of-objects" (one level).
   allowArrayOfPrimitives: true,
+
+  // Arrays of objects become linked child sheets: the cell shows a summary like "[3 items]"
+  // and the elements are edited in their own sheet tab.
+  allowNestedTables: true,
+
+  // Nested objects at any depth are flattened into `parent.child` columns and rebuilt on save.
+  // Dots and backslashes inside a key are escaped with a backslash (`a\.b` is the key "a.b").
+  nestedPathSeparator: '.',
+
+  // Numbers a double cannot hold (integers beyond the safe-integer range, decimals whose digits
+  // do not survive the conversion) are carried as their literal text, shown and saved verbatim.
+  losslessNumbers: true,
+
+  // Which texts of untyped cells are read as numbers, booleans and null (the typeInference
+  // setting); the rest are strings. Defaults only: each file's setting is passed to castWithType.
+  typeInference: { numbers: true, booleans: true, null: true },
 };
 
+// Lossless numbers travel through values, payloads and messages as strings with this prefix.
+// A NUL character never appears in real JSON keys or values read from the grid.
+const LOSSLESS_NUMBER_PREFIX = '\u0000number:';
+
+function isLosslessNumber(value) {
+  return typeof value === 'string' && value.startsWith(LOSSLESS_NUMBER_PREFIX);
+}
+
+function losslessNumberText(value) {
+  return value.slice(LOSSLESS_NUMBER_PREFIX.length);
+}
+
+// Sign, significant digits and decimal exponent of a number literal ("1.50" and "15e-1" match).
+function canonicalDecimal(literal) {
+  const match = /^(-?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(literal);
+  if (!match) {
+    return literal;
+  }
+  let digits = `${match[2]}${match[3] || ''}`;
+  let exponent = Number(match[4] || 0) + match[2].length;
+  while (digits.startsWith('0')) {
+    digits = digits.slice(1);
+    exponent -= 1;
+  }
+  digits = digits.replace(/0+$/, '');
+  return digits ? `${match[1]}${digits}e${exponent}` : `${match[1]}0`;
+}
+
+// JS value for a JSON number literal: a number when the double holds it, else a lossless
+// number keeping the literal text.
+function parseNumberLiteral(literal) {
+  const n = Number(literal);
+  const exact = /^-?\d+$/.test(literal)
+    ? Number.isSafeInteger(n) && !Object.is(n, -0)
+    : Number.isFinite(n) && canonicalDecimal(String(n)) === canonicalDecimal(literal);
+  return exact || !RULES.losslessNumbers ? n : `${LOSSLESS_NUMBER_PREFIX}${literal}`;
+}
+
+// JSON.stringify that writes lossless numbers as bare number literals.
+function stringifyLossless(value, indent) {
+  const json = JSON.stringify(value, null, indent);
+  if (json === undefined || !json.includes('\\u0000number:')) {
+    return json;
+  }
+  return json.replace(/"\\u0000number:(-?[0-9.eE+-]+)"/g, '$1');
+}
+
 function isPrimitive(value) {
   return (
     value === null ||
@@ -34,10 +96,147 @@ function isArrayOfPrimitives(value) {
   return Array.isArray(value) && value.every(isPrimitive);
 }
 
-function validateAndExtract(content) {
+// Types a cell or column can have. Columns whose cells disagree are 'mixed'; a column with only
+// nulls is 'null'. Both mean "no fixed type": each cell keeps its own.
+const VALUE_TYPES = ['string', 'number', 'boolean', 'null', 'array', 'object', 'table'];
+
+function valueType(value) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  if (isLosslessNumber(value)) {
+    return 'number';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value === 'object' ? 'object' : typeof value;
+}
+
+// Column type from the original types of its cells; nulls do not count.
+function inferColumnType(cellTypes) {
+  const seen = new Set(cellTypes.filter((type) => type && type !== 'null'));
+  if (seen.size === 0) {
+    return 'null';
+  }
+  return seen.size === 1 ? [...seen][0] : 'mixed';
+}
+
+function isArrayOfObjects(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+}
+
+function summarizeTable(rows) {
+  const count = Array.isArray(rows) ? rows.length : 0;
+  return `[${count} ${count === 1 ? 'item' : 'items'}]`;
+}
+
+function isTableSummary(text) {
+  return /^\[\d+ items?\]$/.test(String(text ?? '').trim());
+}
+
+function escapePathSegment(key) {
+  return String(key).replace(/\\/g, '\\\\').split(RULES.nestedPathSeparator).join(`\\${RULES.nestedPathSeparator}`);
+}
+
+function joinPath(segments) {
+  return segments.map(escapePathSegment).join(RULES.nestedPathSeparator);
+}
+
+// Inverse of joinPath: split on unescaped separators and unescape each segment.
+function splitPath(path) {
+  const segments = [];
+  let current = '';
+  const text = String(path);
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (ch === '\\' && i + 1 < text.length) {
+      current += text[i + 1];
+      i += 1;
+    } else if (ch === RULES.nestedPathSeparator) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  segments.push(current);
+  return segments;
+}
+
+// Write `value` at a flattened column path, creating intermediate objects as needed.
+function setPathValue(target, path, value) {
+  const parts = splitPath(path);
+  let obj = target;
+  for (let i = 0; i < parts.length - 1; i += 1) {
+    const key = parts[i];
+    if (!isPlainObject(obj[key])) {
+      obj[key] = {};
+    }
+    obj = obj[key];
+  }
+  obj[parts[parts.length - 1]] = value;
+}
+
+// Flatten one value into `out` (column path -> cell value) and its original type into `types`,
+// so the serializer can write it back with the same type. Containers that cannot be split
+// into columns (arrays of primitives, empty objects) are kept as JSON text. Arrays of objects
+// are collected in `tables` and shown as a summary cell.
+function flattenInto(value, segments, out, types, tables, errors, errorPrefix) {
+  const path = joinPath(segments);
+  const where = [errorPrefix, ...segments].filter((part) => part !== undefined).join('.');
+
+  if (isPrimitive(value)) {
+    out[path] = value;
+    types[path] = valueType(value);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    if (RULES.allowArrayOfPrimitives && isArrayOfPrimitives(value)) {
+      out[path] = stringifyLossless(value);
+      types[path] = 'array';
+      return;
+    }
+    if (RULES.allowNestedTables && isArrayOfObjects(value)) {
+      out[path] = summarizeTable(value);
+      types[path] = 'table';
+      tables[path] = value;
+      return;
+    }
+    errors.push(
+      `Unsupported array value at "${where}". Only arrays of primitive values or arrays of objects are supported.`,
+    );
+    return;
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 0) {
+      out[path] = '{}';
+      types[path] = 'object';
+      return;
+    }
+    keys.forEach((key) => flattenInto(value[key], [...segments, key], out, types, tables, errors, errorPrefix));
+    return;
+  }
+
+  errors.push(`Unsupported value type at "${where}".`);
+}
+
+function flattenObject(obj, errorPrefix) {
+  const out = {};
+  const types = {};
+  const tables = {};
+  const errors = [];
+  Object.keys(obj).forEach((key) => flattenInto(obj[key], [key], out, types, tables, errors, errorPrefix));
+  return { out, types, tables, errors };
+}
+
+function validateAndExtract(content, wrapperProperty = RULES.optionalArrayWrapperProperty) {
   // Optional wrapper: { ...meta, data: [ ... ] }
-  if (isPlainObject(content) && Array.isArray(content[RULES.optionalArrayWrapperProperty])) {
-    const dataProp = RULES.optionalArrayWrapperProperty;
+  if (isPlainObject(content) && Array.isArray(content[wrapperProperty])) {
+    const dataProp = wrapperProperty;
     const data = content[dataProp];
     const meta = { ...content };
     delete meta[dataProp];
@@ -52,22 +251,27 @@ function validateAndExtract(content) {
   // Top-level object: either key/value or object-of-objects
   if (isPlainObject(content)) {
     const values = Object.values(content);
-    const allPrimitivesOrPrimitiveArrays = values.every(
-      (v) => isPrimitive(v) || (RULES.allowArrayOfPrimitives && isArrayOfPrimitives(v)),
-    );
-    if (allPrimitivesOrPrimitiveArrays) {
-      return { ok: true, kind: 'objectKV', object: content };
-    }
-
-    const allObjects = values.every((v) => isPlainObject(v));
+    const allObjects = values.length > 0 && values.every((v) => isPlainObject(v));
     if (allObjects) {
       return { ok: true, kind: 'objectOfObjects', object: content };
     }
 
+    // Mixed values: nested objects are flattened into dotted keys of the key/value sheet.
+    const allCellValues = values.every(
+      (v) =>
+        isPrimitive(v) ||
+        isPlainObject(v) ||
+        (RULES.allowArrayOfPrimitives && isArrayOfPrimitives(v)) ||
+        (RULES.allowNestedTables && isArrayOfObjects(v)),
+    );
+    if (allCellValues) {
+      return { ok: true, kind: 'objectKV', object: content };
+    }
+
     return {
       ok: false,
       reason:
-        'Unsupported JSON root object. Use either (1) key/value pairs with primitive values, or (2) key/object pairs where the inner objects only contain primitive fields.',
+        'Unsupported JSON root object. Use either (1) key/value pairs with primitive or object values, or (2) key/object pairs (one row per key).',
     };
   }
 
@@ -78,87 +282,49 @@ function validateAndExtract(content) {
 }
 
 function flattenRowObject(row) {
-  const errors = [];
   if (!isPlainObject(row)) {
     return { ok: false, errors: ['Each row must be an object.'] };
   }
 
-  const out = {};
-
-  Object.keys(row).forEach((key) => {
-    const value = row[key];
-
-    if (isPrimitive(value)) {
-      out[key] = value;
-      return;
-    }
-
-    if (Array.isArray(value)) {
-      if (RULES.allowArrayOfPrimitives && isArrayOfPrimitives(value)) {
-        out[key] = JSON.stringify(value);
-        return;
-      }
-      errors.push(`Unsupported array value at "${key}". Only arrays of primitive values are supported.`);
-      return;
-    }
-
-    // No nested objects inside table rows.
-    if (isPlainObject(value)) {
-      errors.push(
-        `Nested object at "${key}" is not supported in table rows. Flatten it first (e.g. use "${key}.field" columns) or change your JSON shape.`,
-      );
-      return;
-    }
-
-    errors.push(`Unsupported value type at "${key}".`);
-  });
-
+  const { out, types, tables, errors } = flattenObject(row);
   if (errors.length) {
     return { ok: false, errors };
   }
 
-  return { ok: true, flat: out };
+  return { ok: true, flat: out, types, tables };
 }
 
 function flattenInnerObject(inner, parentKeyForError) {
-  const errors = [];
   if (!isPlainObject(inner)) {
     return { ok: false, errors: [`Value at "${parentKeyForError}" must be an object.`] };
   }
-  const out = {};
-  Object.keys(inner).forEach((key) => {
-    const value = inner[key];
-    const fullKey = `${parentKeyForError}.${key}`;
-    if (isPrimitive(value)) {
-      out[key] = value;
-      return;
-    }
-    if (Array.isArray(value)) {
-      if (RULES.allowArrayOfPrimitives && isArrayOfPrimitives(value)) {
-        out[key] = JSON.stringify(value);
-        return;
-      }
-      errors.push(`Unsupported array value at "${fullKey}". Only arrays of primitive values are supported.`);
-      return;
-    }
-    if (isPlainObject(value)) {
-      errors.push(`Nested object too deep at "${fullKey}". Inner objects must be flat.`);
-      return;
-    }
-    errors.push(`Unsupported value type at "${fullKey}".`);
-  });
 
+  const { out, types, tables, errors } = flattenObject(inner, parentKeyForError);
   if (errors.length) {
     return { ok: false, errors };
   }
-  return { ok: true, flat: out };
+  return { ok: true, flat: out, types, tables };
 }
 
 module.exports = {
   RULES,
+  LOSSLESS_NUMBER_PREFIX,
+  isLosslessNumber,
+  losslessNumberText,
+  parseNumberLiteral,
+  stringifyLossless,
+  VALUE_TYPES,
+  valueType,
+  inferColumnType,
   validateAndExtract,
   flattenRowObject,
   flattenInnerObject,
+  flattenObject,
+  joinPath,
+  splitPath,
+  setPathValue,
+  summarizeTable,
+  isTableSummary,
   isPrimitive,
   isPlainObject,
 };
@@ -7,10 +7,14 @@ async function main() {
   const outdir = path.join(__dirname, '..', 'media');
 
   const buildOptions = {
-    entryPoints: [path.join(__dirname, '..', 'webview-src', 'main.jsx')],
+    // The profile worker is its own bundle: the webview starts it from a blob (see getHtmlForWebview).
+    entryPoints: {
+      webview: path.join(__dirname, '..', 'webview-src', 'main.jsx'),
+      'profile-worker': path.join(__dirname, '..', 'webview-src', 'profile-worker.js'),
+    },
     bundle: true,
     outdir,
-    entryNames: 'webview',
+    entryNames: '[name]',
     assetNames: 'assets/[name]',
     format: 'iife',
     sourcemap: isProduction ? false : 'inline',
@@ -0,0 +1,1345 @@
+'use strict';
+
+// Conversion between file contents and grid sheets, shared by the extension host, the webview and
+// the raven CLI (bin/raven.js). Reading turns parsed JSON, JSON Lines, CSV and workbook models into
+// FortuneSheet sheets plus a type map; writing turns the sheets back into document text and renders
+// exports. Nothing here touches the file system or SheetJS, so the webview bundle can import it.
+
+const jsonRules = require('./json-sheet-rules');
+const jsonFormat = require('./json-format');
+const { castWithType, typeHint } = require('./cell-types');
+const cellSearch = require('./cell-search');
+
+// --- Reading -----------------------------------------------------------------------------
+
+const CSV_DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+
+// Parse error details for the webview and the CLI: message, 1-based line/column and a few lines of context.
+function describeJsonError(text, error) {
+  let position = /at position (\d+)/.exec(error.message);
+  if (!position) {
+    // Older/newer engines word the message differently; the position-aware parser always reports it.
+    try {
+      jsonFormat.parseWithPositions(text);
+    } catch (positionError) {
+      position = /at position (\d+)/.exec(positionError.message);
+    }
+  }
+  const offset = position ? Math.min(Number(position[1]), text.length) : text.length;
+  const before = text.slice(0, offset).split(/\r\n|\r|\n/);
+  const line = before.length;
+  const column = before[before.length - 1].length + 1;
+  const lines = text.split(/\r\n|\r|\n/);
+  const first = Math.max(line - 3, 0);
+  const excerpt = lines.slice(first, line + 2).map((lineText, idx) => ({ number: first + idx + 1, text: lineText }));
+  const message = String(error.message || '')
+    .replace(/\s*in JSON at position \d+[\s\S]*$/, '')
+    .replace(/, "[\s\S]*" is not valid JSON$/, '');
+  return { message: message || 'Invalid JSON', line, column, excerpt };
+}
+
+// `settings` are the file's editor settings (see _getSettings in extension.js); only JSON reads
+// `wrapperProperty`.
+function toSheetPayloadFromContent(content, settings) {
+  if (content && content.dataKind === 'csv') {
+    const { sheets, typeMap } = createSheetFromMatrix(content.matrix);
+    // Field count per record, so ragged rows and trailing empty fields survive a save.
+    const source = {
+      rowWidths: (content.matrix || []).map((row) => (row || []).length),
+      dialect: content.dialect || null,
+    };
+    return { sheets, typeMap, dataKind: 'csv', text: content.text, source };
+  }
+
+  if (content && content.dataKind === 'jsonl') {
+    return toSheetPayloadFromJsonLines(content);
+  }
+
+  if (content && content.dataKind === 'xlsx') {
+    const rawSheets = Array.isArray(content.sheets)
+      ? content.sheets
+      : Array.isArray(content.matrix)
+        ? [{ name: 'Sheet1', matrix: content.matrix }]
+        : [{ name: 'Sheet1', matrix: [[]] }];
+
+    const sheets = rawSheets.map((s, idx) => createSheetFromWorkbookSheet(s, idx));
+    // Open on the first visible sheet.
+    const active = sheets.find((sheet) => !sheet.hide) || sheets[0];
+    sheets.forEach((sheet) => {
+      sheet.status = sheet === active ? 1 : 0;
+    });
+
+    return { sheets, typeMap: {}, dataKind: 'xlsx', text: '' };
+  }
+
+  const extracted = jsonRules.validateAndExtract(content, settings?.wrapperProperty);
+  const text = JSON.stringify(content ?? {}, null, 2);
+
+  if (!extracted.ok) {
+    return {
+      sheets: [],
+      typeMap: {},
+      dataKind: 'unsupported',
+      error: extracted.reason,
+      text,
+    };
+  }
+
+  if (extracted.kind === 'objectKV') {
+    // Nested objects become dotted keys; the serializer rebuilds them from the key column.
+    const flatRes = jsonRules.flattenObject(extracted.object);
+    if (flatRes.errors.length) {
+      return {
+        sheets: [],
+        typeMap: {},
+        dataKind: 'unsupported',
+        error: flatRes.errors.join(' '),
+        text,
+      };
+    }
+    const { sheets, dataKind } = createSheetFromObject(flatRes.out, flatRes.tables);
+    return { sheets, typeMap: { ...flatRes.types }, nestedTables: flatRes.tables, dataKind, text };
+  }
+
+  if (extracted.kind === 'objectOfObjects') {
+    const prep = prepareObjectOfObjects(extracted.object);
+    if (!prep.ok) {
+      return {
+        sheets: [],
+        typeMap: {},
+        dataKind: 'unsupported',
+        error: prep.reason,
+        text,
+      };
+    }
+    const { sheets } = createSheetFromObjectOfObjects(prep.keys, prep.fieldHeaders, prep.rows, prep.nestedTables);
+    return {
+      sheets,
+      typeMap: prep.typeMap,
+      columnTypes: prep.columnTypes,
+      nestedTables: prep.nestedTables,
+      dataKind: 'objectOfObjects',
+      text,
+    };
+  }
+
+  // Array-like shapes (top-level array or wrapper {data:[...]})
+  const kindForWrapper = extracted.kind;
+  const prep = prepareRows(extracted.data);
+  if (!prep.ok) {
+    return {
+      sheets: [],
+      typeMap: {},
+      dataKind: 'unsupported',
+      error: prep.reason,
+      text,
+    };
+  }
+
+  const { sheets } = createSheetFromFlatRows(prep.headers, prep.rows, prep.nestedTables);
+
+  if (kindForWrapper === 'wrappedArray') {
+    return {
+      sheets,
+      typeMap: prep.typeMap,
+      columnTypes: prep.columnTypes,
+      nestedTables: prep.nestedTables,
+      dataKind: 'wrappedArray',
+      wrapper: { meta: extracted.meta, dataProp: extracted.dataProp },
+      text,
+    };
+  }
+
+  return {
+    sheets,
+    typeMap: prep.typeMap,
+    columnTypes: prep.columnTypes,
+    nestedTables: prep.nestedTables,
+    dataKind: 'array',
+    text,
+  };
+}
+
+// JSON Lines: records that parsed as objects become table rows (typeMap paths as for arrays).
+// Blank and unparseable lines are not editable; `source.layout` keeps them in place so the
+// serializer can write them back verbatim between the records.
+function toSheetPayloadFromJsonLines(content) {
+  const entries = Array.isArray(content.entries) ? content.entries : [];
+  const records = entries.filter((entry) => Object.prototype.hasOwnProperty.call(entry, 'value'));
+  const text = content.text || '';
+  const warnings = entries
+    .filter((entry) => entry.error)
+    .map((entry) => `Line ${entry.lineNumber}: ${entry.error}`);
+
+  const prep = prepareRows(records.map((entry) => entry.value), (i) => `line ${records[i].lineNumber}`);
+  if (!prep.ok) {
+    return {
+      sheets: [],
+      typeMap: {},
+      dataKind: 'unsupported',
+      error: prep.reason,
+      text,
+    };
+  }
+
+  const { sheets } = createSheetFromFlatRows(prep.headers, prep.rows, prep.nestedTables);
+  return {
+    sheets,
+    typeMap: prep.typeMap,
+    columnTypes: prep.columnTypes,
+    nestedTables: prep.nestedTables,
+    dataKind: 'jsonl',
+    text,
+    warnings,
+    source: {
+      layout: entries.map((entry) => (Object.prototype.hasOwnProperty.call(entry, 'value') ? null : entry.raw)),
+      lineEnding: content.lineEnding || '\n',
+      trailingNewline: Boolean(content.trailingNewline),
+    },
+  };
+}
+
+// The child sheet of a nested table (an array of objects), built like the main sheet of an array
+// document so both get the same headers, cells and types. Returns { ok, reason } or { ok, sheet,
+// typeMap, columnTypes, tables }, with `tables` the arrays nested in turn in its rows.
+function createNestedSheet(rows) {
+  const prep = prepareRows(rows);
+  if (!prep.ok) {
+    return prep;
+  }
+  const [sheet] = createSheetFromFlatRows(prep.headers, prep.rows, prep.nestedTables).sheets;
+  return {
+    ok: true,
+    sheet,
+    typeMap: prep.typeMap,
+    columnTypes: prep.columnTypes,
+    tables: prep.nestedTables,
+  };
+}
+
+function prepareRows(inputRows, describeRow = (i) => `row[${i}]`) {
+  const rows = [];
+  const headers = [];
+  const headerSet = new Set();
+  const typeMap = {};
+  const cellTypes = {};
+  // Arrays of objects inside rows, keyed by the same path as typeMap; the webview opens them as child sheets.
+  // The path doubles as the table's id, which its cell carries along when rows move (see createCell).
+  const nestedTables = {};
+
+  for (let i = 0; i < inputRows.length; i += 1) {
+    const flatRes = jsonRules.flattenRowObject(inputRows[i]);
+    if (!flatRes.ok) {
+      return { ok: false, reason: `Unsupported JSON at ${describeRow(i)}: ${flatRes.errors.join(' ')}` };
+    }
+
+    const flat = flatRes.flat;
+    Object.keys(flat).forEach((key) => {
+      if (!headerSet.has(key)) {
+        headerSet.add(key);
+        headers.push(key);
+      }
+    });
+    Object.entries(flatRes.types).forEach(([key, type]) => {
+      typeMap[`[${i}].${key}`] = type;
+      (cellTypes[key] = cellTypes[key] || []).push(type);
+    });
+    Object.entries(flatRes.tables).forEach(([key, table]) => {
+      nestedTables[`[${i}].${key}`] = table;
+    });
+    rows.push(flat);
+  }
+
+  const columnTypes = inferColumnTypes(headers, cellTypes);
+  return { ok: true, headers, rows, typeMap, columnTypes, nestedTables };
+}
+
+function prepareObjectOfObjects(obj) {
+  const keys = Object.keys(obj || {});
+  const rows = [];
+  const fieldHeaders = [];
+  const fieldSet = new Set();
+  const typeMap = {};
+  const cellTypes = {};
+  const nestedTables = {};
+
+  for (let i = 0; i < keys.length; i += 1) {
+    const k = keys[i];
+    const inner = obj[k];
+    const flatRes = jsonRules.flattenInnerObject(inner, k);
+    if (!flatRes.ok) {
+      return { ok: false, reason: flatRes.errors.join(' ') };
+    }
+    const flat = flatRes.flat;
+    Object.keys(flat).forEach((field) => {
+      if (!fieldSet.has(field)) {
+        fieldSet.add(field);
+        fieldHeaders.push(field);
+      }
+    });
+    Object.entries(flatRes.types).forEach(([field, type]) => {
+      typeMap[`${k}.${field}`] = type;
+      (cellTypes[field] = cellTypes[field] || []).push(type);
+    });
+    Object.entries(flatRes.tables).forEach(([field, table]) => {
+      nestedTables[`${k}.${field}`] = table;
+    });
+    rows.push({ key: k, fields: flat });
+  }
+
+  const columnTypes = inferColumnTypes(fieldHeaders, cellTypes);
+  return { ok: true, keys, fieldHeaders, rows, typeMap, columnTypes, nestedTables };
+}
+
+// Column schema for table-like sheets: one type per header, inferred from the original values.
+function inferColumnTypes(headers, cellTypes) {
+  const columnTypes = {};
+  headers.forEach((header) => {
+    columnTypes[header] = jsonRules.inferColumnType(cellTypes[header] || []);
+  });
+  return columnTypes;
+}
+
+function createSheetFromObjectOfObjects(keys, fieldHeaders, rows, tables) {
+  const celldata = [];
+  const headers = ['key', ...fieldHeaders];
+
+  headers.forEach((h, c) => {
+    celldata.push(createCell(0, c, h));
+  });
+
+  rows.forEach((row, idx) => {
+    const r = idx + 1;
+    celldata.push(createCell(r, 0, row.key));
+    fieldHeaders.forEach((field, cIdx) => {
+      const v = Object.prototype.hasOwnProperty.call(row.fields, field) ? row.fields[field] : '';
+      celldata.push(createCell(r, cIdx + 1, v, tableIdOf(tables, `${row.key}.${field}`)));
+    });
+  });
+
+  const data = celldataToMatrixFromCells(celldata);
+  return {
+    sheets: [
+      {
+        name: 'Sheet1',
+        order: 0,
+        status: 1,
+        celldata,
+        data,
+        row: Math.max(rows.length + 10, 20),
+        column: Math.max(headers.length + 5, 10),
+        defaultColWidth: 120,
+        showGridLines: true,
+        filter: {},
+      },
+    ],
+  };
+}
+
+function createSheetFromFlatRows(headers, rows, tables) {
+  const celldata = [];
+
+  headers.forEach((key, c) => {
+    celldata.push(createCell(0, c, key));
+  });
+
+  rows.forEach((rowObj, rowIndex) => {
+    const r = rowIndex + 1;
+    headers.forEach((key, c) => {
+      const value = Object.prototype.hasOwnProperty.call(rowObj, key) ? rowObj[key] : '';
+      celldata.push(createCell(r, c, value, tableIdOf(tables, `[${rowIndex}].${key}`)));
+    });
+  });
+
+  const data = celldataToMatrixFromCells(celldata);
+
+  return {
+    sheets: [
+      {
+        name: 'Sheet1',
+        order: 0,
+        status: 1,
+        celldata,
+        data,
+        row: Math.max(rows.length + 10, 20),
+        column: Math.max(headers.length + 5, 10),
+        showGridLines: true,
+        filter: {},
+      },
+    ],
+  };
+}
+
+function createSheetFromMatrix(matrix, sheetName = 'Sheet1') {
+  const typeMap = {};
+  const celldata = [];
+  (matrix || []).forEach((row, r) => {
+    (row || []).forEach((value, c) => {
+      const hint = inferSimpleHint(value);
+      typeMap[`${r},${c}`] = hint;
+
+      // Keep primitive values as-is; default to empty string.
+      let cellValue = value;
+      if (cellValue === undefined || cellValue === null) {
+        cellValue = '';
+      }
+      celldata.push(createCell(r, c, cellValue));
+    });
+  });
+
+  const data = celldataToMatrixFromCells(celldata);
+
+  return {
+    sheets: [
+      {
+        name: sheetName,
+        order: 0,
+        status: 1,
+        celldata,
+        data,
+        row: Math.max(matrix.length + 10, 20),
+        column: Math.max((matrix[0] || []).length + 5, 10),
+        showGridLines: true,
+        filter: {},
+      },
+    ],
+    typeMap,
+  };
+}
+
+// A sheet read by xlsx-workbook.js. Its cells are already FortuneSheet cells (value, display text,
+// number format, formula, bold, fill, merge); plain values from older states are wrapped.
+function createSheetFromWorkbookSheet(sheet, order) {
+  const matrix = Array.isArray(sheet?.matrix) ? sheet.matrix : [[]];
+  const celldata = [];
+  matrix.forEach((row, r) => {
+    (row || []).forEach((value, c) => {
+      if (value && typeof value === 'object') {
+        celldata.push({ r, c, v: value });
+      } else if (value !== undefined && value !== null && value !== '') {
+        celldata.push(createCell(r, c, value));
+      }
+    });
+  });
+  const columnCount = matrix.reduce((max, row) => Math.max(max, (row || []).length), 0);
+
+  const out = {
+    id: sheet?.id,
+    name: String(sheet?.name || `Sheet${order + 1}`),
+    order,
+    celldata,
+    data: celldataToMatrixFromCells(celldata),
+    config: sheet?.config || {},
+    row: Math.max(matrix.length + 10, 20),
+    column: Math.max(columnCount + 5, 10),
+    showGridLines: true,
+    filter: {},
+  };
+  if (sheet?.hide) {
+    out.hide = 1;
+  }
+  if (sheet?.frozen) {
+    out.frozen = sheet.frozen;
+  }
+  return out;
+}
+
+function createSheetFromObject(obj, tables) {
+  const entries = Object.entries(obj ?? {});
+  const celldata = [];
+
+  entries.forEach(([key, value], rowIndex) => {
+    celldata.push(createCell(rowIndex, 0, key));
+    celldata.push(createCell(rowIndex, 1, value, tableIdOf(tables, key)));
+  });
+
+  if (entries.length === 0) {
+    celldata.push(createCell(0, 0, 'key'));
+    celldata.push(createCell(0, 1, 'value'));
+  }
+
+  const data = celldataToMatrixFromCells(celldata);
+
+  return {
+    sheets: [
+      {
+        name: 'Sheet1',
+        order: 0,
+        status: 1,
+        celldata,
+        data,
+        row: Math.max(entries.length + 10, 20),
+        column: 10,
+        showGridLines: true,
+      },
+    ],
+    dataKind: 'object',
+  };
+}
+
+// `tableId` marks a "[n items]" cell with the key of its stored table (see createNestedState).
+function createCell(r, c, value, tableId) {
+  let display;
+  let rawValue;
+  
+  if (value === null) {
+    display = 'null';
+    rawValue = null;
+  } else if (value === undefined) {
+    display = '';
+    rawValue = '';
+  } else if (jsonRules.isLosslessNumber(value)) {
+    // Show the literal as written; a double would round it.
+    display = jsonRules.losslessNumberText(value);
+    rawValue = display;
+  } else if (typeof value === 'object') {
+    // Convert objects and arrays to JSON string for display
+    display = jsonRules.stringifyLossless(value);
+    rawValue = display;
+  } else {
+    display = String(value);
+    rawValue = value;
+  }
+  
+  const cell = { v: rawValue, m: display };
+  if (tableId) {
+    cell.tableId = tableId;
+  }
+  return { r, c, v: cell };
+}
+
+function tableIdOf(tables, path) {
+  return tables && Object.prototype.hasOwnProperty.call(tables, path) ? path : null;
+}
+
+// Convert a celldata array into a 2D matrix structure FortuneSheet can also consume
+function celldataToMatrixFromCells(cells) {
+  const matrix = [];
+  cells.forEach((cell) => {
+    if (!matrix[cell.r]) {
+      matrix[cell.r] = [];
+    }
+    matrix[cell.r][cell.c] = cell.v;
+  });
+  return matrix;
+}
+
+function inferSimpleHint(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+}
+
+function parseCsv(text, dialect) {
+  const effective = dialect || { delimiter: ',', quote: '"', lineEnding: '\n', trailingNewline: false };
+  const matrix = Array.from(iterateCsvRecords(text || '', effective));
+  return { dataKind: 'csv', matrix, text, dialect: effective };
+}
+
+// Sniff how a delimited text file is written so it can be saved back the same way.
+// The extension picks the default delimiter (.tsv -> tab, .psv -> pipe); the contents win when
+// another candidate splits the first records more consistently (e.g. semicolon CSVs).
+function detectCsvDialect(text, fsPath) {
+  const lower = (fsPath || '').toLowerCase();
+  const extensionDelimiter = lower.endsWith('.tsv') ? '\t' : lower.endsWith('.psv') ? '|' : ',';
+  const lineBreak = /\r\n|\n|\r/.exec(text || '');
+  const lineEnding = lineBreak ? lineBreak[0] : '\n';
+  const trailingNewline = /(\r\n|\n|\r)$/.test(text || '');
+
+  const lines = (text || '').split(/\r\n|\n|\r/).filter((line) => line !== '').slice(0, 50);
+  const quote = detectCsvQuote(lines);
+
+  let best = { delimiter: extensionDelimiter, consistent: 0, fields: 0 };
+  CSV_DELIMITER_CANDIDATES.forEach((delimiter) => {
+    const counts = lines.map((line) => countOutsideQuotes(line, delimiter, quote));
+    const frequency = new Map();
+    counts.forEach((n) => {
+      if (n > 0) {
+        frequency.set(n, (frequency.get(n) || 0) + 1);
+      }
+    });
+    let fields = 0;
+    let consistent = 0;
+    frequency.forEach((lineCount, n) => {
+      if (lineCount > consistent || (lineCount === consistent && n > fields)) {
+        consistent = lineCount;
+        fields = n;
+      }
+    });
+    const tie = consistent === best.consistent;
+    const better =
+      consistent > best.consistent ||
+      (tie && delimiter === extensionDelimiter) ||
+      (tie && best.delimiter !== extensionDelimiter && fields > best.fields);
+    if (consistent > 0 && better) {
+      best = { delimiter, consistent, fields };
+    }
+  });
+
+  return { delimiter: best.delimiter, quote, lineEnding, trailingNewline };
+}
+
+function detectCsvQuote(lines) {
+  const sample = lines.join('\n');
+  if (sample.includes('"')) {
+    return '"';
+  }
+  // Single-quoted fields: a quote right after a line start/delimiter and right before one.
+  if (/(^|[,;\t|])'[^']*'(?=[,;\t|]|$)/m.test(sample)) {
+    return "'";
+  }
+  return '"';
+}
+
+function countOutsideQuotes(line, ch, quote) {
+  let count = 0;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === quote) {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && line[i] === ch) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+// RFC 4180 tokenizer. Yields one array of field strings per record.
+// Quoted fields may contain delimiters, line breaks (\n, \r\n or \r) and escaped (doubled) quotes.
+// Whitespace is significant and kept as-is; a stray quote inside an unquoted field is literal.
+// This mirrors escapeCsv below so unedited files save byte-for-byte.
+// `onField(row, col, start, end)`, if given, receives where each field is in the text (quotes included).
+function* iterateCsvRecords(text, dialect, onField) {
+  const delimiter = dialect?.delimiter || ',';
+  const quote = dialect?.quote || '"';
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+  let i = 0;
+  let row = 0;
+  let fieldStart = 0;
+  const endField = () => {
+    if (onField) {
+      onField(row, record.length, fieldStart, i);
+    }
+    record.push(field);
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === quote) {
+        if (text[i + 1] === quote) {
+          field += quote;
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i += 1;
+        continue;
+      }
+      field += ch;
+      i += 1;
+      continue;
+    }
+
+    if (ch === quote && field === '' && !quoted) {
+      inQuotes = true;
+      quoted = true;
+      i += 1;
+      continue;
+    }
+
+    if (ch === delimiter) {
+      endField();
+      field = '';
+      quoted = false;
+      i += 1;
+      fieldStart = i;
+      continue;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      endField();
+      yield record;
+      record = [];
+      row += 1;
+      field = '';
+      quoted = false;
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      fieldStart = i;
+      continue;
+    }
+
+    field += ch;
+    i += 1;
+  }
+
+  // A trailing line break terminates the last record; it does not start an empty one.
+  if (field !== '' || quoted || record.length > 0) {
+    endField();
+    yield record;
+  }
+}
+
+// Where each field of each record is in the text: ranges[row][col] = { start, end }.
+function csvFieldRanges(text, dialect) {
+  const ranges = [];
+  // Run the tokenizer for its callback.
+  Array.from(
+    iterateCsvRecords(text || '', dialect, (row, col, start, end) => {
+      (ranges[row] = ranges[row] || [])[col] = { start, end };
+    }),
+  );
+  return ranges;
+}
+
+// JSON Lines: one JSON value per line. Lines are parsed independently so one bad line does not
+// make the whole file unreadable; blank and invalid lines are kept verbatim.
+function parseJsonLines(text) {
+  const source = text || '';
+  const lineBreak = /\r\n|\n|\r/.exec(source);
+  const lineEnding = lineBreak ? lineBreak[0] : '\n';
+  const trailingNewline = /(\r\n|\n|\r)$/.test(source);
+  const lines = source.split(/\r\n|\n|\r/);
+  if (trailingNewline || source === '') {
+    lines.pop();
+  }
+
+  const entries = lines.map((line, idx) => {
+    const lineNumber = idx + 1;
+    if (line.trim() === '') {
+      return { lineNumber, raw: line };
+    }
+    try {
+      const value = jsonFormat.parseJsonLossless(line);
+      if (jsonRules.isPlainObject(value)) {
+        return { lineNumber, value };
+      }
+      return { lineNumber, raw: line, error: 'Not a JSON object; kept as-is.' };
+    } catch (error) {
+      return { lineNumber, raw: line, error: `${error.message}; kept as-is.` };
+    }
+  });
+
+  return { dataKind: 'jsonl', entries, lineEnding, trailingNewline, text };
+}
+
+// --- Writing -----------------------------------------------------------------------------
+
+// Nested tables: arrays of objects shown as "[n items]" cells and edited in child sheets.
+// `tables` holds the arrays per owner sheet ('root' or a child sheet id), keyed by the `tableId`
+// their cell carries. That id is the cell's type map path when the sheet was built and does not
+// change when rows are inserted, deleted or sorted: the cell takes it along.
+// `children` lists the child sheets currently open.
+function createNestedState(rootTables) {
+  return { tables: { root: rootTables || {} }, children: [], counter: 0 };
+}
+
+// `schema` is how cells are typed: { columnTypes, overrides, primaryKey, typeInference }, where
+// typeInference is the file's setting (see cell-types.js).
+function sheetToText(sheets, currentTypeMap, dataKind, wrapper, source, nested, schema) {
+  // Child sheets opened from nested tables are written back through their parent cell.
+  const childIds = new Set((nested?.children || []).map((child) => child.id));
+  const sheet = (sheets || []).find((s) => s && !childIds.has(s.id)) || {};
+  const matrix = celldataToMatrix(sheet);
+  const nextTypeMap = { ...currentTypeMap };
+  const typeCheck = createTypeTracker();
+  // The file's typeInference setting types cells without a type, in every layout.
+  const inference = schema?.typeInference || null;
+  const resolveNested = createNestedResolver(sheets, nested, typeCheck, inference);
+  const resolveTable = (tableId, raw) => resolveNested('root', tableId, raw);
+  // Cast one cell of the main sheet; the column schema applies to table-like layouts.
+  const convert = (raw, path, header, r, c) => {
+    const hint = typeHint(nextTypeMap[path], dataKind === 'object' ? null : schema, header);
+    const result = castCell(raw, hint, matrix[r]?.[c]?.tableId, resolveTable, inference);
+    typeCheck.record('root', r, c, header, raw, hint, result);
+    return result;
+  };
+
+  if (dataKind === 'array') {
+    const headers = (matrix[0] || []).map((cell) => getCellText(cell)).filter((value) => value !== '');
+    const firstElementType = currentTypeMap['[0]'];
+    const rows = [];
+
+    for (let r = 1; r < matrix.length; r += 1) {
+      const row = matrix[r] || [];
+      const rowObj = {};
+      let hasValue = false;
+
+      if (firstElementType && firstElementType !== 'object') {
+        const raw = getCellText(row[1] ?? row[0]);
+        const path = `[${r - 1}]`;
+        const { casted } = castWithType(raw, nextTypeMap[path], inference);
+        if (raw !== '') {
+          rows.push(casted);
+        }
+        continue;
+      }
+
+      headers.forEach((header, c) => {
+        const raw = getCellText(row[c]);
+        const path = `[${r - 1}].${header}`;
+        const { casted } = convert(raw, path, header, r, c);
+        if (raw !== '') {
+          jsonRules.setPathValue(rowObj, header, casted);
+          hasValue = true;
+        }
+      });
+
+      if (hasValue) {
+        rows.push(rowObj);
+      }
+    }
+
+    return { textOut: JSON.stringify(rows, null, 2), nextTypeMap, matrix, typeCheck };
+  }
+
+  if (dataKind === 'jsonl') {
+    const headers = (matrix[0] || []).map((cell) => getCellText(cell));
+    const records = [];
+
+    for (let r = 1; r < matrix.length; r += 1) {
+      const row = matrix[r] || [];
+      const rowObj = {};
+      let hasValue = false;
+
+      headers.forEach((header, c) => {
+        const raw = getCellText(row[c]);
+        if (!header || raw === '') {
+          return;
+        }
+        const path = `[${r - 1}].${header}`;
+        const { casted } = convert(raw, path, header, r, c);
+        jsonRules.setPathValue(rowObj, header, casted);
+        hasValue = true;
+      });
+
+      if (hasValue) {
+        records.push(jsonRules.stringifyLossless(rowObj));
+      }
+    }
+
+    // Put the records back into the slots they came from, around the blank/invalid lines
+    // kept verbatim. Extra records (added rows) go after the last record slot.
+    const layout = Array.isArray(source?.layout) ? source.layout : [];
+    const lines = [];
+    let next = 0;
+    let lastRecordLine = -1;
+    layout.forEach((raw) => {
+      if (raw === null) {
+        if (next < records.length) {
+          lines.push(records[next]);
+          next += 1;
+          lastRecordLine = lines.length - 1;
+        }
+      } else {
+        lines.push(raw);
+      }
+    });
+    lines.splice(lastRecordLine + 1, 0, ...records.slice(next));
+
+    const lineEnding = source?.lineEnding || '\n';
+    const trailing = source?.trailingNewline && lines.length ? lineEnding : '';
+    return { textOut: lines.join(lineEnding) + trailing, nextTypeMap, matrix, typeCheck };
+  }
+
+  if (dataKind === 'wrappedArray') {
+    const headers = (matrix[0] || []).map((cell) => getCellText(cell)).filter((value) => value !== '');
+    const rows = [];
+
+    for (let r = 1; r < matrix.length; r += 1) {
+      const row = matrix[r] || [];
+      const rowObj = {};
+      let hasValue = false;
+
+      headers.forEach((header, c) => {
+        const raw = getCellText(row[c]);
+        const path = `[${r - 1}].${header}`;
+        const { casted } = convert(raw, path, header, r, c);
+        // Preserve keys even when value is cleared.
+        jsonRules.setPathValue(rowObj, header, casted);
+        if (raw !== '') {
+          hasValue = true;
+        }
+      });
+
+      if (hasValue) {
+        rows.push(rowObj);
+      }
+    }
+
+    const dataProp = wrapper?.dataProp || 'data';
+    const meta = wrapper?.meta || {};
+    const out = { ...meta, [dataProp]: rows };
+    return { textOut: JSON.stringify(out, null, 2), nextTypeMap, matrix, typeCheck };
+  }
+
+  if (dataKind === 'objectOfObjects') {
+    const headers = (matrix[0] || []).map((cell) => getCellText(cell));
+    const keyColIndex = headers.findIndex((h) => h === 'key');
+    const fieldHeaders = headers.filter((h, idx) => idx !== keyColIndex && h);
+
+    const out = {};
+
+    for (let r = 1; r < matrix.length; r += 1) {
+      const row = matrix[r] || [];
+      const key = getCellText(row[keyColIndex >= 0 ? keyColIndex : 0]);
+      if (!key) {
+        continue;
+      }
+
+      const inner = {};
+      fieldHeaders.forEach((field, c) => {
+        // if key column is 0, fields start at 1
+        const cellIndex = keyColIndex === 0 ? c + 1 : headers.indexOf(field);
+        const raw = getCellText(row[cellIndex]);
+        const path = `${key}.${field}`;
+        const { casted } = convert(raw, path, field, r, cellIndex);
+        jsonRules.setPathValue(inner, field, casted);
+      });
+
+      out[key] = inner;
+    }
+
+    return { textOut: JSON.stringify(out, null, 2), nextTypeMap, matrix, typeCheck };
+  }
+
+  if (dataKind === 'csv') {
+    // CSV has no types: write each cell's text verbatim so values like "007" survive.
+    // FortuneSheet pads the grid with empty cells, so only emit the used range, keeping
+    // the original field count per record. The file is written back in its sniffed dialect.
+    const dialect = { delimiter: ',', quote: '"', lineEnding: '\n', trailingNewline: false, ...(source?.dialect || {}) };
+    const rowWidths = Array.isArray(source?.rowWidths) ? source.rowWidths : [];
+    const defaultWidth = rowWidths.length ? Math.max(...rowWidths) : 0;
+    const texts = matrix.map((row) => (row || []).map((cell) => getCellText(cell)));
+    let rowCount = rowWidths.length;
+    texts.forEach((row, r) => {
+      if (row.some((value) => value !== '')) {
+        rowCount = Math.max(rowCount, r + 1);
+      }
+    });
+
+    const csvRows = [];
+    for (let r = 0; r < rowCount; r += 1) {
+      const row = texts[r] || [];
+      let width = r < rowWidths.length ? rowWidths[r] : defaultWidth;
+      for (let c = row.length - 1; c >= width; c -= 1) {
+        if (row[c] !== '') {
+          width = c + 1;
+          break;
+        }
+      }
+      const outRow = [];
+      for (let c = 0; c < width; c += 1) {
+        outRow.push(escapeCsv(row[c] ?? '', dialect));
+      }
+      csvRows.push(outRow.join(dialect.delimiter));
+    }
+    const trailing = dialect.trailingNewline && csvRows.length ? dialect.lineEnding : '';
+    return { textOut: csvRows.join(dialect.lineEnding) + trailing, nextTypeMap, matrix };
+  }
+
+  if (dataKind === 'xlsx') {
+    // Whole FortuneSheet cells go back so the host can write formulas and formatting, plus the
+    // sheet details it keeps in the workbook (merges, sizes, hidden state, frozen panes).
+    const xlsxSheets = (sheets || []).map((s, idx) => ({
+      id: s?.id,
+      name: String(s?.name || `Sheet${idx + 1}`),
+      matrix: celldataToMatrix(s || {}),
+      config: { merge: s?.config?.merge, columnlen: s?.config?.columnlen, rowlen: s?.config?.rowlen },
+      hide: s?.hide ? 1 : 0,
+      frozen: s?.frozen || null,
+    }));
+
+    // Use a deterministic string for dirty detection (not written to disk).
+    const serialized = JSON.stringify(
+      xlsxSheets.map((s) => ({
+        name: s.name,
+        matrix: s.matrix.map((row) => (row || []).map(getCellSignature)),
+        config: s.config,
+        hide: s.hide,
+        frozen: s.frozen,
+      }))
+    );
+
+    return { textOut: serialized, nextTypeMap, matrix, xlsxSheets };
+  }
+
+  const result = {};
+  for (let r = 0; r < matrix.length; r += 1) {
+    const key = getCellText(matrix[r]?.[0]);
+    if (!key) {
+      continue;
+    }
+    const rawValue = getCellText(matrix[r]?.[1]);
+    const { casted } = convert(rawValue, key, key, r, 1);
+    jsonRules.setPathValue(result, key, casted);
+  }
+
+  return { textOut: JSON.stringify(result, null, 2), nextTypeMap, matrix, typeCheck };
+}
+
+// Returns resolve(owner, tableId, raw): the rows behind a "[n items]" cell, read from the open
+// child sheet when there is one, else the stored array. Undefined if the cell no longer
+// holds a summary (the user replaced it with a plain value).
+function createNestedResolver(sheets, nested, typeCheck, inference) {
+  const sheetsById = new Map((sheets || []).filter(Boolean).map((s) => [s.id, s]));
+  const resolve = (owner, tableId, raw) => {
+    if (!nested || !tableId || !jsonRules.isTableSummary(raw)) {
+      return undefined;
+    }
+    const child = nested.children.find((entry) => entry.owner === owner && entry.tableId === tableId);
+    const childSheet = child ? sheetsById.get(child.id) : null;
+    if (childSheet) {
+      const resolveChild = (childId, childRaw) => resolve(child.id, childId, childRaw);
+      return childSheetToRows(childSheet, child, resolveChild, typeCheck, inference);
+    }
+    const original = nested.tables[owner]?.[tableId];
+    return Array.isArray(original) ? original : undefined;
+  };
+  return resolve;
+}
+
+function childSheetToRows(sheet, child, resolveTable, typeCheck, inference) {
+  const matrix = celldataToMatrix(sheet || {});
+  const headers = (matrix[0] || []).map((cell) => getCellText(cell));
+  const rows = [];
+
+  for (let r = 1; r < matrix.length; r += 1) {
+    const row = matrix[r] || [];
+    const rowObj = {};
+    let hasValue = false;
+
+    headers.forEach((header, c) => {
+      if (!header) {
+        return;
+      }
+      const raw = getCellText(row[c]);
+      const path = `[${r - 1}].${header}`;
+      // Like the top-level array sheet: an empty cell means the element has no such key.
+      if (raw === '') {
+        return;
+      }
+      const hint = typeHint(child.typeMap[path], child, header);
+      const result = castCell(raw, hint, row[c]?.tableId, resolveTable, inference);
+      typeCheck?.record(child.id, r, c, header, raw, hint, result);
+      jsonRules.setPathValue(rowObj, header, result.casted);
+      hasValue = true;
+    });
+
+    if (hasValue) {
+      rows.push(rowObj);
+    }
+  }
+
+  return rows;
+}
+
+// Layouts whose main sheet is serialized back into a JSON document.
+const JSON_DOCUMENT_KINDS = ['array', 'wrappedArray', 'object', 'objectOfObjects'];
+
+// Render sheets for Export As…: `request` names the format, the sheet ids and whether the first
+// row is a header, or for CSV, TSV and workbooks whether to write it; `doc` holds the document's serializer state. Returns { text } or, for
+// .xlsx, { xlsxSheets } for the extension to write. Nested tables ("[n items]" cells) export as
+// arrays in JSON and as their JSON text in the flat formats.
+function renderExport(allSheets, request, doc) {
+  const sheets = (request.sheetIds || [])
+    .map((id) => (allSheets || []).find((s) => s && s.id === id))
+    .filter(Boolean);
+  const header = request.header !== false;
+  const exportTexts = (sheet) =>
+    exportRows(sheet, exportTableResolver(sheet, allSheets, doc)).map((row) =>
+      row.map((value) => (typeof value === 'string' ? value : jsonRules.stringifyLossless(value))),
+    );
+
+  if (request.format === 'xlsx') {
+    const xlsxSheets = sheetToText(sheets, {}, 'xlsx').xlsxSheets.map((out, idx) => {
+      const resolveTable = exportTableResolver(sheets[idx], allSheets, doc);
+      const matrix = out.matrix.map((row) =>
+        Array.from(row || [], (cell) => {
+          const rows = resolveTable(cell?.tableId, getCellText(cell));
+          if (rows === undefined) {
+            return cell;
+          }
+          const text = jsonRules.stringifyLossless(rows);
+          return { ...cell, v: text, m: text };
+        }),
+      );
+      return header ? { ...out, matrix } : withoutFirstRow({ ...out, matrix });
+    });
+    return { xlsxSheets };
+  }
+  if (request.format === 'csv' || request.format === 'tsv') {
+    const dialect = { delimiter: request.format === 'tsv' ? '\t' : ',', quote: '"' };
+    const rows = exportTexts(sheets[0] || {}).slice(header ? 0 : 1);
+    return { text: rows.map((row) => row.map((value) => escapeCsv(value, dialect)).join(dialect.delimiter)).join('\n') + '\n' };
+  }
+  if (request.format === 'json') {
+    const values = sheets.map((sheet) => sheetToJsonValue(sheet, allSheets, header, doc));
+    const value = sheets.length === 1 ? values[0] : Object.fromEntries(sheets.map((sheet, idx) => [sheet.name, values[idx]]));
+    return { text: `${jsonRules.stringifyLossless(value, doc.indent)}\n` };
+  }
+  if (request.format === 'markdown') {
+    const tables = sheets.map((sheet) => {
+      const table = markdownTable(exportTexts(sheet), header);
+      return sheets.length === 1 ? table : `## ${sheet.name}\n\n${table}`;
+    });
+    return { text: `${tables.join('\n\n')}\n` };
+  }
+  if (request.format === 'html') {
+    const tables = sheets.map((sheet) => htmlTable(exportTexts(sheet), header, sheets.length > 1 ? sheet.name : null));
+    return {
+      text: [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(request.title || sheets[0]?.name || '')}</title>`,
+        '</head>',
+        '<body>',
+        ...tables,
+        '</body>',
+        '</html>',
+        '',
+      ].join('\n'),
+    };
+  }
+  return { text: '' };
+}
+
+// An exported workbook sheet without its header row: merges and row heights move up a row, and
+// formulas are written as their values since their references would point a row too low.
+function withoutFirstRow(out) {
+  const matrix = out.matrix.slice(1).map((row) =>
+    Array.from(row || [], (cell) => {
+      if (!cell || typeof cell !== 'object' || !cell.f) {
+        return cell;
+      }
+      const { f, ...value } = cell;
+      return value;
+    }),
+  );
+  const merge = {};
+  Object.values(out.config?.merge || {}).forEach((m) => {
+    const r = Math.max(m.r - 1, 0);
+    const rs = m.r === 0 ? m.rs - 1 : m.rs;
+    if (rs > 0 && (rs > 1 || m.cs > 1)) {
+      merge[`${r}_${m.c}`] = { ...m, r, rs };
+    }
+  });
+  const rowlen = Object.fromEntries(
+    Object.entries(out.config?.rowlen || {})
+      .filter(([r]) => Number(r) > 0)
+      .map(([r, px]) => [Number(r) - 1, px]),
+  );
+  return { ...out, matrix, config: { ...out.config, merge, rowlen }, frozen: null };
+}
+
+// Cell texts of a sheet, cut to the used range. With `resolveTable`, "[n items]" cells give the
+// rows of their nested table instead.
+function exportRows(sheet, resolveTable) {
+  const rows = celldataToMatrix(sheet).map((row) =>
+    Array.from(row || [], (cell) => {
+      const text = getCellText(cell);
+      const table = resolveTable ? resolveTable(cell?.tableId, text) : undefined;
+      return table === undefined ? text : table;
+    }),
+  );
+  const width = rows.reduce((max, row) => {
+    for (let c = row.length - 1; c >= 0; c -= 1) {
+      if (row[c] !== '') {
+        return Math.max(max, c + 1);
+      }
+    }
+    return max;
+  }, 0);
+  const out = rows.map((row) => Array.from({ length: width }, (_, c) => row[c] ?? ''));
+  while (out.length && out[out.length - 1].every((value) => value === '')) {
+    out.pop();
+  }
+  return out;
+}
+
+// The main sheet of a JSON document exports as the document itself; any other sheet becomes an
+// array of objects keyed by the header row (or an array of rows), cast like edited cells. Child
+// sheets and the records of a JSON Lines file keep the types they were read with.
+function sheetToJsonValue(sheet, allSheets, header, doc) {
+  const children = doc.nested?.children || [];
+  const root = (allSheets || []).find((s) => s && !children.some((child) => child.id === s.id));
+  if (sheet === root && JSON_DOCUMENT_KINDS.includes(doc.dataKind)) {
+    const { textOut } = sheetToText(allSheets, doc.typeMap, doc.dataKind, doc.wrapper, doc.source, doc.nested, doc.schema);
+    return JSON.parse(textOut);
+  }
+  const resolveTable = exportTableResolver(sheet, allSheets, doc);
+  if (header) {
+    const child = children.find((entry) => entry.id === sheet.id);
+    const types = child || (sheet === root && doc.dataKind === 'jsonl' ? { ...doc.schema, typeMap: doc.typeMap } : {});
+    return childSheetToRows(sheet, { typeMap: {}, ...types, id: sheet.id }, resolveTable, null, doc.schema?.typeInference);
+  }
+  return exportRows(sheet, resolveTable).map((row) =>
+    row.map((value) => (typeof value === 'string' ? castWithType(value, null, doc.schema?.typeInference).casted : value)),
+  );
+}
+
+// Returns resolveTable(tableId, raw) for the "[n items]" cells of an exported sheet: the main
+// sheet's and child sheets' cells resolve through the document's nested tables (see
+// createNestedResolver), other sheets' cells stay text.
+function exportTableResolver(sheet, allSheets, doc) {
+  const children = doc?.nested?.children || [];
+  const child = children.find((entry) => entry.id === sheet?.id);
+  const root = (allSheets || []).find((s) => s && !children.some((entry) => entry.id === s.id));
+  const owner = child ? child.id : sheet && sheet === root ? 'root' : null;
+  if (!owner) {
+    return () => undefined;
+  }
+  const resolve = createNestedResolver(allSheets, doc.nested, null, doc.schema?.typeInference);
+  return (tableId, raw) => resolve(owner, tableId, raw);
+}
+
+function markdownTable(rows, header) {
+  const width = Math.max(1, ...rows.map((row) => row.length));
+  const line = (row) => `| ${Array.from({ length: width }, (_, c) => escapeMarkdownCell(row[c] ?? '')).join(' | ')} |`;
+  const head = header && rows.length ? rows[0] : Array.from({ length: width }, (_, c) => cellSearch.columnLetter(c));
+  const body = header ? rows.slice(1) : rows;
+  return [line(head), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(line)].join('\n');
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function htmlTable(rows, header, caption) {
+  const cells = (row, tag) => row.map((value) => `<${tag}>${escapeHtml(value).replace(/\r?\n/g, '<br>')}</${tag}>`).join('');
+  const lines = ['<table>'];
+  if (caption) {
+    lines.push(`<caption>${escapeHtml(caption)}</caption>`);
+  }
+  if (header && rows.length) {
+    lines.push(`<thead><tr>${cells(rows[0], 'th')}</tr></thead>`);
+  }
+  lines.push('<tbody>');
+  (header ? rows.slice(1) : rows).forEach((row) => lines.push(`<tr>${cells(row, 'td')}</tr>`));
+  lines.push('</tbody>', '</table>');
+  return lines.join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function celldataToMatrix(sheet) {
+  const matrix = [];
+  const applyValue = (r, c, value) => {
+    if (!matrix[r]) {
+      matrix[r] = [];
+    }
+    matrix[r][c] = value;
+  };
+
+  if (Array.isArray(sheet.data) && sheet.data.length) {
+    sheet.data.forEach((row, r) => {
+      (row || []).forEach((cell, c) => applyValue(r, c, cell));
+    });
+  }
+
+  if (Array.isArray(sheet.celldata)) {
+    sheet.celldata.forEach((cell) => applyValue(cell.r, cell.c, cell.v ?? cell));
+  }
+
+  return matrix;
+}
+
+function getCellText(cell) {
+  if (!cell) {
+    return '';
+  }
+  if (typeof cell === 'string' || typeof cell === 'number' || typeof cell === 'boolean') {
+    return String(cell);
+  }
+  if (cell && typeof cell === 'object') {
+    if (typeof cell.m !== 'undefined') {
+      return String(cell.m ?? '');
+    }
+    if (typeof cell.v !== 'undefined') {
+      return String(cell.v ?? '');
+    }
+  }
+  return '';
+}
+
+// What an xlsx cell holds as far as saving is concerned: its text, formula and formatting.
+function getCellSignature(cell) {
+  if (!cell || typeof cell !== 'object') {
+    return getCellText(cell);
+  }
+  return [getCellText(cell), cell.f || '', cell.bl ? 1 : 0, cell.bg || '', cell.ct?.fa || ''].join('\u0001');
+}
+
+// Collects, per sheet ('root' or a child sheet id), the type each cell is written as and the
+// cells whose text cannot be converted to that type.
+function createTypeTracker() {
+  const tracker = {
+    hints: {},
+    invalid: [],
+    record(sheetKey, r, c, header, raw, hint, result) {
+      const grid = tracker.hints[sheetKey] || (tracker.hints[sheetKey] = []);
+      (grid[r] = grid[r] || [])[c] = hint;
+      if (result.invalid) {
+        tracker.invalid.push({ sheetKey, row: r, col: c, header, raw, expected: hint });
+      }
+    },
+  };
+  return tracker;
+}
+
+// castWithType plus nested tables: a "[n items]" cell resolves to the rows of its child sheet.
+// The cell's `tableId` decides, not the type map: after a sort its row index names another row.
+function castCell(raw, hint, tableId, resolveTable, inference) {
+  if (tableId && resolveTable) {
+    const rows = resolveTable(tableId, raw);
+    if (rows !== undefined) {
+      return { casted: rows, type: 'table' };
+    }
+  }
+  return castWithType(raw, hint, inference);
+}
+
+// Quoting rules mirror iterateCsvRecords above: quote when the value holds a
+// delimiter, quote or line break, or when leading/trailing whitespace must be kept.
+function escapeCsv(value, dialect) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  const delimiter = dialect?.delimiter || ',';
+  const quote = dialect?.quote || '"';
+  if (str.includes(delimiter) || str.includes(quote) || /[\r\n]/.test(str) || /^\s|\s$/.test(str)) {
+    return `${quote}${str.split(quote).join(quote + quote)}${quote}`;
+  }
+  return str;
+}
+
+module.exports = {
+  JSON_DOCUMENT_KINDS,
+  celldataToMatrix,
+  celldataToMatrixFromCells,
+  childSheetToRows,
+  createCell,
+  createNestedResolver,
+  createNestedSheet,
+  createNestedState,
+  createTypeTracker,
+  csvFieldRanges,
+  describeJsonError,
+  detectCsvDialect,
+  escapeCsv,
+  getCellText,
+  markdownTable,
+  parseCsv,
+  parseJsonLines,
+  renderExport,
+  sheetToText,
+  toSheetPayloadFromContent,
+};
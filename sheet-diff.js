@@ -0,0 +1,260 @@
+'use strict';
+
+// Cell-level comparison of two versions of a sheet, for the Compare With… view.
+// Rows are aligned by a key column when there is one (a chosen header, or the `key` column of
+// object-of-objects documents) and otherwise by a longest-common-subsequence diff of whole rows,
+// so an inserted row shows up as one added row instead of every row below it changing.
+// Columns are aligned by header name when both header rows name their columns uniquely.
+
+// Above this many row pairs (rows before × rows after, once equal leading and trailing rows are
+// set aside) rows are paired by position instead of diffed.
+const LCS_CELL_LIMIT = 4000000;
+
+// Compare two tables of cell texts. `before`/`after` are string[][] (null for a sheet that only
+// exists on one side). `options.header` says whether the first row names the columns;
+// `options.key` is the key column: a header name, a column index, or null to align by position.
+//
+// Returns { columns, rows, counts }: `columns` pairs column indexes ({ before, after }, -1 where
+// absent), `rows` lists the aligned rows in display order with their status ('header', 'same',
+// 'added', 'removed' or 'changed'), row indexes and per-column { before, after, changed } texts.
+function compareTables(before, after, options = {}) {
+  const beforeRows = before || [];
+  const afterRows = after || [];
+  const header = Boolean(options.header);
+  const beforeHeader = header ? (beforeRows[0] || []).map(cellText) : [];
+  const afterHeader = header ? (afterRows[0] || []).map(cellText) : [];
+
+  const columns = alignColumns(beforeRows, afterRows, header ? beforeHeader : null, header ? afterHeader : null);
+  const first = header ? 1 : 0;
+  const beforeData = beforeRows.slice(first);
+  const afterData = afterRows.slice(first);
+
+  const keyBefore = keyColumnIndex(options.key, beforeHeader);
+  const keyAfter = keyColumnIndex(options.key, afterHeader);
+  const keyed = keyBefore >= 0 && keyAfter >= 0;
+  const matchOf = keyed
+    ? matchByKey(beforeData, afterData, keyBefore, keyAfter)
+    : matchByContent(beforeData, afterData, columns);
+
+  let order = mergeOrder(beforeData.length, afterData.length, matchOf);
+  if (!keyed) {
+    order = pairReplacedRows(order);
+  }
+
+  const rows = [];
+  const counts = { added: 0, removed: 0, changed: 0 };
+  if (header) {
+    rows.push(compareRow(beforeRows[0], afterRows[0], columns, 'header', 0, 0));
+  }
+  order.forEach(([b, a]) => {
+    const status = b < 0 ? 'added' : a < 0 ? 'removed' : 'same';
+    const row = compareRow(
+      b < 0 ? null : beforeData[b],
+      a < 0 ? null : afterData[a],
+      columns,
+      status,
+      b < 0 ? -1 : b + first,
+      a < 0 ? -1 : a + first,
+    );
+    if (row.status === 'same' && row.cells.some((cell) => cell.changed)) {
+      row.status = 'changed';
+    }
+    if (row.status !== 'same') {
+      counts[row.status] += 1;
+    }
+    rows.push(row);
+  });
+  return { columns, rows, counts };
+}
+
+// Compare two workbooks (lists of { name, rows }). Sheets are paired by name, or by position
+// when both sides have a single sheet; a sheet on one side only compares against nothing.
+function compareWorkbooks(beforeSheets, afterSheets, options = {}) {
+  const remaining = [...(beforeSheets || [])];
+  const single = (beforeSheets || []).length === 1 && (afterSheets || []).length === 1;
+  const results = (afterSheets || []).map((sheet) => {
+    const idx = single ? 0 : remaining.findIndex((other) => other.name === sheet.name);
+    const [other] = idx >= 0 ? remaining.splice(idx, 1) : [null];
+    return {
+      name: sheet.name,
+      status: other ? 'both' : 'added',
+      table: compareTables(other ? other.rows : null, sheet.rows, options),
+    };
+  });
+  remaining.forEach((sheet) => {
+    results.push({ name: sheet.name, status: 'removed', table: compareTables(sheet.rows, null, options) });
+  });
+  return results;
+}
+
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function keyColumnIndex(key, headerRow) {
+  if (typeof key === 'number') {
+    return key;
+  }
+  return key ? headerRow.indexOf(key) : -1;
+}
+
+// Columns by header name when both header rows name every column uniquely, otherwise by position.
+function alignColumns(beforeRows, afterRows, beforeHeader, afterHeader) {
+  const width = (rows) => rows.reduce((max, row) => Math.max(max, (row || []).length), 0);
+  const named = (names) => names && names.length > 0 && names.every((n) => n !== '') && new Set(names).size === names.length;
+  const beforeWidth = width(beforeRows);
+  const afterWidth = width(afterRows);
+  if (named(beforeHeader) && named(afterHeader) && beforeHeader.length === beforeWidth && afterHeader.length === afterWidth) {
+    const matchOf = afterHeader.map((name) => beforeHeader.indexOf(name));
+    return mergeOrder(beforeWidth, afterWidth, matchOf).map(([b, a]) => ({ before: b, after: a }));
+  }
+  const columns = [];
+  for (let c = 0; c < Math.max(beforeWidth, afterWidth); c += 1) {
+    columns.push({ before: c < beforeWidth ? c : -1, after: c < afterWidth ? c : -1 });
+  }
+  return columns;
+}
+
+// Rows with the same key text are the same row; repeated keys pair up in order.
+function matchByKey(beforeData, afterData, keyBefore, keyAfter) {
+  const byKey = new Map();
+  beforeData.forEach((row, b) => {
+    const key = cellText((row || [])[keyBefore]);
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(b);
+  });
+  return afterData.map((row) => {
+    const candidates = byKey.get(cellText((row || [])[keyAfter]));
+    return candidates && candidates.length ? candidates.shift() : -1;
+  });
+}
+
+// Rows equal in every column both versions have are the same row (longest common subsequence).
+function matchByContent(beforeData, afterData, columns) {
+  const shared = columns.filter((column) => column.before >= 0 && column.after >= 0);
+  const signature = (row, side) => JSON.stringify(shared.map((column) => cellText((row || [])[column[side]])));
+  const left = beforeData.map((row) => signature(row, 'before'));
+  const right = afterData.map((row) => signature(row, 'after'));
+  const matchOf = new Array(right.length).fill(-1);
+
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    matchOf[start] = start;
+    start += 1;
+  }
+  let endLeft = left.length;
+  let endRight = right.length;
+  while (endLeft > start && endRight > start && left[endLeft - 1] === right[endRight - 1]) {
+    endLeft -= 1;
+    endRight -= 1;
+    matchOf[endRight] = endLeft;
+  }
+
+  const n = endLeft - start;
+  const m = endRight - start;
+  if (n === 0 || m === 0 || n * m > LCS_CELL_LIMIT) {
+    return matchOf;
+  }
+  // lengths[i * (m + 1) + j]: LCS length of left[start + i..] and right[start + j..].
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      lengths[i * (m + 1) + j] =
+        left[start + i] === right[start + j]
+          ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (left[start + i] === right[start + j]) {
+      matchOf[start + j] = start + i;
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      i += 1;
+    } else {
+      j += 1;
+    }
+  }
+  return matchOf;
+}
+
+// Display order of two sequences given which `before` index each `after` index matches (-1 for
+// none): the `after` order, with each unmatched `before` entry placed ahead of the first match
+// that follows it. Returns [beforeIndex, afterIndex] pairs, -1 where a side is missing.
+function mergeOrder(beforeCount, afterCount, matchOf) {
+  const matched = new Set(matchOf.filter((b) => b >= 0));
+  const nextBefore = new Array(afterCount + 1);
+  nextBefore[afterCount] = beforeCount;
+  for (let a = afterCount - 1; a >= 0; a -= 1) {
+    nextBefore[a] = matchOf[a] >= 0 ? matchOf[a] : nextBefore[a + 1];
+  }
+  const order = [];
+  let pointer = 0;
+  const flushBefore = (limit) => {
+    for (; pointer < limit; pointer += 1) {
+      if (!matched.has(pointer)) {
+        order.push([pointer, -1]);
+      }
+    }
+  };
+  for (let a = 0; a < afterCount; a += 1) {
+    flushBefore(nextBefore[a]);
+    order.push([matchOf[a], a]);
+    if (matchOf[a] >= 0) {
+      pointer = Math.max(pointer, matchOf[a] + 1);
+    }
+  }
+  flushBefore(beforeCount);
+  return order;
+}
+
+// Without a key, removed rows directly followed by added rows were most likely edited: pair
+// them up so their cells are compared.
+function pairReplacedRows(order) {
+  const out = [];
+  let i = 0;
+  while (i < order.length) {
+    if (order[i][1] >= 0) {
+      out.push(order[i]);
+      i += 1;
+      continue;
+    }
+    const removed = [];
+    while (i < order.length && order[i][1] < 0) {
+      removed.push(order[i][0]);
+      i += 1;
+    }
+    const added = [];
+    while (i < order.length && order[i][0] < 0) {
+      added.push(order[i][1]);
+      i += 1;
+    }
+    const paired = Math.min(removed.length, added.length);
+    for (let k = 0; k < paired; k += 1) {
+      out.push([removed[k], added[k]]);
+    }
+    removed.slice(paired).forEach((b) => out.push([b, -1]));
+    added.slice(paired).forEach((a) => out.push([-1, a]));
+  }
+  return out;
+}
+
+function compareRow(beforeRow, afterRow, columns, status, beforeIndex, afterIndex) {
+  const cells = columns.map((column) => {
+    const beforeText = beforeRow && column.before >= 0 ? cellText(beforeRow[column.before]) : '';
+    const afterText = afterRow && column.after >= 0 ? cellText(afterRow[column.after]) : '';
+    const compared = beforeRow && afterRow && column.before >= 0 && column.after >= 0;
+    return { before: beforeText, after: afterText, changed: Boolean(compared) && beforeText !== afterText };
+  });
+  return { status, before: beforeIndex, after: afterIndex, cells };
+}
+
+module.exports = {
+  compareTables,
+  compareWorkbooks,
+};
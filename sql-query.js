@@ -0,0 +1,138 @@
+'use strict';
+
+// SQL over the open sheets, for the query panel.
+// Each sheet becomes a table of a fresh in-memory SQLite database (sql.js, SQLite compiled to
+// WebAssembly: it runs inside the extension host and never touches the network or the disk).
+// The webview sends the tables with typed values (see sheetToQueryTable in webview-src/main.jsx),
+// so columns get the affinity of their type and aggregates such as AVG work on numbers.
+
+const initSqlJs = require('sql.js');
+const jsonRules = require('./json-sheet-rules');
+
+// Rows kept from one result; the rest are dropped and the result is flagged as truncated.
+const RESULT_ROW_LIMIT = 100000;
+
+const COLUMN_AFFINITY = { number: 'REAL', boolean: 'INTEGER', string: 'TEXT' };
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+let sqlModule = null;
+
+function loadSql() {
+  if (!sqlModule) {
+    sqlModule = initSqlJs();
+  }
+  return sqlModule;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Run `sql` against `tables` ([{ name, columns: [{ name, type }], rows: [[value]] }]).
+// Resolves to the last result set: { columns, rows, truncated }. SQLite errors reject as-is.
+async function runQuery(tables, sql) {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+  try {
+    (tables || []).forEach((table) => {
+      const columns = table.columns || [];
+      if (!columns.length) {
+        return;
+      }
+      const columnList = columns
+        .map((column, c) => `${quoteIdentifier(column.name)} ${columnAffinity(column, c, table.rows || [])}`.trim())
+        .join(', ');
+      db.run(`CREATE TABLE ${quoteIdentifier(table.name)} (${columnList})`);
+      const insert = db.prepare(
+        `INSERT INTO ${quoteIdentifier(table.name)} VALUES (${columns.map(() => '?').join(', ')})`,
+      );
+      db.run('BEGIN');
+      (table.rows || []).forEach((row) => {
+        insert.run(columns.map((column, c) => toSqlValue(row[c])));
+      });
+      db.run('COMMIT');
+      insert.free();
+    });
+
+    let result = { columns: [], rows: [], truncated: false };
+    for (const statement of db.iterateStatements(String(sql || ''))) {
+      const columns = statement.getColumnNames();
+      const rows = [];
+      let truncated = false;
+      while (statement.step()) {
+        if (rows.length >= RESULT_ROW_LIMIT) {
+          truncated = true;
+          break;
+        }
+        rows.push(statement.get(null, { useBigInt: true }).map(fromSqlValue));
+      }
+      statement.free();
+      // Statements without a result (e.g. CREATE VIEW) keep the previous result.
+      if (columns.length) {
+        result = { columns, rows, truncated };
+      }
+    }
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// Numbers a double cannot hold come as lossless numbers (see json-sheet-rules.js) and are never
+// turned into doubles: a number column holding them is INTEGER when all its values are integers
+// that fit 64 bits, and has no affinity otherwise, so they are stored as text rather than REAL.
+function columnAffinity(column, c, rows) {
+  if (column.type !== 'number' || !rows.some((row) => jsonRules.isLosslessNumber(row[c]))) {
+    return COLUMN_AFFINITY[column.type] || '';
+  }
+  const integers = rows.every((row) => {
+    const value = row[c];
+    return value === undefined || value === null || Number.isInteger(value) || int64Value(value) !== null;
+  });
+  return integers ? 'INTEGER' : '';
+}
+
+// The integer of a lossless number literal when it fits 64 bits, else null.
+function int64Value(value) {
+  if (!jsonRules.isLosslessNumber(value)) {
+    return null;
+  }
+  const literal = jsonRules.losslessNumberText(value);
+  if (!/^-?\d+$/.test(literal)) {
+    return null;
+  }
+  const n = BigInt(literal);
+  return n >= INT64_MIN && n <= INT64_MAX ? n : null;
+}
+
+function toSqlValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (jsonRules.isLosslessNumber(value)) {
+    // sql.js binds a BigInt as its digits; the INTEGER affinity stores them as an exact integer.
+    return int64Value(value) ?? jsonRules.losslessNumberText(value);
+  }
+  return value;
+}
+
+// Integers are read as BigInt so 64-bit values come back exact, as lossless numbers.
+function fromSqlValue(value) {
+  if (typeof value === 'bigint') {
+    return jsonRules.parseNumberLiteral(value.toString());
+  }
+  if (value instanceof Uint8Array) {
+    return `[${value.length} bytes]`;
+  }
+  return value;
+}
+
+module.exports = {
+  RESULT_ROW_LIMIT,
+  runQuery,
+};
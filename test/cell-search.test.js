@@ -0,0 +1,86 @@
+'use strict';
+
+// Find/Replace matching: literal text or regular expressions, match case and whole-cell options,
+// and replacements that only expand `$1` for regular expressions.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cellSearch = require('../cell-search');
+
+function matches(options, text) {
+  return cellSearch.matchesCell(cellSearch.createMatcher(options), text);
+}
+
+test('an empty query has no matcher', () => {
+  assert.equal(cellSearch.createMatcher({ query: '' }), null);
+});
+
+test('literal queries match their text, special characters included', () => {
+  assert.equal(matches({ query: 'a.b' }, 'xa.by'), true);
+  assert.equal(matches({ query: 'a.b' }, 'axb'), false);
+  assert.equal(matches({ query: '(1)' }, 'item (1)'), true);
+});
+
+test('regular expressions match as patterns', () => {
+  assert.equal(matches({ query: '^\\d+$', regex: true }, '123'), true);
+  assert.equal(matches({ query: '^\\d+$', regex: true }, '12a'), false);
+  assert.equal(matches({ query: 'a|b', regex: true }, 'b'), true);
+});
+
+test('match case', () => {
+  assert.equal(matches({ query: 'Ann' }, 'ann'), true);
+  assert.equal(matches({ query: 'Ann', matchCase: true }, 'ann'), false);
+  assert.equal(matches({ query: 'Ann', matchCase: true }, 'Ann'), true);
+});
+
+test('whole cell', () => {
+  assert.equal(matches({ query: 'Ann', wholeCell: true }, 'Anna'), false);
+  assert.equal(matches({ query: 'Ann', wholeCell: true }, 'ann'), true);
+  // Alternatives only match whole cells, too.
+  assert.equal(matches({ query: 'a|b', regex: true, wholeCell: true }, 'ab'), false);
+  assert.equal(matches({ query: 'a|b', regex: true, wholeCell: true }, 'b'), true);
+});
+
+test('a matcher gives the same answer when used again', () => {
+  const matcher = cellSearch.createMatcher({ query: 'a' });
+  assert.equal(cellSearch.matchesCell(matcher, 'a'), true);
+  assert.equal(cellSearch.matchesCell(matcher, 'a'), true);
+});
+
+test('an invalid regular expression is reported, not thrown', () => {
+  const matcher = cellSearch.createMatcher({ query: '(', regex: true });
+  assert.equal(typeof matcher.error, 'string');
+  assert.equal(matcher.pattern, undefined);
+  assert.equal(matches({ query: '(' }, 'a (b'), true);
+});
+
+test('replace expands groups for regular expressions only', () => {
+  const regex = cellSearch.createMatcher({ query: '(\\w+)@(\\w+)', regex: true });
+  assert.equal(cellSearch.replaceInCell(regex, 'ann@home, bo@work', '$2:$1'), 'home:ann, work:bo');
+  const literal = cellSearch.createMatcher({ query: 'USD' });
+  assert.equal(cellSearch.replaceInCell(literal, '10 usd, 20 USD', '$1'), '10 $1, 20 $1');
+  const whole = cellSearch.createMatcher({ query: 'x', wholeCell: true });
+  assert.equal(cellSearch.replaceInCell(whole, 'xx', 'y'), 'xx');
+  assert.equal(cellSearch.replaceInCell(whole, 'X', 'y'), 'y');
+});
+
+test('search filters by column and type, and skips empty cells', () => {
+  const rows = [
+    ['name', 'age'],
+    ['Ann', '30'],
+    ['', '3'],
+  ];
+  const table = { rows, header: true, columns: cellSearch.tableColumns(rows, false, null) };
+  const matcher = cellSearch.createMatcher({ query: 'a' });
+  assert.deepEqual(
+    cellSearch.searchTable(table, matcher).map((match) => [match.row, match.col]),
+    [
+      [0, 0],
+      [0, 1],
+      [1, 0],
+    ],
+  );
+  const three = cellSearch.createMatcher({ query: '3' });
+  assert.deepEqual(cellSearch.searchTable(table, three, { column: 'age' }).map((match) => match.row), [1, 2]);
+  assert.deepEqual(cellSearch.searchTable(table, three, { type: 'string' }), []);
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+// The host's check of locked columns: rows may move, go away or be added empty, but a row keeps
+// its locked cells.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataFiles = require('../data-files');
+const columnLocks = require('../column-locks');
+
+function tables(text, fsPath) {
+  return columnLocks.lockTables(dataFiles.readDataFile(Buffer.from(text, 'utf8'), fsPath).content, {});
+}
+
+function changed(before, after, fsPath = 'people.json', locked = ['id']) {
+  return columnLocks.changedLockedColumns(tables(before, fsPath), tables(after, fsPath), locked);
+}
+
+const PEOPLE = '[{"id":1,"name":"a"},{"id":2,"name":"b"},{"id":3,"name":"c"}]';
+
+test('other cells can be edited', () => {
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"x"},{"id":2,"name":"b"},{"id":3,"name":"y"}]'), []);
+});
+
+test('rows can be deleted, sorted and added with an empty locked cell', () => {
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"id":3,"name":"c"}]'), []);
+  assert.deepEqual(changed(PEOPLE, '[{"id":3,"name":"c"},{"id":1,"name":"a"},{"id":2,"name":"b"}]'), []);
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"name":"new"},{"id":2,"name":"b"},{"id":3,"name":"c"}]'), []);
+  assert.deepEqual(changed(PEOPLE, '[{"id":2,"name":"x"},{"id":3,"name":"c"}]'), []);
+});
+
+test('a locked cell cannot change, be cleared or be copied', () => {
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"id":9,"name":"b"},{"id":3,"name":"c"}]'), ['id']);
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"name":"b"},{"id":3,"name":"c"}]'), ['id']);
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"id":"","name":"b"},{"id":3,"name":"c"}]'), ['id']);
+  assert.deepEqual(changed(PEOPLE, '[{"id":1,"name":"a"},{"id":1,"name":"b"},{"id":3,"name":"c"}]'), ['id']);
+});
+
+test('locked cells cannot be swapped between rows', () => {
+  assert.deepEqual(changed(PEOPLE, '[{"id":2,"name":"a"},{"id":1,"name":"b"},{"id":3,"name":"c"}]'), ['id']);
+  assert.deepEqual(changed('a,id\nx,1\ny,2\n', 'a,id\nx,2\ny,1\n', 'people.csv'), ['id']);
+});
+
+test('a locked column cannot be removed', () => {
+  assert.deepEqual(changed(PEOPLE, '[{"name":"a"},{"name":"b"},{"name":"c"}]'), ['id']);
+});
+
+test('keys of key/value and object-of-objects documents can be locked', () => {
+  assert.deepEqual(changed('{"a":1,"b":2}', '{"a":1,"c":2}', 'settings.json', ['key']), ['key']);
+  assert.deepEqual(changed('{"a":1,"b":2}', '{"a":5,"b":2}', 'settings.json', ['key']), []);
+  assert.deepEqual(changed('{"a":{"x":1},"b":{"x":2}}', '{"b":{"x":2},"a":{"x":5}}', 'keyed.json', ['key']), []);
+  assert.deepEqual(changed('{"a":{"x":1},"b":{"x":2}}', '{"a":{"x":1},"c":{"x":2}}', 'keyed.json', ['key']), ['key']);
+});
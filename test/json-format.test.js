@@ -0,0 +1,21 @@
+'use strict';
+
+// Minimal-diff JSON writing: edits keep the text's own layout.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jsonFormat = require('../json-format');
+
+test('a new object in an array of compact objects is written compact', () => {
+  const text = '[\n  {"id": 1, "name": "a"},\n  {"id": 2, "name": "b"}\n]\n';
+  const value = [...JSON.parse(text), { id: 3, name: 'c' }];
+  assert.equal(
+    jsonFormat.formatJsonPreserving(text, value),
+    '[\n  {"id": 1, "name": "a"},\n  {"id": 2, "name": "b"},\n  {"id": 3, "name": "c"}\n]\n',
+  );
+});
+
+test('a new object in an array of multiline objects is written multiline', () => {
+  const text = '[\n  {\n    "id": 1\n  }\n]';
+  assert.equal(jsonFormat.formatJsonPreserving(text, [{ id: 1 }, { id: 2 }]), '[\n  {\n    "id": 1\n  },\n  {\n    "id": 2\n  }\n]');
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+// The raven CLI as CI runs it: output files, messages and exit codes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const RAVEN = path.join(__dirname, '..', 'bin', 'raven.js');
+
+function raven(...args) {
+  const result = spawnSync(process.execPath, [RAVEN, ...args], { encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'raven-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, text) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+  return { dir, write };
+}
+
+test('convert writes the output format and exits 0', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('people.json', '[{"id":1,"name":"Ann, B."},{"id":2,"name":"Bo"}]');
+  const output = path.join(dir, 'people.csv');
+  const result = raven('convert', input, output);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(fs.readFileSync(output, 'utf8'), 'id,name\n1,"Ann, B."\n2,Bo\n');
+});
+
+test('convert reads CSV back into typed JSON', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('people.csv', 'id,name,active\n1,Ann,true\n');
+  const output = path.join(dir, 'people.json');
+  assert.equal(raven('convert', input, output, '--indent', '0').status, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')), [{ id: 1, name: 'Ann', active: true }]);
+});
+
+test('convert writes workbooks', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('people.json', '[{"id":1},{"id":2}]');
+  const xlsx = path.join(dir, 'people.xlsx');
+  assert.equal(raven('convert', input, xlsx).status, 0);
+  const csv = path.join(dir, 'back.csv');
+  assert.equal(raven('convert', xlsx, csv).status, 0);
+  assert.equal(fs.readFileSync(csv, 'utf8'), 'id\n1\n2\n');
+});
+
+test('--no-header leaves the header row out of CSV and workbooks', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('people.csv', 'id,name\n1,Ann\n2,Bo\n');
+  const csv = path.join(dir, 'rows.csv');
+  assert.equal(raven('convert', input, csv, '--no-header').status, 0);
+  assert.equal(fs.readFileSync(csv, 'utf8'), '1,Ann\n2,Bo\n');
+
+  const xlsx = path.join(dir, 'rows.xlsx');
+  assert.equal(raven('convert', input, xlsx, '--no-header').status, 0);
+  const back = path.join(dir, 'back.csv');
+  assert.equal(raven('convert', xlsx, back).status, 0);
+  assert.equal(fs.readFileSync(back, 'utf8'), '1,Ann\n2,Bo\n');
+});
+
+test('convert writes nested arrays as JSON text in flat formats', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('orders.json', '[{"id":1,"orders":[{"i":"A"}]},{"id":2,"orders":[{"i":"B"},{"i":"C"}]}]');
+  const csv = path.join(dir, 'orders.csv');
+  assert.equal(raven('convert', input, csv).status, 0);
+  assert.equal(fs.readFileSync(csv, 'utf8'), 'id,orders\n1,"[{""i"":""A""}]"\n2,"[{""i"":""B""},{""i"":""C""}]"\n');
+
+  const md = path.join(dir, 'orders.md');
+  assert.equal(raven('convert', input, md).status, 0);
+  assert.match(fs.readFileSync(md, 'utf8'), /\| 2 \| \[\{"i":"B"\},\{"i":"C"\}\] \|/);
+});
+
+test('convert keeps the types and nested arrays of JSON Lines records', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('events.jsonl', '{"code":"123","items":[{"n":1}]}\n');
+  const output = path.join(dir, 'events.json');
+  assert.equal(raven('convert', input, output).status, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')), [{ code: '123', items: [{ n: 1 }] }]);
+});
+
+test('validate exits 0 for files the grid opens', (t) => {
+  const { write } = tempDir(t);
+  const files = [write('a.json', '{"a":1}'), write('b.csv', 'x,y\n1,2\n'), write('c.jsonl', '{"a":1}\n')];
+  const result = raven('validate', ...files);
+  assert.equal(result.status, 0, result.stderr);
+  assert.equal(result.stderr, '');
+});
+
+test('validate reports JSON syntax errors with their position and exits 1', (t) => {
+  const { write } = tempDir(t);
+  const file = write('bad.json', '{"a": [1,\n  2,,]}');
+  const result = raven('validate', file);
+  assert.equal(result.status, 1);
+  assert.ok(result.stderr.startsWith(`${file}:2:5: Unexpected token`), result.stderr);
+});
+
+test('validate reports unsupported JSON shapes and exits 1', (t) => {
+  const { write } = tempDir(t);
+  const file = write('rows.json', '[1, {"a": 1}]');
+  const result = raven('validate', file);
+  assert.equal(result.status, 1);
+  assert.equal(result.stderr, `${file}: Unsupported JSON at row[0]: Each row must be an object.\n`);
+});
+
+test('validate warns about JSON Lines kept as-is but exits 0', (t) => {
+  const { write } = tempDir(t);
+  const file = write('events.jsonl', '{"a":1}\n[2]\n');
+  const result = raven('validate', file);
+  assert.equal(result.status, 0);
+  assert.equal(result.stderr, `warning: ${file}: Line 2: Not a JSON object; kept as-is.\n`);
+});
+
+test('a missing file exits 1', (t) => {
+  const { dir } = tempDir(t);
+  const result = raven('validate', path.join(dir, 'missing.json'));
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /The file could not be read/);
+});
+
+test('usage errors exit 2', (t) => {
+  const { dir, write } = tempDir(t);
+  const input = write('a.json', '{"a":1}');
+  assert.equal(raven().status, 2);
+  assert.equal(raven('frob').status, 2);
+  assert.equal(raven('convert', input).status, 2);
+  assert.equal(raven('convert', input, path.join(dir, 'a.xls')).status, 2);
+  assert.equal(raven('validate', input, '--indent', 'x').status, 2);
+  assert.equal(raven('--help').status, 0);
+});
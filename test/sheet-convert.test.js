@@ -0,0 +1,134 @@
+'use strict';
+
+// Round-trips through the conversion core: a file read into a grid payload and written back
+// without edits must come out byte for byte, the way the editor saves it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dataFiles = require('../data-files');
+const jsonFormat = require('../json-format');
+const sheetConvert = require('../sheet-convert');
+
+function load(text, fsPath) {
+  const { content, loadError } = dataFiles.readDataFile(Buffer.from(text, 'utf8'), fsPath);
+  assert.equal(loadError, null);
+  return sheetConvert.toSheetPayloadFromContent(content, {});
+}
+
+// The grid as the webview hands it back: FortuneSheet keeps a dense `data` matrix per sheet.
+function gridSheets(payload) {
+  return payload.sheets.map((sheet, idx) => {
+    const { celldata, ...rest } = sheet;
+    return { ...rest, id: `sheet${idx + 1}`, data: sheetConvert.celldataToMatrix(sheet) };
+  });
+}
+
+// Serialize the grid like the webview and, for JSON documents, patch the previous text like the
+// extension does on every edit.
+function save(text, payload, sheets = gridSheets(payload)) {
+  const { textOut } = sheetConvert.sheetToText(
+    sheets,
+    payload.typeMap,
+    payload.dataKind,
+    payload.wrapper || null,
+    payload.source || null,
+    sheetConvert.createNestedState(payload.nestedTables),
+    { columnTypes: payload.columnTypes || null, overrides: {} },
+  );
+  if (sheetConvert.JSON_DOCUMENT_KINDS.includes(payload.dataKind)) {
+    return jsonFormat.formatJsonPreserving(text, JSON.parse(textOut), 2);
+  }
+  return textOut;
+}
+
+function roundTrip(text, fsPath) {
+  return save(text, load(text, fsPath));
+}
+
+test('CSV keeps quoting, padding, line breaks and line endings', () => {
+  const text = 'id,name,note\r\n1," padded ","say ""hi"""\r\n2,"a,b","line\nbreak"\r\n';
+  assert.equal(roundTrip(text, 'people.csv'), text);
+});
+
+test('CSV keeps a sniffed delimiter and leading zeros', () => {
+  const text = 'code;label\n007;x\n010;"y;z"';
+  assert.equal(roundTrip(text, 'codes.csv'), text);
+});
+
+test('CSV keeps ragged rows', () => {
+  const text = 'a,b,c\n1\n2,3,4,5\n';
+  assert.equal(roundTrip(text, 'ragged.csv'), text);
+});
+
+test('JSON Lines keeps blank and unparseable lines in place', () => {
+  const text = '{"a":1}\n\nnot json\n{"a":2,"b":[1,2]}\n';
+  const payload = load(text, 'events.jsonl');
+  assert.deepEqual(payload.warnings, ['Line 3: Unexpected token \'o\', "not json" is not valid JSON; kept as-is.']);
+  assert.equal(save(text, payload), text);
+});
+
+test('JSON keeps large integers and long decimals as written', () => {
+  const text = '[\n  {\n    "big": 12345678901234567890,\n    "pi": 3.14159265358979323846,\n    "e": 1E3\n  }\n]\n';
+  assert.equal(roundTrip(text, 'numbers.json'), text);
+});
+
+test('JSON keeps a wrapper object around the table', () => {
+  const text = '{\n  "page": 1,\n  "data": [\n    { "x": 1 },\n    { "x": 2 }\n  ]\n}\n';
+  assert.equal(roundTrip(text, 'page.json'), text);
+});
+
+test('JSON keeps nested arrays of objects', () => {
+  const text = '[{"id":1,"orders":[{"i":"A"}]},{"id":2,"orders":[{"i":"B"},{"i":"C"}]}]';
+  assert.equal(roundTrip(text, 'orders.json'), text);
+});
+
+test('key/value JSON keeps dotted keys as nested objects', () => {
+  const text = '{\n  "name": "x",\n  "nested": {\n    "k": 1,\n    "l": [1, 2]\n  }\n}\n';
+  assert.equal(roundTrip(text, 'settings.json'), text);
+});
+
+test('edited cells are cast back with their column type', () => {
+  const text = '[{"id":1,"name":"a"}]';
+  const payload = load(text, 'edit.json');
+  const sheets = gridSheets(payload);
+  sheets[0].data[1][0] = { v: '2', m: '2' };
+  sheets[0].data[1][1] = { v: '007', m: '007' };
+  assert.equal(save(text, payload, sheets), '[{"id":2,"name":"007"}]');
+});
+
+test('nested arrays stay with their row when rows are deleted or sorted', () => {
+  const text = '[{"id":1,"orders":[{"i":"A"}]},{"id":2,"orders":[{"i":"B"},{"i":"C"}]},{"id":3}]';
+  const payload = load(text, 'orders.json');
+
+  const deleted = gridSheets(payload);
+  deleted[0].data.splice(1, 1);
+  assert.equal(save(text, payload, deleted), '[{"id":2,"orders":[{"i":"B"},{"i":"C"}]},{"id":3}]');
+
+  const sorted = gridSheets(payload);
+  const [header, ...rows] = sorted[0].data;
+  sorted[0].data = [header, ...rows.reverse()];
+  assert.equal(save(text, payload, sorted), '[{"id":3},{"id":2,"orders":[{"i":"B"},{"i":"C"}]},{"id":1,"orders":[{"i":"A"}]}]');
+});
+
+test('untyped cells are cast with the file\'s type inference setting', () => {
+  const text = '{"a":"x"}';
+  const payload = load(text, 'settings.json');
+  const sheets = gridSheets(payload);
+  sheets[0].data[0][1] = { v: '42', m: '42' };
+  const schema = { columnTypes: null, overrides: {}, typeInference: { numbers: false, booleans: true, null: true } };
+  const serialize = (options) =>
+    sheetConvert.sheetToText(sheets, {}, payload.dataKind, null, null, sheetConvert.createNestedState(), options).textOut;
+  assert.deepEqual(JSON.parse(serialize(schema)), { a: '42' });
+  assert.deepEqual(JSON.parse(serialize({ columnTypes: null, overrides: {} })), { a: 42 });
+});
+
+test('nested tables open as child sheets built like the main sheet', () => {
+  const rowsText = '[{"id":1,"tags":[1,2],"items":[{"n":1}]},{"id":12345678901234567890,"note":null}]';
+  const main = load(rowsText, 'rows.json');
+  const child = sheetConvert.createNestedSheet(load(`{"rows":${rowsText}}`, 'doc.json').nestedTables.rows);
+  assert.ok(child.ok);
+  assert.deepEqual(child.sheet.data, main.sheets[0].data);
+  assert.deepEqual(child.typeMap, main.typeMap);
+  assert.deepEqual(child.columnTypes, main.columnTypes);
+  assert.deepEqual(child.tables, main.nestedTables);
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+// Compare With…: rows align by key or by content, columns by header name, and edited rows show
+// up as changed rather than as a removed and an added row.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sheetDiff = require('../sheet-diff');
+
+// Each aligned row as [status, before index, after index].
+function layout(table) {
+  return table.rows.map((row) => [row.status, row.before, row.after]);
+}
+
+test('an inserted row is one added row', () => {
+  const before = [['a', '1'], ['b', '2'], ['c', '3']];
+  const after = [['a', '1'], ['x', '9'], ['b', '2'], ['c', '3']];
+  const table = sheetDiff.compareTables(before, after);
+  assert.deepEqual(layout(table), [
+    ['same', 0, 0],
+    ['added', -1, 1],
+    ['same', 1, 2],
+    ['same', 2, 3],
+  ]);
+  assert.deepEqual(table.counts, { added: 1, removed: 0, changed: 0 });
+});
+
+test('without a key, a removed row followed by an added row is an edited row', () => {
+  const table = sheetDiff.compareTables([['a', '1'], ['b', '2'], ['c', '3']], [['a', '1'], ['b', '5'], ['c', '3']]);
+  assert.deepEqual(layout(table), [
+    ['same', 0, 0],
+    ['changed', 1, 1],
+    ['same', 2, 2],
+  ]);
+  assert.deepEqual(table.rows[1].cells.map((cell) => cell.changed), [false, true]);
+  assert.deepEqual(table.counts, { added: 0, removed: 0, changed: 1 });
+});
+
+test('keyed rows pair by key wherever they moved, repeated keys in order', () => {
+  const before = [['id', 'v'], ['1', 'a'], ['2', 'b'], ['2', 'c'], ['3', 'd']];
+  const after = [['id', 'v'], ['2', 'b'], ['2', 'x'], ['1', 'a'], ['4', 'e']];
+  const table = sheetDiff.compareTables(before, after, { header: true, key: 'id' });
+  assert.deepEqual(layout(table), [
+    ['header', 0, 0],
+    ['same', 2, 1],
+    ['changed', 3, 2],
+    ['same', 1, 3],
+    ['removed', 4, -1],
+    ['added', -1, 4],
+  ]);
+  assert.deepEqual(table.rows[2].cells[1], { before: 'c', after: 'x', changed: true });
+  assert.deepEqual(table.counts, { added: 1, removed: 1, changed: 1 });
+});
+
+test('a key column can be given by index', () => {
+  const table = sheetDiff.compareTables([['1', 'a'], ['2', 'b']], [['2', 'b'], ['1', 'z']], { key: 0 });
+  assert.deepEqual(layout(table), [
+    ['same', 1, 0],
+    ['changed', 0, 1],
+  ]);
+});
+
+test('columns align by header name when both header rows name them uniquely', () => {
+  const before = [['id', 'name', 'age'], ['1', 'Ann', '30']];
+  const after = [['id', 'city', 'name'], ['1', 'Oslo', 'Ann']];
+  const table = sheetDiff.compareTables(before, after, { header: true });
+  assert.deepEqual(table.columns, [
+    { before: 0, after: 0 },
+    { before: -1, after: 1 },
+    { before: 1, after: 2 },
+    { before: 2, after: -1 },
+  ]);
+  assert.deepEqual(layout(table), [
+    ['header', 0, 0],
+    ['same', 1, 1],
+  ]);
+  assert.deepEqual(table.counts, { added: 0, removed: 0, changed: 0 });
+});
+
+test('repeated or empty header names align columns by position', () => {
+  const table = sheetDiff.compareTables([['a', 'a'], ['1', '2']], [['a', 'b', 'a'], ['1', '3', '2']], { header: true });
+  assert.deepEqual(table.columns, [
+    { before: 0, after: 0 },
+    { before: 1, after: 1 },
+    { before: -1, after: 2 },
+  ]);
+  assert.equal(table.rows[1].status, 'changed');
+});
+
+test('workbooks pair sheets by name, and single sheets by position', () => {
+  const results = sheetDiff.compareWorkbooks(
+    [
+      { name: 'A', rows: [['1']] },
+      { name: 'B', rows: [['2']] },
+    ],
+    [
+      { name: 'B', rows: [['2']] },
+      { name: 'C', rows: [['3']] },
+    ],
+  );
+  assert.deepEqual(
+    results.map((result) => [result.name, result.status, result.table.counts]),
+    [
+      ['B', 'both', { added: 0, removed: 0, changed: 0 }],
+      ['C', 'added', { added: 1, removed: 0, changed: 0 }],
+      ['A', 'removed', { added: 0, removed: 1, changed: 0 }],
+    ],
+  );
+
+  const [single] = sheetDiff.compareWorkbooks([{ name: 'Old', rows: [['1']] }], [{ name: 'New', rows: [['2']] }]);
+  assert.equal(single.status, 'both');
+  assert.deepEqual(single.table.counts, { added: 0, removed: 0, changed: 1 });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+// Queries over sheets: numbers a double cannot hold are never rounded on the way in or out.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jsonRules = require('../json-sheet-rules');
+const sqlQuery = require('../sql-query');
+
+const lossless = (literal) => jsonRules.parseNumberLiteral(literal);
+
+test('64-bit integers are stored and returned as exact integers', async () => {
+  const tables = [{ name: 't', columns: [{ name: 'id', type: 'number' }], rows: [[lossless('9007199254740993')], [1]] }];
+  const result = await sqlQuery.runQuery(tables, 'SELECT id, typeof(id) FROM t ORDER BY id DESC');
+  assert.deepEqual(result.rows, [
+    [lossless('9007199254740993'), 'integer'],
+    [1, 'integer'],
+  ]);
+});
+
+test('other numbers a double cannot hold are stored as text', async () => {
+  const tables = [
+    {
+      name: 't',
+      columns: [
+        { name: 'big', type: 'number' },
+        { name: 'pi', type: 'number' },
+      ],
+      rows: [[lossless('123456789012345678901234'), lossless('3.14159265358979323846')], [2, 1.5]],
+    },
+  ];
+  const result = await sqlQuery.runQuery(tables, 'SELECT big, typeof(big), pi, typeof(pi) FROM t');
+  assert.deepEqual(result.rows, [
+    ['123456789012345678901234', 'text', '3.14159265358979323846', 'text'],
+    [2, 'integer', 1.5, 'real'],
+  ]);
+});
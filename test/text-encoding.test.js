@@ -0,0 +1,59 @@
+'use strict';
+
+// Text files are read in the encoding they were written in and saved back the same way, byte
+// order mark included; characters the encoding cannot hold are counted for the save warning.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const textEncoding = require('../text-encoding');
+
+const TEXT = 'name,city\nZoë,Ørsted €\n';
+
+function roundTrip(encoding) {
+  const { buffer, unmappable } = textEncoding.encodeText(TEXT, encoding);
+  const detected = textEncoding.detectTextEncoding(buffer);
+  return { buffer, unmappable, detected, text: textEncoding.decodeText(buffer, detected) };
+}
+
+test('UTF-8, UTF-16 LE and UTF-16 BE keep their byte order mark', () => {
+  const cases = [
+    [{ name: 'utf8', bom: true }, [0xef, 0xbb, 0xbf]],
+    [{ name: 'utf16le', bom: true }, [0xff, 0xfe]],
+    [{ name: 'utf16be', bom: true }, [0xfe, 0xff]],
+  ];
+  cases.forEach(([encoding, bom]) => {
+    const { buffer, unmappable, detected, text } = roundTrip(encoding);
+    assert.deepEqual([...buffer.subarray(0, bom.length)], bom);
+    assert.deepEqual(detected, encoding);
+    assert.equal(text, TEXT);
+    assert.equal(unmappable, 0);
+    assert.deepEqual(textEncoding.encodeText(text, detected).buffer, buffer);
+  });
+});
+
+test('UTF-8 without a byte order mark is the default', () => {
+  const { buffer, detected, text } = roundTrip({ name: 'utf8', bom: false });
+  assert.equal(buffer[0], 'n'.charCodeAt(0));
+  assert.deepEqual(detected, textEncoding.DEFAULT_ENCODING);
+  assert.equal(text, TEXT);
+  assert.deepEqual(textEncoding.detectTextEncoding(Buffer.alloc(0)), textEncoding.DEFAULT_ENCODING);
+  assert.equal(textEncoding.describeEncoding({ name: 'utf8', bom: true }), 'UTF-8 with BOM');
+});
+
+test('bytes that are not UTF-8 are read as Windows-1252', () => {
+  const bytes = Buffer.from([0x5a, 0x6f, 0xeb, 0x20, 0x80, 0x20, 0x93, 0x71, 0x94]);
+  const encoding = textEncoding.detectTextEncoding(bytes);
+  assert.deepEqual(encoding, { name: 'windows1252', bom: false });
+  assert.equal(textEncoding.decodeText(bytes, encoding), 'Zoë € “q”');
+  assert.deepEqual(textEncoding.encodeText('Zoë € “q”', encoding), { buffer: bytes, unmappable: 0 });
+  // The same bytes read as ISO-8859-1 give C1 control characters for 0x80-0x9F.
+  assert.equal(textEncoding.decodeText(bytes, { name: 'latin1' }), 'Zoë \u0080 \u0093q\u0094');
+});
+
+test('characters a single-byte encoding cannot hold are counted and saved as "?"', () => {
+  const { buffer, unmappable } = textEncoding.encodeText('a€β😀', { name: 'windows1252', bom: false });
+  assert.equal(unmappable, 2);
+  assert.deepEqual([...buffer], [0x61, 0x80, 0x3f, 0x3f]);
+  assert.equal(textEncoding.encodeText('a€', { name: 'latin1', bom: false }).unmappable, 1);
+  assert.equal(textEncoding.encodeText('a€β😀', { name: 'utf16be', bom: false }).unmappable, 0);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+// Workbook writing: the original package is patched when it can be, and a rebuild says why.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const xlsxWorkbook = require('../xlsx-workbook');
+
+function loaded() {
+  const { buffer } = xlsxWorkbook.writeWorkbook(
+    [
+      { name: 'A', matrix: [['x', 1]] },
+      { name: 'B', matrix: [['y']] },
+    ],
+    null,
+  );
+  const sheets = xlsxWorkbook.readWorkbook(buffer);
+  return { bytes: buffer, sheets };
+}
+
+test('unchanged sheets patch the original workbook', () => {
+  const source = loaded();
+  const result = xlsxWorkbook.writeWorkbook(source.sheets, source);
+  assert.equal(result.rebuilt, false);
+  assert.equal(result.patchError, null);
+  assert.deepEqual(xlsxWorkbook.readWorkbook(result.buffer).map((sheet) => sheet.name), ['A', 'B']);
+});
+
+test('reordered sheets rebuild the workbook without a patch error', () => {
+  const source = loaded();
+  const result = xlsxWorkbook.writeWorkbook([...source.sheets].reverse(), source);
+  assert.equal(result.rebuilt, true);
+  assert.equal(result.patchError, null);
+});
+
+test('a failed patch rebuilds the workbook and reports why', () => {
+  const source = loaded();
+  const result = xlsxWorkbook.writeWorkbook(source.sheets, { ...source, bytes: Buffer.from('not a workbook') });
+  assert.equal(result.rebuilt, true);
+  assert.equal(typeof result.patchError, 'string');
+  assert.notEqual(result.patchError, '');
+  assert.deepEqual(xlsxWorkbook.readWorkbook(result.buffer).map((sheet) => sheet.name), ['A', 'B']);
+});
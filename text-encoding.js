@@ -0,0 +1,156 @@
+'use strict';
+
+// Character encodings for text-based files (JSON/CSV).
+// Files are decoded with the encoding they were written in and saved back the same way,
+// including the byte order mark, so tools like Excel keep opening them correctly.
+
+const ENCODINGS = {
+  utf8: { label: 'UTF-8' },
+  utf16le: { label: 'UTF-16 LE' },
+  utf16be: { label: 'UTF-16 BE' },
+  windows1252: { label: 'Windows-1252' },
+  latin1: { label: 'ISO-8859-1' },
+};
+
+const BOMS = {
+  utf8: [0xef, 0xbb, 0xbf],
+  utf16le: [0xff, 0xfe],
+  utf16be: [0xfe, 0xff],
+};
+
+// Windows-1252 differs from ISO-8859-1 only in 0x80-0x9F. Unassigned bytes map to the
+// matching C1 control character, as browsers do.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x0192, 0x201e, 0x2026, 0x2020, 0x2021, 0x02c6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8d, 0x017d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x02dc, 0x2122, 0x0161, 0x203a, 0x0153, 0x9d, 0x017e, 0x0178,
+];
+
+const DEFAULT_ENCODING = { name: 'utf8', bom: false };
+
+function startsWith(bytes, prefix) {
+  if (!bytes || bytes.length < prefix.length) {
+    return false;
+  }
+  return prefix.every((b, i) => bytes[i] === b);
+}
+
+function isValidUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Detect the encoding of raw file bytes: a BOM wins; otherwise valid UTF-8 is UTF-8 and
+// anything else is assumed to be a Windows-1252 export (the Excel default on Western systems).
+function detectTextEncoding(bytes) {
+  for (const name of Object.keys(BOMS)) {
+    if (startsWith(bytes, BOMS[name])) {
+      return { name, bom: true };
+    }
+  }
+  if (!bytes || bytes.length === 0 || isValidUtf8(bytes)) {
+    return { ...DEFAULT_ENCODING };
+  }
+  return { name: 'windows1252', bom: false };
+}
+
+function decodeText(bytes, encoding) {
+  const name = encoding?.name || 'utf8';
+  let buffer = Buffer.from(bytes || []);
+  const bom = BOMS[name];
+  if (bom && startsWith(buffer, bom)) {
+    buffer = buffer.subarray(bom.length);
+  }
+
+  switch (name) {
+    case 'utf16le':
+      return buffer.toString('utf16le');
+    case 'utf16be': {
+      const swapped = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+      return swapped.swap16().toString('utf16le');
+    }
+    case 'latin1':
+      return buffer.toString('latin1');
+    case 'windows1252': {
+      let out = '';
+      for (let i = 0; i < buffer.length; i += 1) {
+        const b = buffer[i];
+        out += String.fromCharCode(b >= 0x80 && b <= 0x9f ? WINDOWS_1252_HIGH[b - 0x80] : b);
+      }
+      return out;
+    }
+    default:
+      return buffer.toString('utf8');
+  }
+}
+
+function encodeSingleByte(text, name) {
+  const bytes = [];
+  let unmappable = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    let b = -1;
+    if (code < 0x80 || (code >= 0xa0 && code <= 0xff)) {
+      b = code;
+    } else if (name === 'latin1' && code <= 0xff) {
+      b = code;
+    } else if (name === 'windows1252') {
+      const idx = WINDOWS_1252_HIGH.indexOf(code);
+      b = idx >= 0 ? 0x80 + idx : -1;
+    }
+    if (b < 0) {
+      unmappable += 1;
+      b = 0x3f; // '?'
+    }
+    bytes.push(b);
+  }
+  return { buffer: Buffer.from(bytes), unmappable };
+}
+
+// Encode text for writing. `unmappable` counts characters the target encoding cannot hold
+// (they are written as "?"), so callers can warn before data is lost.
+function encodeText(text, encoding) {
+  const name = encoding?.name || 'utf8';
+  let body;
+  let unmappable = 0;
+
+  switch (name) {
+    case 'utf16le':
+      body = Buffer.from(String(text), 'utf16le');
+      break;
+    case 'utf16be':
+      body = Buffer.from(String(text), 'utf16le').swap16();
+      break;
+    case 'latin1':
+    case 'windows1252': {
+      const encoded = encodeSingleByte(text, name);
+      body = encoded.buffer;
+      unmappable = encoded.unmappable;
+      break;
+    }
+    default:
+      body = Buffer.from(String(text), 'utf8');
+      break;
+  }
+
+  const bom = encoding?.bom && BOMS[name] ? Buffer.from(BOMS[name]) : null;
+  return { buffer: bom ? Buffer.concat([bom, body]) : body, unmappable };
+}
+
+function describeEncoding(encoding) {
+  const name = encoding?.name || 'utf8';
+  const label = ENCODINGS[name]?.label || name;
+  return encoding?.bom && name === 'utf8' ? `${label} with BOM` : label;
+}
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  detectTextEncoding,
+  decodeText,
+  encodeText,
+  describeEncoding,
+};
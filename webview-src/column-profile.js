@@ -0,0 +1,89 @@
+// Per-column statistics for the profile sidebar. Runs in the profile worker for large sheets and
+// on the main thread otherwise, so it works on plain data: `table` is { columns: [{ name, type }],
+// rows: string[][] } with cell texts and the type hint of each column (see sheetProfileTable);
+// `inference` is the file's typeInference setting for untyped columns.
+import jsonRules from '../json-sheet-rules';
+import { castWithType } from '../cell-types';
+
+const PROFILE_TOP_VALUES = 5;
+const HISTOGRAM_BINS = 10;
+
+export function profileTable(table, inference) {
+  return table.columns.map((column, c) => profileColumn(column, table.rows.map((row) => row[c] ?? ''), inference));
+}
+
+function profileColumn(column, values, inference) {
+  const counts = new Map();
+  const types = new Set();
+  const numbers = [];
+  let empty = 0;
+  let nulls = 0;
+  let invalid = 0;
+  let minLength = Infinity;
+  let maxLength = -Infinity;
+
+  values.forEach((raw) => {
+    if (raw === '') {
+      empty += 1;
+      return;
+    }
+    counts.set(raw, (counts.get(raw) || 0) + 1);
+    // Cells are read the way they are saved, so a number in a string column counts as a string.
+    const cast = castWithType(raw, column.type, inference);
+    const type = cast.type;
+    types.add(type);
+    if (cast.invalid) {
+      invalid += 1;
+    } else if (type === 'null') {
+      nulls += 1;
+    } else if (type === 'number') {
+      numbers.push(Number(raw));
+    } else if (type === 'string') {
+      minLength = Math.min(minLength, raw.length);
+      maxLength = Math.max(maxLength, raw.length);
+    }
+  });
+
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, PROFILE_TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+
+  return {
+    name: column.name,
+    type: column.type || jsonRules.inferColumnType([...types]),
+    count: values.length,
+    empty,
+    nulls,
+    invalid,
+    distinct: counts.size,
+    top,
+    lengths: maxLength >= 0 ? { min: minLength, max: maxLength } : null,
+    numbers: numbers.length ? numberStats(numbers) : null,
+  };
+}
+
+function numberStats(numbers) {
+  const sorted = Float64Array.from(numbers).sort();
+  const count = sorted.length;
+  const min = sorted[0];
+  const max = sorted[count - 1];
+  const sum = sorted.reduce((total, n) => total + n, 0);
+  const middle = Math.floor(count / 2);
+  const median = count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+
+  // Equal-width bins between min and max; a single bin when every number is the same.
+  const binCount = min === max ? 1 : HISTOGRAM_BINS;
+  const width = (max - min) / binCount;
+  const histogram = Array.from({ length: binCount }, (_, i) => ({
+    from: min + i * width,
+    to: i === binCount - 1 ? max : min + (i + 1) * width,
+    count: 0,
+  }));
+  sorted.forEach((n) => {
+    const bin = width ? Math.min(binCount - 1, Math.floor((n - min) / width)) : 0;
+    histogram[bin].count += 1;
+  });
+
+  return { min, max, mean: sum / count, median, histogram };
+}
@@ -1,13 +1,85 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { createRoot } from 'react-dom/client';
 import { Workbook } from '@fortune-sheet/react';
 import '@fortune-sheet/react/dist/index.css';
 import './style.css';
+import jsonRules from '../json-sheet-rules';
+import { castWithType, inferType, typeHint } from '../cell-types';
+import { profileTable } from './column-profile';
+import cellSearch from '../cell-search';
+import {
+  celldataToMatrix,
+  childSheetToRows,
+  createNestedResolver,
+  createNestedSheet,
+  createNestedState,
+  createTypeTracker,
+  escapeCsv,
+  getCellText,
+  markdownTable,
+  renderExport,
+  sheetToText,
+} from '../sheet-convert';
 
 const vscode = acquireVsCodeApi();
 
 const defaultSheets = [];
 
+// Column types offered in the header context menu (null = back to the detected type).
+const COLUMN_TYPE_CHOICES = [
+  { type: null, label: 'Auto' },
+  { type: 'string', label: 'Text' },
+  { type: 'number', label: 'Number' },
+  { type: 'boolean', label: 'Boolean' },
+  { type: 'array', label: 'Array (JSON)' },
+  { type: 'object', label: 'Object (JSON)' },
+];
+
+// Badge drawn in the header cell of each typed column.
+const TYPE_BADGES = {
+  string: 'abc',
+  number: '123',
+  boolean: 'T/F',
+  null: 'null',
+  array: '[ ]',
+  object: '{ }',
+  table: '[{ }]',
+  mixed: 'mixed',
+};
+
+const TYPE_DESCRIPTIONS = {
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a JSON array',
+  object: 'a JSON object',
+};
+
+// Differences listed in the compare banner; all of them are still highlighted in the grid.
+const MAX_DIFF_ITEMS = 500;
+
+// Matches listed in the find panel; Previous/Next still step through all of them.
+const MAX_FIND_ITEMS = 500;
+
+// Sheets added by the query panel; they are not part of the document.
+const QUERY_SHEET_PREFIX = 'query-result-';
+
+// Types the find panel can restrict matches to.
+const FIND_TYPES = ['string', 'number', 'boolean', 'null', 'array', 'object'];
+
+// Sheets with more cells than this are profiled in the profile worker.
+const PROFILE_WORKER_CELLS = 50000;
+
+const COPY_FORMAT_LABELS = { json: 'JSON', csv: 'CSV', markdown: 'Markdown' };
+
+// Column names of a key/value document, which has no header row.
+const KEY_VALUE_HEADERS = ['key', 'value'];
+
+// Document kinds whose rows can be given a primary key column; keyed JSON objects have their own.
+const PRIMARY_KEY_KINDS = ['array', 'wrappedArray', 'jsonl', 'csv'];
+
+// Key conflicts listed in the key banner; all of them are still highlighted in the grid.
+const MAX_KEY_ITEMS = 500;
+
 function App() {
   const [sheets, setSheets] = useState(defaultSheets);
   const [typeMap, setTypeMap] = useState({});
@@ -15,7 +87,54 @@ function App() {
   const [isInitialized, setIsInitialized] = useState(false);
   const [wrapper, setWrapper] = useState(null);
   const [error, setError] = useState('');
+  const [loadError, setLoadError] = useState(null);
+  const [fileInfo, setFileInfo] = useState(null);
+  const [workbookInfo, setWorkbookInfo] = useState(null);
+  const [settings, setSettings] = useState({});
+  const [workbookKey, setWorkbookKey] = useState(0);
+  const [activeSheetId, setActiveSheetId] = useState(null);
+  const [selectedNested, setSelectedNested] = useState(null);
+  const [hasChildSheets, setHasChildSheets] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [warnings, setWarnings] = useState([]);
+  const [typeIssues, setTypeIssues] = useState([]);
+  const [keyIssues, setKeyIssues] = useState(null);
+  const [typeMenu, setTypeMenu] = useState(null);
+  const [externalChange, setExternalChange] = useState(false);
+  const [diff, setDiff] = useState(null);
+  const [diffIndex, setDiffIndex] = useState(-1);
+  const [queryOpen, setQueryOpen] = useState(false);
+  const [queryText, setQueryText] = useState('');
+  const [queryHistory, setQueryHistory] = useState([]);
+  const [queryStatus, setQueryStatus] = useState(null);
+  const [queryTables, setQueryTables] = useState([]);
+  const [hasQuerySheets, setHasQuerySheets] = useState(false);
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [profileFilter, setProfileFilter] = useState(null);
+  const [findOpen, setFindOpen] = useState(false);
+  const [findOptions, setFindOptions] = useState({
+    query: '',
+    replacement: '',
+    regex: false,
+    matchCase: false,
+    wholeCell: false,
+    column: '',
+    type: '',
+  });
+  const [findColumns, setFindColumns] = useState([]);
+  const [findResults, setFindResults] = useState(null);
+  const [findIndex, setFindIndex] = useState(-1);
   const lastTextRef = useRef('');
+  // Set while the grid shows an error instead of the document; nothing is sent back to save then.
+  const errorRef = useRef('');
+  // Set for workbook formats that cannot be written (.xls, .xlsb) and comparisons: the grid is
+  // view-only. Files can also be read-only by the settings or Toggle Read-Only (see isReadOnly).
+  const readOnlyRef = useRef(false);
+  // The file's editor settings, from the init payload (see _getSettings in extension.js).
+  const settingsRef = useRef({});
+  // Columns the user locked in this file; the lockedColumns setting locks more (see lockedColumns).
+  const columnLocksRef = useRef([]);
   const ignoreChangesRef = useRef(true);
   const pendingFlushRef = useRef(null);
   const currentSheetsRef = useRef(defaultSheets);
@@ -23,7 +142,37 @@ function App() {
   const workbookRef = useRef(null);
   const currentDataKindRef = useRef('object');
   const currentWrapperRef = useRef(null);
+  const currentSourceRef = useRef(null);
   const initUnlockTimerRef = useRef(null);
+  const nestedRef = useRef(createNestedState({}));
+  const noticeTimerRef = useRef(null);
+  // Column schema of the main sheet: detected types plus the ones picked by the user, and the
+  // primary key column picked for table-like documents.
+  const schemaRef = useRef({ columnTypes: null, overrides: {}, primaryKey: null });
+  const typeCheckRef = useRef(createTypeTracker());
+  // Duplicate and empty keys of the main sheet (see checkKeys), and what the host last heard of them.
+  const keyCheckRef = useRef(checkKeys([], null, null));
+  const sentKeyCheckRef = useRef('null');
+  const activeSheetIdRef = useRef(null);
+  // Changed cells of the open comparison, per sheet id: Set of "row,col".
+  const diffRef = useRef(null);
+  // The listed differences and the one last shown, for Previous/Next.
+  const diffNavRef = useRef({ entries: [], index: -1 });
+  // Scroll position and selection to restore once a re-sent document has mounted.
+  const pendingViewRef = useRef(null);
+  // A cell to select once the document has mounted (a workspace search hit).
+  const pendingRevealRef = useRef(null);
+  // Whether the host has a linked text view open: selections are then sent to it.
+  const textViewRef = useRef(false);
+  // Query panel: the id of the query waiting for its result and the number of result sheets made.
+  const queryRef = useRef({ requestId: 0, pending: null, counter: 0 });
+  const queryInputRef = useRef(null);
+  // Profile sidebar: whether it is open, the table of the last profile (for filtering by a value),
+  // the latest request and the pending refresh after an edit.
+  const profileRef = useRef({ open: false, table: null, requestId: 0, timer: null, filter: null });
+  // Find panel: the matches of the last search and the one selected.
+  const findRef = useRef({ entries: [], index: -1 });
+  const findInputRef = useRef(null);
 
   useEffect(() => {
     const saved = vscode.getState();
@@ -37,22 +186,58 @@ function App() {
 
     const handleKeyDown = (e) => {
       const key = String(e.key || '').toLowerCase();
+      const undo = (e.ctrlKey || e.metaKey) && key === 'z' && !e.shiftKey;
+      const redo = (e.ctrlKey || e.metaKey) && (key === 'y' || (key === 'z' && e.shiftKey));
+      const target = e.target;
+      const typing = target && (target.isContentEditable || ['INPUT', 'TEXTAREA'].includes(target.tagName));
+      if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && (key === 'f' || key === 'h')) {
+        // Our panel searches every sheet and knows the column types; it replaces FortuneSheet's.
+        e.preventDefault();
+        e.stopPropagation();
+        openFindPanel();
+        return;
+      }
+      if (e.key === 'F5' && e.altKey && diffNavRef.current.entries.length) {
+        // Same keys as VS Code's diff editor.
+        e.preventDefault();
+        e.stopPropagation();
+        stepDiff(e.shiftKey ? -1 : 1);
+        return;
+      }
+      if ((undo || redo) && !typing) {
+        // Undo/redo belongs to VS Code's edit stack (FortuneSheet's own history is lost on reload);
+        // record pending edits first so they are the step being undone.
+        e.preventDefault();
+        e.stopPropagation();
+        if (errorRef.current || isReadOnly()) {
+          return;
+        }
+        flushPendingChanges();
+        vscode.postMessage({ type: undo ? 'undo' : 'redo' });
+        return;
+      }
       if ((e.ctrlKey || e.metaKey) && key === 's') {
         e.preventDefault();
         e.stopPropagation();
+        if (errorRef.current || isReadOnly()) {
+          return;
+        }
         flushPendingChanges();
 
         const api = workbookRef.current;
         const latestSheets = api && typeof api.getAllSheets === 'function' ? api.getAllSheets() : currentSheetsRef.current;
         const { textOut, matrix, xlsxSheets } = sheetToText(
-          latestSheets,
+          documentSheets(latestSheets),
           currentTypeMapRef.current,
           currentDataKindRef.current,
           currentWrapperRef.current,
+          currentSourceRef.current,
+          nestedRef.current,
+          schemaRef.current,
         );
 
         if (currentDataKindRef.current === 'xlsx') {
-          vscode.postMessage({ type: 'save', dataKind: 'xlsx', xlsxSheets });
+          vscode.postMessage({ type: 'save', text: textOut, dataKind: 'xlsx', xlsxSheets });
         } else {
           vscode.postMessage({ type: 'save', text: textOut, matrix, dataKind: currentDataKindRef.current });
         }
@@ -62,6 +247,37 @@ function App() {
     // Capture phase so FortuneSheet/internal handlers can't swallow Ctrl+S.
     window.addEventListener('keydown', handleKeyDown, true);
 
+    // FortuneSheet ignores edits of a read-only grid or a locked column without a word; say why.
+    const onBlockedEdit = (event) => {
+      if (!event.target?.closest?.('.fortune-container')) {
+        return;
+      }
+      if (event.type === 'keydown') {
+        const key = String(event.key || '');
+        const modified = event.ctrlKey || event.metaKey;
+        const editing =
+          (key.length === 1 && !modified && !event.altKey) ||
+          ['Delete', 'Backspace', 'F2'].includes(key) ||
+          (modified && !event.altKey && ['v', 'x'].includes(key.toLowerCase()));
+        if (!editing) {
+          return;
+        }
+      }
+      if (errorRef.current || !workbookRef.current) {
+        return;
+      }
+      if (isReadOnly()) {
+        showNotice(readOnlyNotice());
+        return;
+      }
+      const locked = lockedSelectionColumns();
+      if (locked.length) {
+        showNotice(`${locked.length === 1 ? 'Column' : 'Columns'} ${locked.join(', ')} ${locked.length === 1 ? 'is' : 'are'} locked.`);
+      }
+    };
+    window.addEventListener('keydown', onBlockedEdit, true);
+    window.addEventListener('dblclick', onBlockedEdit, true);
+
     const onError = (event) => {
       try {
         const message = event?.message || 'Unknown webview error';
@@ -83,19 +299,62 @@ function App() {
       }
     };
 
+    // Right-clicking header cells opens the column menu (type, primary key, lock) instead of
+    // FortuneSheet's own menu (capture phase, before React sees the event).
+    const onContextMenu = (event) => {
+      if (!event.target?.closest?.('.fortune-cell-area')) {
+        return;
+      }
+      const target = findHeaderSelection();
+      if (!target) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      setTypeMenu({ ...target, x: event.clientX, y: event.clientY });
+    };
+
     window.addEventListener('error', onError);
     window.addEventListener('unhandledrejection', onUnhandledRejection);
+    window.addEventListener('contextmenu', onContextMenu, true);
 
     const handler = (event) => {
       const message = event.data;
       if (message.type === 'init') {
-        const nextError = message.payload.error || '';
+        const nextLoadError = message.payload.loadError || null;
+        const nextError = nextLoadError ? nextLoadError.message : message.payload.error || '';
         const nextWrapper = message.payload.wrapper || null;
-        const nextSheets = message.payload.sheets || [];
+        let nextSheets = message.payload.sheets || [];
+        // Undo/redo and reloads re-send the document: keep the sheet, scroll position and selection.
+        const shownSheet = message.keepView ? workbookRef.current?.getSheet?.() : null;
+        if (shownSheet && nextSheets.some((s) => s.name === shownSheet.name)) {
+          nextSheets = nextSheets.map((s) => ({ ...s, status: s.name === shownSheet.name ? 1 : 0 }));
+          pendingViewRef.current = {
+            scrollLeft: document.querySelector('.luckysheet-scrollbar-x')?.scrollLeft || 0,
+            scrollTop: document.querySelector('.luckysheet-scrollbar-y')?.scrollTop || 0,
+            selection: workbookRef.current.getSelection(),
+          };
+        }
         const nextTypeMap = message.payload.typeMap || {};
         const nextDataKind = message.payload.dataKind || 'object';
+        const nextSource = message.payload.source || null;
 
         setError(nextError);
+        setLoadError(nextLoadError);
+        errorRef.current = nextError;
+        setFileInfo(message.payload.fileInfo || null);
+        setWorkbookInfo(message.payload.workbookInfo || null);
+        const nextSettings = message.payload.settings || {};
+        settingsRef.current = nextSettings;
+        setSettings(nextSettings);
+        readOnlyRef.current = Boolean(
+          (message.payload.workbookInfo && !message.payload.workbookInfo.writable) || message.payload.compare,
+        );
+        columnLocksRef.current = Array.isArray(message.payload.columnLocks) ? message.payload.columnLocks : [];
+        if (!message.payload.compare) {
+          nextSheets = nextSheets.map((sheet) => withColumnLocks(sheet, lockedColumns(), nextDataKind === 'object'));
+        }
+        setWarnings(Array.isArray(message.payload.warnings) ? message.payload.warnings : []);
         setWrapper(nextWrapper);
         setSheets(nextSheets);
         setTypeMap(nextTypeMap);
@@ -104,13 +363,52 @@ function App() {
         currentTypeMapRef.current = nextTypeMap;
         currentDataKindRef.current = nextDataKind;
         currentWrapperRef.current = nextWrapper;
+        currentSourceRef.current = nextSource;
+        nestedRef.current = createNestedState(message.payload.nestedTables);
+        schemaRef.current = {
+          columnTypes: message.payload.columnTypes || null,
+          overrides: { ...(message.payload.columnTypeOverrides || {}) },
+          primaryKey: message.payload.primaryKey || null,
+          // This file's typeInference setting, passed to every cast (see cell-types.js).
+          typeInference: nextSettings.typeInference || null,
+        };
+        activeSheetIdRef.current = null;
+        // FortuneSheet only reads `data` on mount, so remount the workbook for every init.
+        setWorkbookKey((k) => k + 1);
+        setActiveSheetId(null);
+        setSelectedNested(null);
+        setHasChildSheets(false);
+        setTypeMenu(null);
+        setExternalChange(false);
+        setQueryHistory(Array.isArray(message.payload.queryHistory) ? message.payload.queryHistory : []);
+        setHasQuerySheets(false);
+        queryRef.current = { ...queryRef.current, pending: null, counter: 0 };
+        profileRef.current.filter = null;
+        setProfileFilter(null);
+        showFindResults(null);
+        // Compare With… grids come with their list of differences.
+        showDiffList(message.payload.compare || null);
+        diffRef.current = null;
 
         // Establish a baseline text that matches how we serialize the sheet.
         // This prevents "dirty" prompts caused by FortuneSheet emitting onChange during init.
         if (nextError) {
           lastTextRef.current = message.payload.text || '';
+          applyTypeCheck(createTypeTracker());
+          applyKeyCheck([]);
         } else {
-          lastTextRef.current = sheetToText(nextSheets, nextTypeMap, nextDataKind, nextWrapper).textOut;
+          const baseline = sheetToText(
+            nextSheets,
+            nextTypeMap,
+            nextDataKind,
+            nextWrapper,
+            nextSource,
+            nestedRef.current,
+            schemaRef.current,
+          );
+          lastTextRef.current = baseline.textOut;
+          applyTypeCheck(baseline.typeCheck);
+          applyKeyCheck(baseline.matrix);
         }
 
         // FortuneSheet can emit onChange during initialization.
@@ -122,13 +420,88 @@ function App() {
         initUnlockTimerRef.current = setTimeout(() => {
           ignoreChangesRef.current = false;
           initUnlockTimerRef.current = null;
-        }, 350);
+          restoreView();
+          if (pendingRevealRef.current) {
+            revealSheetCell(pendingRevealRef.current);
+          }
+          if (profileRef.current.open) {
+            refreshProfile();
+          }
+        }, settingsRef.current.initUnlockDelay);
         setIsInitialized(true);
         vscode.setState({
           typeMap: message.payload.typeMap,
           dataKind: message.payload.dataKind,
         });
       }
+      if (message.type === 'externalChange') {
+        setExternalChange(true);
+      }
+      if (message.type === 'textView') {
+        textViewRef.current = Boolean(message.open);
+      }
+      if (message.type === 'revealCell') {
+        if (message.sheet !== undefined) {
+          revealSheetCell(message);
+        } else {
+          revealTextViewCell(message);
+        }
+      }
+      if (message.type === 'openFindPanel') {
+        openFindPanel();
+      }
+      if (message.type === 'openQueryPanel') {
+        openQueryPanel();
+      }
+      if (message.type === 'gridCommand') {
+        runGridCommand(message.command, message.format);
+      }
+      if (message.type === 'setReadOnly') {
+        settingsRef.current = { ...settingsRef.current, readOnly: Boolean(message.readOnly) };
+        setSettings(settingsRef.current);
+      }
+      if (message.type === 'queryResult') {
+        showQueryResult(message);
+      }
+      if (message.type === 'showDiff') {
+        const api = workbookRef.current;
+        const latestSheets = api && typeof api.getAllSheets === 'function' ? api.getAllSheets() : currentSheetsRef.current;
+        const childIds = new Set(nestedRef.current.children.map((entry) => entry.id));
+        const entries = diffSheets(documentSheets(latestSheets).filter((s) => s && !childIds.has(s.id)), message.sheets);
+        const cells = {};
+        entries.forEach((entry) => {
+          if (entry.sheetId !== undefined && entry.row !== undefined) {
+            (cells[entry.sheetId] = cells[entry.sheetId] || new Set()).add(`${entry.row},${entry.col}`);
+          }
+        });
+        diffRef.current = cells;
+        showDiffList({ label: message.label, entries });
+        repaintGrid();
+      }
+      if (message.type === 'exportSheets' || message.type === 'exportRender') {
+        const api = workbookRef.current;
+        const latestSheets = api && typeof api.getAllSheets === 'function' ? api.getAllSheets() : currentSheetsRef.current;
+        if (message.type === 'exportSheets') {
+          const current = api && typeof api.getSheet === 'function' ? api.getSheet() : null;
+          vscode.postMessage({
+            type: 'exportSheets',
+            requestId: message.requestId,
+            sheets: errorRef.current ? [] : (latestSheets || []).filter((s) => s && !s.hide).map((s) => ({ id: s.id, name: s.name })),
+            activeId: current?.id ?? activeSheetIdRef.current,
+          });
+        } else {
+          const result = renderExport(latestSheets, message, {
+            typeMap: currentTypeMapRef.current,
+            dataKind: currentDataKindRef.current,
+            wrapper: currentWrapperRef.current,
+            source: currentSourceRef.current,
+            nested: nestedRef.current,
+            schema: schemaRef.current,
+            indent: settingsRef.current.jsonIndentation,
+          });
+          vscode.postMessage({ type: 'exportResult', requestId: message.requestId, ...result });
+        }
+      }
       if (message.type === 'updateFromPython') {
         setSheets(message.payload.sheets);
         setTypeMap(message.payload.typeMap || {});
@@ -146,16 +519,850 @@ function App() {
     return () => {
       window.removeEventListener('message', handler);
       window.removeEventListener('keydown', handleKeyDown, true);
+      window.removeEventListener('keydown', onBlockedEdit, true);
+      window.removeEventListener('dblclick', onBlockedEdit, true);
       window.removeEventListener('error', onError);
       window.removeEventListener('unhandledrejection', onUnhandledRejection);
+      window.removeEventListener('contextmenu', onContextMenu, true);
       if (initUnlockTimerRef.current !== null) {
         clearTimeout(initUnlockTimerRef.current);
         initUnlockTimerRef.current = null;
       }
+      if (noticeTimerRef.current !== null) {
+        clearTimeout(noticeTimerRef.current);
+        noticeTimerRef.current = null;
+      }
+      clearTimeout(profileRef.current.timer);
     };
   }, []);
 
-  const flushPendingChanges = () => {
+  useEffect(() => {
+    if (!typeMenu) {
+      return undefined;
+    }
+    const close = (event) => {
+      if (event.type === 'keydown' ? event.key === 'Escape' : !event.target?.closest?.('.app__typeMenu')) {
+        setTypeMenu(null);
+      }
+    };
+    window.addEventListener('mousedown', close, true);
+    window.addEventListener('keydown', close, true);
+    return () => {
+      window.removeEventListener('mousedown', close, true);
+      window.removeEventListener('keydown', close, true);
+    };
+  }, [typeMenu]);
+
+  const isReadOnly = () => readOnlyRef.current || Boolean(settingsRef.current.readOnly);
+
+  const readOnlyNotice = () =>
+    readOnlyRef.current ? 'This grid is read-only.' : 'This file is read-only. Use Toggle Read-Only to edit it.';
+
+  const lockedColumns = () => [...new Set([...(settingsRef.current.lockedColumns || []), ...columnLocksRef.current])];
+
+  // Column locks apply to the document's sheets, not to query results or comparisons.
+  const locksApply = (sheetKey) => !isQueryResultSheet({ id: sheetKey }) && currentDataKindRef.current !== 'compare';
+
+  // Every sheet but the key/value view of a JSON object has a header row.
+  const hasHeaderRow = (sheetKey) => !(sheetKey === 'root' && currentDataKindRef.current === 'object');
+
+  // Locked columns in the selection, by header: a locked header cannot change, so it still names
+  // the column FortuneSheet keeps read-only (see withColumnLocks).
+  const lockedSelectionColumns = () => {
+    const locked = lockedColumns();
+    const sheetKey = activeSheetKey();
+    if (!locked.length || !locksApply(sheetKey)) {
+      return [];
+    }
+    const api = workbookRef.current;
+    const names = new Set();
+    (api.getSelection() || []).forEach((range) => {
+      for (let c = range.column[0]; c <= range.column[1]; c += 1) {
+        const header = hasHeaderRow(sheetKey) ? String(api.getCellValue(0, c) ?? '') : KEY_VALUE_HEADERS[c];
+        if (header && locked.includes(header)) {
+          names.add(header);
+        }
+      }
+    });
+    return [...names];
+  };
+
+  const showNotice = (text) => {
+    setNotice(text);
+    if (noticeTimerRef.current !== null) {
+      clearTimeout(noticeTimerRef.current);
+    }
+    noticeTimerRef.current = setTimeout(() => {
+      setNotice('');
+      noticeTimerRef.current = null;
+    }, 4000);
+  };
+
+  // Sheet key used by the type tracker: 'root' for the main sheet, else the child sheet id.
+  // Query result sheets have their own key so no column types are drawn on them.
+  const activeSheetKey = () => {
+    const id = activeSheetIdRef.current;
+    return nestedRef.current.children.some((entry) => entry.id === id) || isQueryResultSheet({ id }) ? id : 'root';
+  };
+
+  const schemaForSheet = (sheetKey) =>
+    sheetKey === 'root' ? schemaRef.current : nestedRef.current.children.find((entry) => entry.id === sheetKey);
+
+  const applyTypeCheck = (typeCheck) => {
+    if (!typeCheck) {
+      return;
+    }
+    typeCheckRef.current = typeCheck;
+    setTypeIssues((previous) =>
+      previous.length === 0 && typeCheck.invalid.length === 0 ? previous : typeCheck.invalid,
+    );
+  };
+
+  // Duplicate and empty keys of the main sheet: highlighted in the grid, listed above it and
+  // reported to the host, which asks before saving a document that has any.
+  const applyKeyCheck = (matrix) => {
+    const keyCheck = checkKeys(matrix, currentDataKindRef.current, schemaRef.current.primaryKey);
+    keyCheckRef.current = keyCheck;
+    setKeyIssues(keyCheck.conflicts.length ? keyCheck : null);
+    const summary = keyCheck.conflicts.length
+      ? {
+          column: keyCheck.column,
+          lossy: keyCheck.lossy,
+          conflicts: keyCheck.conflicts.map((conflict) => describeKeyConflict(conflict, keyCheck)),
+        }
+      : null;
+    const sent = JSON.stringify(summary);
+    if (sent !== sentKeyCheckRef.current) {
+      sentKeyCheckRef.current = sent;
+      vscode.postMessage({ type: 'keyCheck', keyCheck: summary });
+    }
+  };
+
+  // The header cells selected in the active sheet, if they have a column menu: `columns` are the
+  // typed ones (sheets with a column schema), `keyColumn` a single header of a table-like document
+  // and `lockColumn` a single header of any sheet with a header row.
+  const findHeaderSelection = () => {
+    const api = workbookRef.current;
+    const sheetKey = activeSheetKey();
+    const schema = schemaForSheet(sheetKey);
+    const keyable = sheetKey === 'root' && PRIMARY_KEY_KINDS.includes(currentDataKindRef.current);
+    const lockable = locksApply(sheetKey) && hasHeaderRow(sheetKey);
+    if (!api || (!schema?.columnTypes && !keyable && !lockable)) {
+      return null;
+    }
+    const range = api.getSelection()?.[0];
+    if (!range || range.row[0] !== 0 || range.row[1] !== 0) {
+      return null;
+    }
+    const headerRow = celldataToMatrix(api.getSheet() || {})[0] || [];
+    const headers = [];
+    for (let c = range.column[0]; c <= range.column[1]; c += 1) {
+      const header = getCellText(headerRow[c]);
+      if (header) {
+        headers.push(header);
+      }
+    }
+    const columns = schema?.columnTypes ? headers.filter((header) => schema.columnTypes[header]) : [];
+    const keyColumn = keyable && headers.length === 1 ? headers[0] : null;
+    const lockColumn = lockable && headers.length === 1 ? headers[0] : null;
+    return columns.length || keyColumn || lockColumn ? { sheetKey, columns, keyColumn, lockColumn } : null;
+  };
+
+  // FortuneSheet only repaints the canvas when its own state changes; re-applying the
+  // selection is the cheapest way to redraw badges and flags.
+  const restoreView = () => {
+    const view = pendingViewRef.current;
+    const api = workbookRef.current;
+    pendingViewRef.current = null;
+    if (!view || !api) {
+      return;
+    }
+    api.scroll({ scrollLeft: view.scrollLeft, scrollTop: view.scrollTop });
+    if (view.selection?.length) {
+      api.setSelection(view.selection);
+    }
+  };
+
+  const closeDiff = () => {
+    diffRef.current = null;
+    showDiffList(null);
+    repaintGrid();
+  };
+
+  const revealCell = (sheetId, row, col) => {
+    const api = workbookRef.current;
+    api.activateSheet({ id: sheetId });
+    api.setSelection([{ row: [row, row], column: [col, col] }], { id: sheetId });
+    api.scroll({ targetRow: row, targetColumn: col });
+  };
+
+  const showDiffList = (next) => {
+    diffNavRef.current = { entries: next ? next.entries : [], index: -1 };
+    setDiff(next);
+    setDiffIndex(-1);
+  };
+
+  // Select a cell listed in the compare banner.
+  const revealDiff = (index) => {
+    const entry = diffNavRef.current.entries[index];
+    if (!workbookRef.current || !entry || entry.row === undefined) {
+      return;
+    }
+    diffNavRef.current.index = index;
+    setDiffIndex(index);
+    revealCell(entry.sheetId, entry.row, entry.col);
+  };
+
+  // Previous/Next difference, skipping entries without a cell (sheets only in one version).
+  const stepDiff = (delta) => {
+    const { entries, index } = diffNavRef.current;
+    let next = index < 0 ? (delta > 0 ? -1 : 0) : index;
+    for (let step = 0; step < entries.length; step += 1) {
+      next = (next + delta + entries.length) % entries.length;
+      if (entries[next].row !== undefined) {
+        revealDiff(next);
+        return;
+      }
+    }
+  };
+
+  // The main sheet and its cells, for mapping cells to and from the linked text view.
+  const rootSheetMatrix = () => {
+    const api = workbookRef.current;
+    if (!api || errorRef.current || currentDataKindRef.current === 'xlsx') {
+      return null;
+    }
+    const childIds = new Set(nestedRef.current.children.map((entry) => entry.id));
+    const sheet = api.getAllSheets().find((s) => s && !childIds.has(s.id));
+    return sheet ? { sheet, matrix: celldataToMatrix(sheet) } : null;
+  };
+
+  const postTextViewSelection = (sheetId, r, c) => {
+    const root = rootSheetMatrix();
+    if (!root || root.sheet.id !== sheetId || !Number.isInteger(r) || !Number.isInteger(c)) {
+      return;
+    }
+    const kind = currentDataKindRef.current;
+    const path = kind === 'csv' ? null : cellJsonPath(root.matrix, r, c, kind, currentWrapperRef.current);
+    vscode.postMessage({ type: 'selectCell', row: r, col: c, path });
+  };
+
+  // The cursor moved in the text view: select the cell it is in.
+  const revealTextViewCell = (target) => {
+    const root = rootSheetMatrix();
+    if (!root) {
+      return;
+    }
+    const cell = target.path
+      ? jsonPathCell(root.matrix, target.path, currentDataKindRef.current, currentWrapperRef.current)
+      : { row: target.row, col: target.col };
+    if (cell) {
+      revealCell(root.sheet.id, cell.row, cell.col);
+    }
+  };
+
+  // Every sheet as a table for the query panel. The main sheet and child sheets are typed by
+  // their column schema; workbook sheets and earlier results by their values.
+  const collectQueryTables = () => {
+    const api = workbookRef.current;
+    if (!api || errorRef.current) {
+      return [];
+    }
+    const kind = currentDataKindRef.current;
+    const children = nestedRef.current.children;
+    const inference = schemaRef.current.typeInference;
+    const sheets = api.getAllSheets().filter(Boolean);
+    const root = kind === 'xlsx' || kind === 'compare' ? null : sheets.find((s) => !children.some((entry) => entry.id === s.id));
+    return sheets.map((sheet) => {
+      const child = children.find((entry) => entry.id === sheet.id);
+      if (child) {
+        return sheetToQueryTable(sheet, child, false, inference);
+      }
+      if (sheet === root) {
+        return sheetToQueryTable(sheet, kind === 'object' ? null : schemaRef.current, kind === 'object', inference);
+      }
+      return sheetToQueryTable(sheet, null, false, inference);
+    });
+  };
+
+  const openQueryPanel = () => {
+    if (errorRef.current) {
+      return;
+    }
+    setQueryOpen(true);
+    setQueryTables(collectQueryTables().map(({ name, columns }) => ({ name, columns })));
+    setTimeout(() => queryInputRef.current?.focus(), 0);
+  };
+
+  const runQuery = (sql) => {
+    const text = String(sql || '').trim();
+    if (!text) {
+      return;
+    }
+    const tables = collectQueryTables();
+    setQueryTables(tables.map(({ name, columns }) => ({ name, columns })));
+    queryRef.current.requestId += 1;
+    queryRef.current.pending = queryRef.current.requestId;
+    setQueryStatus({ text: 'Running…' });
+    vscode.postMessage({ type: 'runQuery', requestId: queryRef.current.requestId, sql: text, tables });
+  };
+
+  // A query finished: its rows open in a new read-only sheet.
+  const showQueryResult = (message) => {
+    if (message.requestId !== queryRef.current.pending) {
+      return;
+    }
+    queryRef.current.pending = null;
+    if (Array.isArray(message.history)) {
+      setQueryHistory(message.history);
+    }
+    const api = workbookRef.current;
+    if (message.error || !api) {
+      setQueryStatus({ error: message.error || 'The grid is not ready.' });
+      return;
+    }
+    const names = new Set(api.getAllSheets().map((s) => s.name));
+    let name;
+    do {
+      queryRef.current.counter += 1;
+      name = `Query ${queryRef.current.counter}`;
+    } while (names.has(name));
+    const id = `${QUERY_SHEET_PREFIX}${queryRef.current.counter}`;
+    api.updateSheet([buildQuerySheet(message.columns || [], message.rows || [], id, name, api.getAllSheets().length)]);
+    setHasQuerySheets(true);
+    setTimeout(() => api.activateSheet({ id }), 0);
+    const count = (message.rows || []).length;
+    setQueryStatus({
+      text: `${name}: ${count} row${count === 1 ? '' : 's'}${message.truncated ? ` (stopped at ${message.limit})` : ''}`,
+    });
+  };
+
+  // Profile the active sheet's columns: small sheets right away, large ones in the profile worker.
+  const refreshProfile = () => {
+    const api = workbookRef.current;
+    const sheet = api?.getSheet();
+    if (!sheet || errorRef.current) {
+      setProfile(null);
+      return;
+    }
+    const sheetKey = activeSheetKey();
+    const keyValue = sheetKey === 'root' && currentDataKindRef.current === 'object';
+    const table = sheetProfileTable(sheet, keyValue, keyValue ? null : schemaForSheet(sheetKey));
+    const state = profileRef.current;
+    state.requestId += 1;
+    const requestId = state.requestId;
+    state.table = { ...table, sheetId: sheet.id };
+    const show = (columns) => {
+      if (requestId === state.requestId) {
+        setProfile({ sheetId: sheet.id, sheetName: sheet.name, rowCount: table.rows.length, columns, busy: false });
+      }
+    };
+    const input = { columns: table.columns, rows: table.rows };
+    const inference = schemaRef.current.typeInference;
+    if (table.rows.length * table.columns.length < PROFILE_WORKER_CELLS) {
+      show(profileTable(input, inference));
+      return;
+    }
+    setProfile((previous) => (previous ? { ...previous, busy: true } : { sheetName: sheet.name, columns: [], busy: true }));
+    profileInWorker(input, inference).then(show, () => show(profileTable(input, inference)));
+  };
+
+  const scheduleProfile = () => {
+    clearTimeout(profileRef.current.timer);
+    profileRef.current.timer = setTimeout(refreshProfile, 500);
+  };
+
+  const toggleProfile = () => {
+    const open = !profileRef.current.open;
+    profileRef.current.open = open;
+    setProfileOpen(open);
+    if (open) {
+      refreshProfile();
+    }
+  };
+
+  // Show only the rows whose cell in column `c` reads `value`, by hiding the others.
+  const filterByProfileValue = (c, value) => {
+    const api = workbookRef.current;
+    const table = profileRef.current.table;
+    if (!api || !table || api.getSheet()?.id !== table.sheetId) {
+      return;
+    }
+    clearProfileFilter();
+    const hidden = [];
+    table.rows.forEach((row, i) => {
+      if ((row[c] ?? '') !== value) {
+        hidden.push(String(table.rowIndexes[i]));
+      }
+    });
+    api.hideRowOrColumn(hidden, 'row');
+    const filter = { sheetId: table.sheetId, column: table.columns[c].name, value, hidden, shown: table.rows.length - hidden.length };
+    profileRef.current.filter = filter;
+    setProfileFilter(filter);
+  };
+
+  const clearProfileFilter = () => {
+    const api = workbookRef.current;
+    const filter = profileRef.current.filter;
+    profileRef.current.filter = null;
+    setProfileFilter(null);
+    if (!api || !filter) {
+      return;
+    }
+    if (api.getSheet()?.id !== filter.sheetId) {
+      api.activateSheet({ id: filter.sheetId });
+    }
+    api.showRowOrColumn(filter.hidden, 'row');
+  };
+
+  // A cell named by sheet name, e.g. a hit of Search Data Files in Workspace. Waits for the
+  // workbook to settle when the document is still loading.
+  const revealSheetCell = (target) => {
+    const api = workbookRef.current;
+    if (!api || ignoreChangesRef.current) {
+      pendingRevealRef.current = target;
+      return;
+    }
+    pendingRevealRef.current = null;
+    const sheet = api.getAllSheets().find((s) => s && s.name === target.sheet);
+    if (sheet) {
+      revealCell(sheet.id, target.row, target.col);
+    }
+  };
+
+  // Every sheet in the table model of cell-search.js, named and typed like the profile names them.
+  const collectSearchTables = () => {
+    const api = workbookRef.current;
+    if (!api || errorRef.current) {
+      return [];
+    }
+    const kind = currentDataKindRef.current;
+    const children = nestedRef.current.children;
+    const sheets = api.getAllSheets().filter(Boolean);
+    const root = kind === 'xlsx' || kind === 'compare' ? null : sheets.find((s) => !children.some((entry) => entry.id === s.id));
+    return sheets.map((sheet) => {
+      const child = children.find((entry) => entry.id === sheet.id);
+      const keyValue = sheet === root && kind === 'object';
+      const schema = child || (sheet === root && !keyValue ? schemaRef.current : null);
+      return { sheet, table: sheetSearchTable(sheet, keyValue, schema) };
+    });
+  };
+
+  const openFindPanel = () => {
+    if (errorRef.current) {
+      return;
+    }
+    setFindOpen(true);
+    setFindColumns(searchColumnNames(collectSearchTables()));
+    setTimeout(() => {
+      findInputRef.current?.focus();
+      findInputRef.current?.select();
+    }, 0);
+  };
+
+  const changeFindOptions = (changes) => {
+    setFindOptions((previous) => ({ ...previous, ...changes }));
+    if (!('replacement' in changes)) {
+      showFindResults(null);
+    }
+  };
+
+  const showFindResults = (next) => {
+    findRef.current = { entries: next ? next.entries : [], index: -1 };
+    setFindResults(next);
+    setFindIndex(-1);
+  };
+
+  // Find every match in every sheet; returns the matches (empty when the query is invalid).
+  const runFind = (options = findOptions) => {
+    const matcher = cellSearch.createMatcher(options);
+    if (matcher?.error) {
+      showFindResults({ entries: [], error: matcher.error });
+      return [];
+    }
+    if (!matcher) {
+      showFindResults(null);
+      return [];
+    }
+    const tables = collectSearchTables();
+    setFindColumns(searchColumnNames(tables));
+    const filter = { column: options.column || null, type: options.type || null };
+    const entries = tables.flatMap(({ sheet, table }) =>
+      cellSearch.searchTable(table, matcher, filter, schemaRef.current.typeInference).map((match) => ({ ...match, sheetId: sheet.id, sheetName: sheet.name })),
+    );
+    showFindResults({ entries, multipleSheets: tables.length > 1 });
+    return entries;
+  };
+
+  const revealFind = (index) => {
+    const entry = findRef.current.entries[index];
+    if (!workbookRef.current || !entry) {
+      return;
+    }
+    findRef.current.index = index;
+    setFindIndex(index);
+    revealCell(entry.sheetId, entry.row, entry.col);
+  };
+
+  // Next/previous match, searching first when there are no results yet.
+  const stepFind = (delta) => {
+    const entries = findRef.current.entries.length ? findRef.current.entries : runFind();
+    if (!entries.length) {
+      return;
+    }
+    const { index } = findRef.current;
+    revealFind(index < 0 ? (delta > 0 ? 0 : entries.length - 1) : (index + delta + entries.length) % entries.length);
+  };
+
+  // Commands from the command palette, editor title and keybindings (see runGridCommand in
+  // extension.js).
+  const runGridCommand = (command, format) => {
+    const api = workbookRef.current;
+    if (!api || errorRef.current) {
+      return;
+    }
+    if (command === 'copySelection') {
+      copySelection(format);
+      return;
+    }
+    if (isReadOnly()) {
+      showNotice(readOnlyNotice());
+      return;
+    }
+    if (command === 'addSheet') {
+      if (currentDataKindRef.current !== 'xlsx') {
+        showNotice('Sheets can only be added to workbooks.');
+        return;
+      }
+      const existing = new Set(api.getAllSheets().map((s) => s.id));
+      api.addSheet();
+      const added = api.getAllSheets().find((s) => !existing.has(s.id));
+      if (added) {
+        api.activateSheet({ id: added.id });
+      }
+      return;
+    }
+    if (command === 'removeSheet') {
+      const current = api.getSheet();
+      const remaining = documentSheets(api.getAllSheets()).filter((s) => s.id !== current?.id);
+      if (currentDataKindRef.current === 'xlsx' && !isQueryResultSheet(current) && !remaining.length) {
+        showNotice('A workbook needs at least one sheet.');
+        return;
+      }
+      // beforeDeleteSheet decides which sheets can go.
+      api.deleteSheet({ id: current?.id });
+      return;
+    }
+    if (command === 'freezeHeaderRow') {
+      api.freeze('row', { row: 0, column: 0 });
+    }
+  };
+
+  // Copy Selection as JSON/CSV/Markdown: the host puts the text on the clipboard.
+  const copySelection = (format) => {
+    const api = workbookRef.current;
+    const range = api.getSelection()?.[0];
+    const sheet = api.getSheet();
+    if (!range || !sheet) {
+      showNotice('Select the cells to copy first.');
+      return;
+    }
+    const sheetKey = activeSheetKey();
+    const header = hasHeaderRow(sheetKey);
+    const { text, rows } = renderSelection(celldataToMatrix(sheet), range, format, {
+      header,
+      schema: schemaForSheet(sheetKey),
+      inference: schemaRef.current.typeInference,
+      indent: settingsRef.current.jsonIndentation,
+    });
+    vscode.postMessage({
+      type: 'copyText',
+      text,
+      label: `${rows} row${rows === 1 ? '' : 's'} as ${COPY_FORMAT_LABELS[format] || format}`,
+    });
+  };
+
+  // Replace in the selected match (or all matches) as one edit. Formula cells and query results
+  // are skipped.
+  const replaceMatches = (all) => {
+    const api = workbookRef.current;
+    if (!api || isReadOnly()) {
+      showNotice(readOnlyNotice());
+      return;
+    }
+    const matcher = cellSearch.createMatcher(findOptions);
+    const { entries, index } = findRef.current;
+    const targets = all ? entries : entries[index] ? [entries[index]] : [];
+    if (!matcher || matcher.error || !targets.length) {
+      stepFind(1);
+      return;
+    }
+    const matrices = {};
+    let skipped = 0;
+    const calls = [];
+    targets.forEach((entry) => {
+      const matrix = (matrices[entry.sheetId] =
+        matrices[entry.sheetId] || celldataToMatrix(api.getSheet({ id: entry.sheetId }) || {}));
+      const cell = matrix[entry.row]?.[entry.col];
+      if (isQueryResultSheet({ id: entry.sheetId }) || (cell && typeof cell === 'object' && cell.f)) {
+        skipped += 1;
+        return;
+      }
+      const text = cellSearch.replaceInCell(matcher, entry.text, findOptions.replacement);
+      if (text !== entry.text) {
+        calls.push({ name: 'setCellValue', args: [entry.row, entry.col, text, null, { id: entry.sheetId }] });
+      }
+    });
+    if (calls.length) {
+      api.batchCallApis(calls);
+    }
+    if (all || skipped) {
+      showNotice(
+        `Replaced ${calls.length} cell${calls.length === 1 ? '' : 's'}` +
+          (skipped ? `; ${skipped} formula or query result cell${skipped === 1 ? ' was' : 's were'} left as they are.` : '.'),
+      );
+    }
+    // Search again once the grid has taken the new values.
+    setTimeout(() => {
+      const next = runFind();
+      if (!all && next.length) {
+        const [done] = targets;
+        const at = next.findIndex(
+          (entry) =>
+            entry.sheetId === done.sheetId && (entry.row > done.row || (entry.row === done.row && entry.col > done.col)),
+        );
+        revealFind(at < 0 ? 0 : at);
+      }
+    }, 0);
+  };
+
+  const repaintGrid = () => {
+    const api = workbookRef.current;
+    const selection = api?.getSelection();
+    if (selection?.length) {
+      api.setSelection(selection);
+    }
+  };
+
+  const setColumnType = (menu, columnType) => {
+    setTypeMenu(null);
+    const schema = schemaForSheet(menu.sheetKey);
+    if (!schema) {
+      return;
+    }
+    menu.columns.forEach((column) => {
+      if (columnType) {
+        schema.overrides[column] = columnType;
+      } else {
+        delete schema.overrides[column];
+      }
+      if (menu.sheetKey === 'root') {
+        vscode.postMessage({ type: 'setColumnType', column, columnType });
+      }
+    });
+    flushPendingChanges(true);
+    repaintGrid();
+  };
+
+  const setPrimaryKey = (column) => {
+    setTypeMenu(null);
+    schemaRef.current.primaryKey = column;
+    vscode.postMessage({ type: 'setPrimaryKey', column });
+    flushPendingChanges(true);
+    repaintGrid();
+  };
+
+  // Locks take effect through the init payload the host sends back (see setColumnLock in extension.js).
+  const setColumnLock = (column, locked) => {
+    setTypeMenu(null);
+    flushPendingChanges(true);
+    vscode.postMessage({ type: 'setColumnLock', column, locked });
+  };
+
+  // Hooks must keep a stable identity: FortuneSheet re-applies settings whenever they change.
+  const hooks = useMemo(
+    () => ({
+      afterActivateSheet: (id) => {
+        activeSheetIdRef.current = id;
+        setActiveSheetId(id);
+        if (profileRef.current.open) {
+          setTimeout(refreshProfile, 0);
+        }
+      },
+      afterRenderCell: (cell, info, ctx) => {
+        const sheetKey = activeSheetKey();
+        drawTypeDecorations(
+          ctx,
+          cell,
+          info,
+          schemaForSheet(sheetKey),
+          typeCheckRef.current.hints[sheetKey],
+          schemaRef.current.typeInference,
+        );
+        if (sheetKey === 'root') {
+          drawKeyDecorations(ctx, info, keyCheckRef.current, schemaRef.current);
+        }
+        if (info.row === 0 && locksApply(sheetKey) && hasHeaderRow(sheetKey) && lockedColumns().includes(getCellText(cell))) {
+          drawLockDecoration(ctx, info);
+        }
+        if (diffRef.current) {
+          const changed = diffRef.current[workbookRef.current?.getSheet()?.id];
+          if (changed?.has(`${info.row},${info.column}`)) {
+            drawDiffDecoration(ctx, info);
+          }
+        }
+      },
+      afterSelectionChange: (sheetId, selection) => {
+        const r = selection?.row_focus ?? selection?.row?.[0];
+        const c = selection?.column_focus ?? selection?.column?.[0];
+        // Read the sheet after FortuneSheet has finished applying the selection.
+        setTimeout(() => {
+          setSelectedNested(findNestedTableAt(sheetId, r, c));
+          if (textViewRef.current) {
+            postTextViewSelection(sheetId, r, c);
+          }
+        }, 0);
+      },
+      beforeDeleteSheet: (id) => {
+        if (isQueryResultSheet({ id })) {
+          const others = workbookRef.current.getAllSheets().filter((s) => isQueryResultSheet(s) && s.id !== id);
+          setHasQuerySheets(others.length > 0);
+          return true;
+        }
+        const nested = nestedRef.current;
+        const child = nested.children.find((entry) => entry.id === id);
+        if (!child) {
+          if (currentDataKindRef.current !== 'xlsx') {
+            showNotice('The main sheet of a JSON document cannot be deleted.');
+            return false;
+          }
+          return true;
+        }
+        if (nested.children.some((entry) => entry.owner === id)) {
+          showNotice('Close the nested sheets opened from this sheet first.');
+          return false;
+        }
+        // Keep the child's edits: its rows become the stored table of the parent cell.
+        const api = workbookRef.current;
+        const latestSheets = api.getAllSheets();
+        const inference = schemaRef.current.typeInference;
+        const resolve = createNestedResolver(latestSheets, nested, null, inference);
+        const childSheet = latestSheets.find((s) => s.id === id);
+        const resolveChild = (tableId, raw) => resolve(child.id, tableId, raw);
+        const rows = childSheetToRows(childSheet, child, resolveChild, null, inference);
+        nested.tables[child.owner] = { ...(nested.tables[child.owner] || {}), [child.tableId]: rows };
+        nested.children = nested.children.filter((entry) => entry.id !== id);
+        delete nested.tables[id];
+        setHasChildSheets(nested.children.length > 0);
+        // The parent cell may have moved since the sheet was opened (rows sorted, inserted or deleted).
+        const owner = latestSheets.find((s) => s.id === child.ownerSheetId);
+        const cell = findTableCell(celldataToMatrix(owner || {}), child.tableId);
+        if (cell) {
+          setTimeout(() => {
+            api.setCellValue(cell.row, cell.col, jsonRules.summarizeTable(rows), { id: child.ownerSheetId });
+          }, 0);
+        }
+        return true;
+      },
+    }),
+    [],
+  );
+
+  // Describe the nested table behind a grid cell, or null if the cell is not a "[n items]" cell.
+  const findNestedTableAt = (sheetId, r, c) => {
+    const api = workbookRef.current;
+    if (!api || !Number.isInteger(r) || !Number.isInteger(c) || currentDataKindRef.current === 'xlsx') {
+      return null;
+    }
+    const nested = nestedRef.current;
+    const child = nested.children.find((entry) => entry.id === sheetId);
+    const owner = child ? child.id : 'root';
+    const kind = child ? 'array' : currentDataKindRef.current;
+
+    const matrix = celldataToMatrix(api.getSheet({ id: sheetId }) || {});
+    const tableId = matrix[r]?.[c]?.tableId;
+    const summary = getCellText(matrix[r]?.[c]);
+    if (!tableId || !jsonRules.isTableSummary(summary)) {
+      return null;
+    }
+    if (!nested.tables[owner]?.[tableId] && !nested.children.some((entry) => entry.owner === owner && entry.tableId === tableId)) {
+      return null;
+    }
+    // The path where the cell is now, for the sheet name; the table itself is found by its id.
+    const path = nestedPathAt(matrix, r, c, kind) || tableId;
+
+    const parentLabel = child ? child.label : currentWrapperRef.current?.dataProp || '';
+    const crumb = path.startsWith('[') || !parentLabel ? path : `.${path}`;
+    return { owner, ownerSheetId: sheetId, tableId, path, row: r, col: c, summary, crumb, label: `${parentLabel}${crumb}` };
+  };
+
+  const openNestedTable = (target) => {
+    const api = workbookRef.current;
+    if (!api || !target) {
+      return;
+    }
+    const nested = nestedRef.current;
+    const existing = nested.children.find((entry) => entry.owner === target.owner && entry.tableId === target.tableId);
+    if (existing) {
+      api.activateSheet({ id: existing.id });
+      return;
+    }
+
+    const rows = nested.tables[target.owner]?.[target.tableId];
+    if (!Array.isArray(rows)) {
+      return;
+    }
+    nested.counter += 1;
+    const id = `nested-${nested.counter}`;
+    const built = createNestedSheet(rows);
+    if (!built.ok) {
+      showNotice(`Cannot open ${target.label}: ${built.reason}`);
+      return;
+    }
+
+    nested.children.push({ ...target, id, typeMap: built.typeMap, columnTypes: built.columnTypes, overrides: {} });
+    nested.tables[id] = built.tables;
+    setHasChildSheets(true);
+    // FortuneSheet's updateSheet reads the dense `data` matrix; `celldata` only finds the locked headers.
+    const { celldata, data, ...sheet } = withColumnLocks(built.sheet, lockedColumns(), false);
+    api.updateSheet([
+      { ...sheet, id, name: target.label, order: api.getAllSheets().length, status: 0, data: data.length ? data : [[]] },
+    ]);
+    setTimeout(() => api.activateSheet({ id }), 0);
+  };
+
+  const activateSheetById = (id) => {
+    const api = workbookRef.current;
+    if (!api) {
+      return;
+    }
+    if (id) {
+      api.activateSheet({ id });
+      return;
+    }
+    const childIds = new Set(nestedRef.current.children.map((entry) => entry.id));
+    const rootSheet = api.getAllSheets().find((s) => !childIds.has(s.id));
+    if (rootSheet) {
+      api.activateSheet({ id: rootSheet.id });
+    }
+  };
+
+  // Breadcrumb from the main sheet down to the active child sheet.
+  const breadcrumb = [];
+  if (hasChildSheets) {
+    const children = nestedRef.current.children;
+    let current = children.find((entry) => entry.id === activeSheetId);
+    while (current) {
+      breadcrumb.unshift({ id: current.id, label: current.crumb });
+      const ownerId = current.owner;
+      current = children.find((entry) => entry.id === ownerId);
+    }
+    if (breadcrumb.length) {
+      breadcrumb.unshift({ id: null, label: sheets[0]?.name || 'Sheet1' });
+    }
+  }
+
+  const flushPendingChanges = (force = false) => {
     if (pendingFlushRef.current !== null) {
       clearTimeout(pendingFlushRef.current);
       pendingFlushRef.current = null;
@@ -165,26 +1372,32 @@ function App() {
       return;
     }
 
-    if (ignoreChangesRef.current) {
+    // A column type change re-serializes even while FortuneSheet is still settling.
+    if (ignoreChangesRef.current && !force) {
       return;
     }
 
     const api = workbookRef.current;
     const latestSheets = api && typeof api.getAllSheets === 'function' ? api.getAllSheets() : currentSheetsRef.current;
 
-    const { textOut, nextTypeMap, matrix, xlsxSheets } = sheetToText(
-      latestSheets,
+    const { textOut, nextTypeMap, matrix, xlsxSheets, typeCheck } = sheetToText(
+      documentSheets(latestSheets),
       currentTypeMapRef.current,
       currentDataKindRef.current,
-      currentWrapperRef.current
+      currentWrapperRef.current,
+      currentSourceRef.current,
+      nestedRef.current,
+      schemaRef.current,
     );
+    applyTypeCheck(typeCheck);
+    applyKeyCheck(matrix);
 
     if (textOut !== lastTextRef.current) {
       lastTextRef.current = textOut;
       currentTypeMapRef.current = nextTypeMap;
       vscode.setState({ typeMap: nextTypeMap, dataKind: currentDataKindRef.current });
       if (currentDataKindRef.current === 'xlsx') {
-        vscode.postMessage({ type: 'edit', dataKind: 'xlsx', xlsxSheets });
+        vscode.postMessage({ type: 'edit', text: textOut, dataKind: 'xlsx', xlsxSheets });
       } else {
         vscode.postMessage({ type: 'edit', text: textOut, typeMap: nextTypeMap, matrix, dataKind: currentDataKindRef.current });
       }
@@ -204,12 +1417,17 @@ function App() {
     }
     
     currentSheetsRef.current = nextSheets;
-    const { textOut, nextTypeMap, matrix, xlsxSheets } = sheetToText(
-      nextSheets,
+    const { textOut, nextTypeMap, matrix, xlsxSheets, typeCheck } = sheetToText(
+      documentSheets(nextSheets),
       typeMap,
       currentDataKindRef.current,
       currentWrapperRef.current,
+      currentSourceRef.current,
+      nestedRef.current,
+      schemaRef.current,
     );
+    applyTypeCheck(typeCheck);
+    applyKeyCheck(matrix);
 
     // Don't rewrite the document if nothing actually changed.
     if (textOut === lastTextRef.current) {
@@ -222,7 +1440,7 @@ function App() {
     currentTypeMapRef.current = nextTypeMap;
     vscode.setState({ typeMap: nextTypeMap, dataKind: currentDataKindRef.current });
     if (currentDataKindRef.current === 'xlsx') {
-      vscode.postMessage({ type: 'edit', dataKind: 'xlsx', xlsxSheets });
+      vscode.postMessage({ type: 'edit', text: textOut, dataKind: 'xlsx', xlsxSheets });
     } else {
       vscode.postMessage({ type: 'edit', text: textOut, typeMap: nextTypeMap, matrix, dataKind: currentDataKindRef.current });
     }
@@ -248,310 +1466,1108 @@ function App() {
 
     pendingFlushRef.current = setTimeout(() => {
       flushPendingChanges();
-    }, 300);
+    }, settingsRef.current.editDebounce);
+    if (profileRef.current.open) {
+      scheduleProfile();
+    }
   };
 
   return (
     <div className="app">
-      <div className="app__body">
-        {isInitialized && error ? (
-          <div className="app__error">
-            <div className="app__errorTitle">Unsupported JSON for grid view</div>
-            <div className="app__errorBody">{error}</div>
+      {breadcrumb.length || selectedNested ? (
+        <div className="app__nestedBar">
+          {breadcrumb.map((crumb, idx) => (
+            <React.Fragment key={crumb.id || 'root'}>
+              {idx > 0 ? <span className="app__crumbSeparator">›</span> : null}
+              <button
+                type="button"
+                className="app__crumb"
+                disabled={idx === breadcrumb.length - 1}
+                onClick={() => activateSheetById(crumb.id)}
+              >
+                {crumb.label}
+              </button>
+            </React.Fragment>
+          ))}
+          {selectedNested ? (
+            <button type="button" className="app__nestedOpen" onClick={() => openNestedTable(selectedNested)}>
+              Open {selectedNested.label} {selectedNested.summary}
+            </button>
+          ) : null}
+        </div>
+      ) : null}
+      {notice ? <div className="app__notice">{notice}</div> : null}
+      {workbookInfo && !workbookInfo.writable && !loadError ? (
+        <div className="app__notice">
+          This {workbookInfo.label} (.{workbookInfo.format}) is read-only: it cannot be saved in its own format without
+          losing formulas.
+          <button type="button" className="app__noticeAction" onClick={() => vscode.postMessage({ type: 'saveAsXlsx' })}>
+            Save As .xlsx…
+          </button>
+        </div>
+      ) : workbookInfo?.note && !loadError ? (
+        <div className="app__notice">{workbookInfo.note}</div>
+      ) : null}
+      {warnings.length ? (
+        <details className="app__warnings">
+          <summary>
+            {warnings.length} line{warnings.length === 1 ? '' : 's'} could not be shown in the grid and will be kept as-is
+            <button type="button" className="app__warningsDismiss" onClick={() => setWarnings([])}>
+              Dismiss
+            </button>
+          </summary>
+          <ul>
+            {warnings.map((warning) => (
+              <li key={warning}>{warning}</li>
+            ))}
+          </ul>
+        </details>
+      ) : null}
+      {typeIssues.length ? (
+        <details className="app__warnings">
+          <summary>
+            {typeIssues.length} cell{typeIssues.length === 1 ? ' does' : 's do'} not match the column type and will be
+            saved as text
+          </summary>
+          <ul>
+            {typeIssues.map((issue) => (
+              <li key={`${issue.sheetKey}:${issue.row},${issue.col}`}>
+                {describeTypeIssue(issue, nestedRef.current)}
+              </li>
+            ))}
+          </ul>
+        </details>
+      ) : null}
+      {keyIssues ? (
+        <details className="app__warnings">
+          <summary>
+            {keyIssues.conflicts.length} row{keyIssues.conflicts.length === 1 ? ' has' : 's have'}{' '}
+            {keyIssues.lossy
+              ? 'a duplicate or empty key and will be lost on save'
+              : `a duplicate or empty primary key (${keyIssues.column})`}
+          </summary>
+          <ul>
+            {keyIssues.conflicts.slice(0, MAX_KEY_ITEMS).map((conflict) => (
+              <li key={conflict.row}>{describeKeyConflict(conflict, keyIssues)}</li>
+            ))}
+            {keyIssues.conflicts.length > MAX_KEY_ITEMS ? (
+              <li>…and {keyIssues.conflicts.length - MAX_KEY_ITEMS} more</li>
+            ) : null}
+          </ul>
+        </details>
+      ) : null}
+      {externalChange ? (
+        <div className="app__notice">
+          This file changed on disk and you have unsaved edits.
+          <button type="button" className="app__noticeAction" onClick={() => vscode.postMessage({ type: 'externalChangeReload' })}>
+            Reload (discard mine)
+          </button>
+          <button
+            type="button"
+            className="app__noticeAction"
+            onClick={() => {
+              setExternalChange(false);
+              vscode.postMessage({ type: 'externalChangeKeep' });
+            }}
+          >
+            Keep mine
+          </button>
+          <button type="button" className="app__noticeAction" onClick={() => vscode.postMessage({ type: 'externalChangeCompare' })}>
+            Compare
+          </button>
+        </div>
+      ) : null}
+      {diff ? (
+        <details className="app__warnings" open>
+          <summary>
+            {diff.summary
+              ? `${diff.label}: ${diff.summary}`
+              : diff.entries.length
+                ? `${diff.entries.length} difference${diff.entries.length === 1 ? '' : 's'} from the version ${diff.label}`
+                : `No differences from the version ${diff.label}`}
+            {diff.entries.length ? (
+              <React.Fragment>
+                <button
+                  type="button"
+                  className="app__warningsDismiss"
+                  title="Previous difference (Shift+Alt+F5)"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    stepDiff(-1);
+                  }}
+                >
+                  Previous
+                </button>
+                <button
+                  type="button"
+                  className="app__warningsDismiss"
+                  title="Next difference (Alt+F5)"
+                  onClick={(e) => {
+                    e.preventDefault();
+                    stepDiff(1);
+                  }}
+                >
+                  Next
+                </button>
+              </React.Fragment>
+            ) : null}
+            {dataKind !== 'compare' ? (
+              <button type="button" className="app__warningsDismiss" onClick={closeDiff}>
+                Close
+              </button>
+            ) : null}
+          </summary>
+          <ul>
+            {diff.entries.slice(0, MAX_DIFF_ITEMS).map((entry, idx) => (
+              <li key={idx}>
+                <button
+                  type="button"
+                  className={`app__diffItem${idx === diffIndex ? ' app__diffItem--current' : ''}`}
+                  onClick={() => revealDiff(idx)}
+                >
+                  {describeDiff(entry, diff.label)}
+                </button>
+              </li>
+            ))}
+            {diff.entries.length > MAX_DIFF_ITEMS ? <li>…and {diff.entries.length - MAX_DIFF_ITEMS} more</li> : null}
+          </ul>
+        </details>
+      ) : null}
+      {typeMenu ? (
+        <div className="app__typeMenu" style={{ left: typeMenu.x, top: typeMenu.y }}>
+          {typeMenu.columns.length ? (
+            <>
+              <div className="app__typeMenuTitle">Column type: {typeMenu.columns.join(', ')}</div>
+              {COLUMN_TYPE_CHOICES.map((choice) => {
+                const schema = schemaForSheet(typeMenu.sheetKey);
+                const current = schema?.overrides[typeMenu.columns[0]] || null;
+                const detected = schema?.columnTypes?.[typeMenu.columns[0]];
+                return (
+                  <button
+                    key={choice.label}
+                    type="button"
+                    className={`app__typeMenuItem${choice.type === current ? ' app__typeMenuItem--current' : ''}`}
+                    onClick={() => setColumnType(typeMenu, choice.type)}
+                  >
+                    {choice.type ? choice.label : `${choice.label} (detected: ${detected || 'none'})`}
+                  </button>
+                );
+              })}
+            </>
+          ) : null}
+          {typeMenu.keyColumn ? (
+            <>
+              <div className="app__typeMenuTitle">Primary key</div>
+              {schemaRef.current.primaryKey === typeMenu.keyColumn ? (
+                <button type="button" className="app__typeMenuItem" onClick={() => setPrimaryKey(null)}>
+                  Stop using {typeMenu.keyColumn} as the primary key
+                </button>
+              ) : (
+                <button type="button" className="app__typeMenuItem" onClick={() => setPrimaryKey(typeMenu.keyColumn)}>
+                  Use {typeMenu.keyColumn} as the primary key
+                </button>
+              )}
+            </>
+          ) : null}
+          {typeMenu.lockColumn ? (
+            <>
+              <div className="app__typeMenuTitle">Lock</div>
+              {(settings.lockedColumns || []).includes(typeMenu.lockColumn) ? (
+                <button type="button" className="app__typeMenuItem" disabled>
+                  {typeMenu.lockColumn} is locked by the settings
+                </button>
+              ) : columnLocksRef.current.includes(typeMenu.lockColumn) ? (
+                <button type="button" className="app__typeMenuItem" onClick={() => setColumnLock(typeMenu.lockColumn, false)}>
+                  Unlock {typeMenu.lockColumn}
+                </button>
+              ) : (
+                <button type="button" className="app__typeMenuItem" onClick={() => setColumnLock(typeMenu.lockColumn, true)}>
+                  Lock {typeMenu.lockColumn}
+                </button>
+              )}
+            </>
+          ) : null}
+        </div>
+      ) : null}
+      {findOpen ? (
+        <div className="app__find">
+          <div className="app__findRow">
+            <input
+              ref={findInputRef}
+              className="app__findInput"
+              value={findOptions.query}
+              placeholder="Find"
+              spellCheck={false}
+              onChange={(e) => changeFindOptions({ query: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  stepFind(e.shiftKey ? -1 : 1);
+                } else if (e.key === 'Escape') {
+                  setFindOpen(false);
+                }
+              }}
+            />
+            {[
+              ['regex', '.*', 'Use regular expression ($1 in the replacement is the first group)'],
+              ['matchCase', 'Aa', 'Match case'],
+              ['wholeCell', '[ ]', 'Match whole cell'],
+            ].map(([option, label, title]) => (
+              <button
+                key={option}
+                type="button"
+                className={`app__findToggle${findOptions[option] ? ' app__findToggle--on' : ''}`}
+                title={title}
+                aria-pressed={findOptions[option]}
+                onClick={() => changeFindOptions({ [option]: !findOptions[option] })}
+              >
+                {label}
+              </button>
+            ))}
+            <select
+              className="app__findSelect"
+              value={findOptions.column}
+              onChange={(e) => changeFindOptions({ column: e.target.value })}
+            >
+              <option value="">All columns</option>
+              {findColumns.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <select className="app__findSelect" value={findOptions.type} onChange={(e) => changeFindOptions({ type: e.target.value })}>
+              <option value="">Any type</option>
+              {FIND_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="app__findRow">
+            <input
+              className="app__findInput"
+              value={findOptions.replacement}
+              placeholder="Replace"
+              spellCheck={false}
+              onChange={(e) => changeFindOptions({ replacement: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  replaceMatches(e.ctrlKey || e.metaKey);
+                }
+              }}
+            />
+            <button type="button" className="app__queryAction" title="Replace (Enter)" onClick={() => replaceMatches(false)}>
+              Replace
+            </button>
+            <button type="button" className="app__queryAction" title="Replace all (Ctrl+Enter)" onClick={() => replaceMatches(true)}>
+              Replace All
+            </button>
+            <button type="button" className="app__queryAction" title="Previous match (Shift+Enter)" onClick={() => stepFind(-1)}>
+              Previous
+            </button>
+            <button type="button" className="app__queryAction" title="Next match (Enter)" onClick={() => stepFind(1)}>
+              Next
+            </button>
+            <span className={`app__queryStatus${findResults?.error ? ' app__queryStatus--error' : ''}`}>
+              {findResults?.error ||
+                (findResults
+                  ? `${findIndex >= 0 ? `${findIndex + 1} of ` : ''}${findResults.entries.length} match${findResults.entries.length === 1 ? '' : 'es'}`
+                  : '')}
+            </span>
+            <button type="button" className="app__queryAction" onClick={() => setFindOpen(false)}>
+              Close
+            </button>
           </div>
-        ) : isInitialized ? (
-          <Workbook
-            ref={workbookRef}
-            data={sheets}
-            showToolbar
-            showSheetTabs={dataKind === 'xlsx'}
-            showFormulaBar
-            allowEdit
-            onChange={handleChange}
-            onOp={handleOp}
-            defaultColWidth={120}
+          {findResults?.entries.length ? (
+            <ul className="app__findResults">
+              {findResults.entries.slice(0, MAX_FIND_ITEMS).map((entry, idx) => (
+                <li key={`${entry.sheetId}:${entry.row},${entry.col}`}>
+                  <button
+                    type="button"
+                    className={`app__diffItem${idx === findIndex ? ' app__diffItem--current' : ''}`}
+                    onClick={() => revealFind(idx)}
+                  >
+                    {`${findResults.multipleSheets ? `${entry.sheetName}!` : ''}${cellSearch.columnLetter(entry.col)}${entry.row + 1}`}
+                    {entry.column ? ` (${entry.column})` : ''}: {entry.text}
+                  </button>
+                </li>
+              ))}
+              {findResults.entries.length > MAX_FIND_ITEMS ? <li>…and {findResults.entries.length - MAX_FIND_ITEMS} more</li> : null}
+            </ul>
+          ) : null}
+        </div>
+      ) : null}
+      {queryOpen ? (
+        <div className="app__query">
+          <textarea
+            ref={queryInputRef}
+            className="app__queryInput"
+            value={queryText}
+            spellCheck={false}
+            placeholder={`SELECT * FROM "${queryTables[0]?.name || 'Sheet1'}"`}
+            onChange={(e) => setQueryText(e.target.value)}
+            onKeyDown={(e) => {
+              if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                e.preventDefault();
+                runQuery(queryText);
+              }
+            }}
           />
-        ) : (
-          <div className="app__loading">Loading…</div>
-        )}
+          <div className="app__queryBar">
+            <button type="button" className="app__queryAction" title="Run (Ctrl+Enter)" onClick={() => runQuery(queryText)}>
+              Run
+            </button>
+            <select
+              className="app__queryHistory"
+              value=""
+              disabled={!queryHistory.length}
+              onChange={(e) => {
+                if (e.target.value) {
+                  setQueryText(e.target.value);
+                }
+              }}
+            >
+              <option value="">History ({queryHistory.length})</option>
+              {queryHistory.map((sql) => (
+                <option key={sql} value={sql}>
+                  {sql.replace(/\s+/g, ' ').slice(0, 120)}
+                </option>
+              ))}
+            </select>
+            <span className="app__queryTables">
+              {queryTables.map((table) => `${table.name} (${table.columns.map((column) => column.name).join(', ')})`).join('; ')}
+            </span>
+            <button type="button" className="app__queryAction" onClick={() => setQueryOpen(false)}>
+              Close
+            </button>
+          </div>
+          {queryStatus ? (
+            <div className={`app__queryStatus${queryStatus.error ? ' app__queryStatus--error' : ''}`}>
+              {queryStatus.error || queryStatus.text}
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+      <div className="app__content">
+        <div className="app__body">
+          {isInitialized && loadError ? (
+            <div className="app__error">
+              <div className="app__errorTitle">This file could not be opened</div>
+              <div className="app__errorBody">
+                {loadError.message}
+                {loadError.line ? ` (line ${loadError.line}, column ${loadError.column})` : ''}
+              </div>
+              {Array.isArray(loadError.excerpt) && loadError.excerpt.length ? (
+                <pre className="app__errorExcerpt">
+                  {loadError.excerpt.map((line) => (
+                    <React.Fragment key={line.number}>
+                      {`${String(line.number).padStart(5)} | ${line.text}\n`}
+                      {line.number === loadError.line ? `${' '.repeat(7 + loadError.column)}^\n` : ''}
+                    </React.Fragment>
+                  ))}
+                </pre>
+              ) : null}
+              <div className="app__errorBody">Saving is disabled so the file on disk is left as it is.</div>
+              {dataKind !== 'xlsx' ? (
+                <button
+                  type="button"
+                  className="app__errorAction"
+                  onClick={() => vscode.postMessage({ type: 'openInTextEditor' })}
+                >
+                  Open in Text Editor
+                </button>
+              ) : null}
+            </div>
+          ) : isInitialized && error ? (
+            <div className="app__error">
+              <div className="app__errorTitle">Unsupported JSON for grid view</div>
+              <div className="app__errorBody">{error}</div>
+            </div>
+          ) : isInitialized ? (
+            <Workbook
+              key={workbookKey}
+              ref={workbookRef}
+              data={sheets}
+              hooks={hooks}
+              showToolbar
+              showSheetTabs={
+                dataKind === 'xlsx' || hasChildSheets || hasQuerySheets || (dataKind === 'compare' && sheets.length > 1)
+              }
+              showFormulaBar
+              allowEdit={dataKind !== 'compare' && (!workbookInfo || workbookInfo.writable) && !settings.readOnly}
+              onChange={handleChange}
+              onOp={handleOp}
+              defaultColWidth={settings.defaultColumnWidth}
+            />
+          ) : (
+            <div className="app__loading">Loading…</div>
+          )}
+        </div>
+        {profileOpen ? (
+          <aside className="app__profile">
+            <div className="app__profileHeader">
+              <span className="app__profileTitle">
+                {profile ? `${profile.sheetName}: ${profile.rowCount ?? '…'} rows` : 'Profile'}
+                {profile?.busy ? ' (updating…)' : ''}
+              </span>
+              <button type="button" className="app__profileAction" onClick={refreshProfile}>
+                Refresh
+              </button>
+              <button type="button" className="app__profileAction" onClick={toggleProfile}>
+                Close
+              </button>
+            </div>
+            {profileFilter ? (
+              <div className="app__profileFilter">
+                {`Showing ${profileFilter.shown} row${profileFilter.shown === 1 ? '' : 's'} where ${profileFilter.column} is "${profileFilter.value}"`}
+                <button type="button" className="app__profileAction" onClick={clearProfileFilter}>
+                  Show all
+                </button>
+              </div>
+            ) : null}
+            {(profile?.columns || []).map((column, c) => (
+              <details key={`${column.name}:${c}`} className="app__profileColumn" open>
+                <summary>
+                  {column.name} <span className="app__profileType">{TYPE_BADGES[column.type] || column.type}</span>
+                </summary>
+                <dl className="app__profileStats">
+                  <dt>Empty</dt>
+                  <dd>{column.empty}</dd>
+                  <dt>Null</dt>
+                  <dd>{column.nulls}</dd>
+                  <dt>Distinct</dt>
+                  <dd>{column.distinct}</dd>
+                  {column.invalid ? (
+                    <React.Fragment>
+                      <dt>Not {TYPE_DESCRIPTIONS[column.type] || column.type}</dt>
+                      <dd>{column.invalid}</dd>
+                    </React.Fragment>
+                  ) : null}
+                  {column.numbers ? (
+                    <React.Fragment>
+                      <dt>Min / max</dt>
+                      <dd>
+                        {formatStat(column.numbers.min)} / {formatStat(column.numbers.max)}
+                      </dd>
+                      <dt>Mean</dt>
+                      <dd>{formatStat(column.numbers.mean)}</dd>
+                      <dt>Median</dt>
+                      <dd>{formatStat(column.numbers.median)}</dd>
+                    </React.Fragment>
+                  ) : null}
+                  {column.lengths ? (
+                    <React.Fragment>
+                      <dt>Length</dt>
+                      <dd>
+                        {column.lengths.min}–{column.lengths.max}
+                      </dd>
+                    </React.Fragment>
+                  ) : null}
+                </dl>
+                {column.numbers ? (
+                  <div className="app__profileHistogram">
+                    {histogramHeights(column.numbers.histogram).map((height, idx) => {
+                      const bin = column.numbers.histogram[idx];
+                      return (
+                        <div
+                          key={idx}
+                          className="app__profileBar"
+                          title={`${formatStat(bin.from)} – ${formatStat(bin.to)}: ${bin.count}`}
+                          style={{ height: `${height}%` }}
+                        />
+                      );
+                    })}
+                  </div>
+                ) : null}
+                <ul className="app__profileTop">
+                  {column.top.map((entry) => (
+                    <li key={entry.value}>
+                      <button
+                        type="button"
+                        className="app__profileValue"
+                        title="Show only rows with this value"
+                        onClick={() => filterByProfileValue(c, entry.value)}
+                      >
+                        {entry.value}
+                      </button>
+                      <span className="app__profileCount">{entry.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            ))}
+          </aside>
+        ) : null}
       </div>
+      {isInitialized && (fileInfo || !error) ? (
+        <div className="app__statusBar">
+          {settings.readOnly && dataKind !== 'compare' ? (
+            <button
+              type="button"
+              className="app__statusItem"
+              title="This file is open read-only. Click to allow editing"
+              onClick={() => vscode.postMessage({ type: 'toggleReadOnly' })}
+            >
+              Read-only
+            </button>
+          ) : null}
+          {!error ? (
+            <button
+              type="button"
+              className="app__statusItem"
+              title="Statistics and common values of each column"
+              onClick={toggleProfile}
+            >
+              Profile
+            </button>
+          ) : null}
+          {!error && dataKind !== 'compare' ? (
+            <button
+              type="button"
+              className="app__statusItem"
+              title="Query the sheets with SQL"
+              onClick={() => (queryOpen ? setQueryOpen(false) : openQueryPanel())}
+            >
+              SQL
+            </button>
+          ) : null}
+          {fileInfo ? (
+            <button
+              type="button"
+              className="app__statusItem"
+              title="Reopen with a different encoding"
+              onClick={() => vscode.postMessage({ type: 'reopenWithEncoding' })}
+            >
+              {fileInfo.encodingLabel}
+            </button>
+          ) : null}
+          {fileInfo && !loadError ? (
+            <button
+              type="button"
+              className="app__statusItem"
+              title="Open the text of this file next to the grid"
+              onClick={() => vscode.postMessage({ type: 'openTextView' })}
+            >
+              Text View
+            </button>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
 
-function sheetToText(sheets, currentTypeMap, dataKind, wrapper) {
-  const sheet = sheets[0] || {};
-  const matrix = celldataToMatrix(sheet);
-  const nextTypeMap = { ...currentTypeMap };
-
-  if (dataKind === 'array') {
-    const headers = (matrix[0] || []).map((cell) => getCellText(cell)).filter((value) => value !== '');
-    const firstElementType = currentTypeMap['[0]'];
-    const rows = [];
-
-    for (let r = 1; r < matrix.length; r += 1) {
-      const row = matrix[r] || [];
-      const rowObj = {};
-      let hasValue = false;
-
-      if (firstElementType && firstElementType !== 'object') {
-        const raw = getCellText(row[1] ?? row[0]);
-        const path = `[${r - 1}]`;
-        const { casted, type } = castWithType(raw, nextTypeMap[path]);
-        nextTypeMap[path] = nextTypeMap[path] || type;
-        if (raw !== '') {
-          rows.push(casted);
-        }
-        continue;
-      }
-
-      headers.forEach((header, c) => {
-        const raw = getCellText(row[c]);
-        const path = `[${r - 1}].${header}`;
-        const { casted, type } = castWithType(raw, nextTypeMap[path]);
-        nextTypeMap[path] = nextTypeMap[path] || type;
-        if (raw !== '') {
-          rowObj[header] = casted;
-          hasValue = true;
-        }
-      });
+function isQueryResultSheet(sheet) {
+  return String(sheet?.id ?? '').startsWith(QUERY_SHEET_PREFIX);
+}
 
-      if (hasValue) {
-        rows.push(rowObj);
-      }
-    }
+// The sheets that make up the document, without query results.
+function documentSheets(sheets) {
+  return (sheets || []).filter((s) => !isQueryResultSheet(s));
+}
 
-    return { textOut: JSON.stringify(rows, null, 2), nextTypeMap, matrix };
+// Canvas decorations for typed sheets: a type badge in each header cell and a red frame
+// around cells whose text does not fit the type they are written as.
+function drawTypeDecorations(ctx, cell, info, schema, hints, inference) {
+  const { row, column, startX, startY, endX, endY } = info;
+  const hint = hints?.[row]?.[column];
+  if (hint && castWithType(getCellText(cell), hint, inference).invalid) {
+    ctx.save();
+    ctx.strokeStyle = '#e51400';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(startX + 1, startY + 1, endX - startX - 2, endY - startY - 2);
+    ctx.restore();
   }
 
-  if (dataKind === 'wrappedArray') {
-    const headers = (matrix[0] || []).map((cell) => getCellText(cell)).filter((value) => value !== '');
-    const rows = [];
+  if (row !== 0 || !schema?.columnTypes) {
+    return;
+  }
+  const header = getCellText(cell);
+  const override = schema.overrides?.[header];
+  const type = override || schema.columnTypes[header];
+  if (!header || !type) {
+    return;
+  }
+  ctx.save();
+  ctx.font = '10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = override ? '#0e639c' : '#8a8a8a';
+  ctx.fillText(TYPE_BADGES[type] || type, endX - 4, (startY + endY) / 2);
+  ctx.restore();
+}
 
-    for (let r = 1; r < matrix.length; r += 1) {
-      const row = matrix[r] || [];
-      const rowObj = {};
-      let hasValue = false;
+// The key column's cells of rows with a duplicate or empty key get a red fill; the header of a
+// primary key column gets a "PK" badge, left of its type badge.
+function drawKeyDecorations(ctx, info, keyCheck, schema) {
+  const { row, column, startX, startY, endX, endY } = info;
+  if (column !== keyCheck.col) {
+    return;
+  }
+  if (keyCheck.rows.has(row)) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(229, 20, 0, 0.18)';
+    ctx.fillRect(startX, startY, endX - startX, endY - startY);
+    ctx.restore();
+  }
+  if (row !== 0 || !keyCheck.primary) {
+    return;
+  }
+  ctx.save();
+  ctx.font = '10px sans-serif';
+  const type = schema?.overrides?.[keyCheck.column] || schema?.columnTypes?.[keyCheck.column];
+  const badgeWidth = type ? ctx.measureText(TYPE_BADGES[type] || type).width + 6 : 0;
+  ctx.font = 'bold 10px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#b89500';
+  ctx.fillText('PK', endX - 4 - badgeWidth, (startY + endY) / 2);
+  ctx.restore();
+}
 
-      headers.forEach((header, c) => {
-        const raw = getCellText(row[c]);
-        const path = `[${r - 1}].${header}`;
-        const { casted, type } = castWithType(raw, nextTypeMap[path]);
-        nextTypeMap[path] = nextTypeMap[path] || type;
-        // Preserve keys even when value is cleared.
-        setNestedValue(rowObj, header, casted);
-        if (raw !== '') {
-          hasValue = true;
-        }
-      });
+// Headers of locked columns are shaded grey.
+function drawLockDecoration(ctx, info) {
+  const { startX, startY, endX, endY } = info;
+  ctx.save();
+  ctx.fillStyle = 'rgba(128, 128, 128, 0.2)';
+  ctx.fillRect(startX, startY, endX - startX, endY - startY);
+  ctx.restore();
+}
 
-      if (hasValue) {
-        rows.push(rowObj);
+// FortuneSheet's column locks (config.colReadOnly) for the locked columns of a sheet, found by the
+// header row (`key` and `value` in key/value documents).
+function withColumnLocks(sheet, lockedColumns, keyValue) {
+  if (!lockedColumns.length) {
+    return sheet;
+  }
+  const colReadOnly = {};
+  if (keyValue) {
+    KEY_VALUE_HEADERS.forEach((name, c) => {
+      if (lockedColumns.includes(name)) {
+        colReadOnly[c] = 1;
       }
-    }
-
-    const dataProp = wrapper?.dataProp || 'data';
-    const meta = wrapper?.meta || {};
-    const out = { ...meta, [dataProp]: rows };
-    return { textOut: JSON.stringify(out, null, 2), nextTypeMap, matrix };
+    });
+  } else {
+    (sheet.celldata || []).forEach((cell) => {
+      if (cell.r === 0 && lockedColumns.includes(getCellText(cell.v))) {
+        colReadOnly[cell.c] = 1;
+      }
+    });
   }
+  return Object.keys(colReadOnly).length ? { ...sheet, config: { ...(sheet.config || {}), colReadOnly } } : sheet;
+}
 
-  if (dataKind === 'objectOfObjects') {
-    const headers = (matrix[0] || []).map((cell) => getCellText(cell));
-    const keyColIndex = headers.findIndex((h) => h === 'key');
-    const fieldHeaders = headers.filter((h, idx) => idx !== keyColIndex && h);
-
-    const out = {};
+function drawDiffDecoration(ctx, info) {
+  const { startX, startY, endX, endY } = info;
+  ctx.save();
+  ctx.fillStyle = 'rgba(255, 166, 0, 0.25)';
+  ctx.fillRect(startX, startY, endX - startX, endY - startY);
+  ctx.strokeStyle = '#e59400';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(startX + 0.5, startY + 0.5, endX - startX - 1, endY - startY - 1);
+  ctx.restore();
+}
 
-    for (let r = 1; r < matrix.length; r += 1) {
-      const row = matrix[r] || [];
-      const key = getCellText(row[keyColIndex >= 0 ? keyColIndex : 0]);
-      if (!key) {
-        continue;
+// Cell-level differences between the grid and another version of the document, by cell text.
+// Sheets are matched by name, or by position when both sides have a single sheet.
+function diffSheets(mySheets, otherSheets) {
+  const entries = [];
+  const others = [...(otherSheets || [])];
+  const single = mySheets.length === 1 && others.length === 1;
+  mySheets.forEach((sheet) => {
+    const idx = single ? 0 : others.findIndex((other) => other.name === sheet.name);
+    if (idx < 0) {
+      entries.push({ sheetId: sheet.id, sheetName: sheet.name, only: 'here' });
+      return;
+    }
+    const [other] = others.splice(idx, 1);
+    const mine = celldataToMatrix(sheet);
+    const theirs = celldataToMatrix(other);
+    for (let r = 0; r < Math.max(mine.length, theirs.length); r += 1) {
+      const width = Math.max((mine[r] || []).length, (theirs[r] || []).length);
+      for (let c = 0; c < width; c += 1) {
+        const a = getCellText(mine[r]?.[c]);
+        const b = getCellText(theirs[r]?.[c]);
+        if (a !== b) {
+          entries.push({ sheetId: sheet.id, sheetName: sheet.name, row: r, col: c, mine: a, theirs: b });
+        }
       }
-
-      const inner = {};
-      fieldHeaders.forEach((field, c) => {
-        // if key column is 0, fields start at 1
-        const cellIndex = keyColIndex === 0 ? c + 1 : headers.indexOf(field);
-        const raw = getCellText(row[cellIndex]);
-        const path = `${key}.${field}`;
-        const { casted, type } = castWithType(raw, nextTypeMap[path]);
-        nextTypeMap[path] = nextTypeMap[path] || type;
-        inner[field] = casted;
-      });
-
-      out[key] = inner;
     }
+  });
+  others.forEach((other) => entries.push({ sheetName: other.name, only: 'there' }));
+  return entries;
+}
 
-    return { textOut: JSON.stringify(out, null, 2), nextTypeMap, matrix };
+function describeDiff(entry, label) {
+  if (entry.description) {
+    // Compare With… entries are described by the extension, which knows the original rows.
+    return entry.description;
   }
-
-  if (dataKind === 'csv') {
-    const csvRows = [];
-    for (let r = 0; r < matrix.length; r += 1) {
-      const row = matrix[r] || [];
-      const outRow = row.map((cell, c) => {
-        const raw = getCellText(cell);
-        const path = `${r},${c}`;
-        const { casted, type } = castWithType(raw, nextTypeMap[path]);
-        nextTypeMap[path] = nextTypeMap[path] || type;
-        return escapeCsv(casted);
-      });
-      csvRows.push(outRow.join(','));
-    }
-    return { textOut: csvRows.join('\n'), nextTypeMap, matrix };
+  if (entry.only === 'here') {
+    return `Sheet "${entry.sheetName}" is not in the version ${label}`;
   }
+  if (entry.only === 'there') {
+    return `Sheet "${entry.sheetName}" is only in the version ${label}`;
+  }
+  const show = (text) => (text === '' ? '(empty)' : `"${text}"`);
+  return `${entry.sheetName} ${cellSearch.columnLetter(entry.col)}${entry.row + 1}: ${show(entry.mine)} here, ${show(entry.theirs)} ${label}`;
+}
 
-  if (dataKind === 'xlsx') {
-    const xlsxSheets = (sheets || []).map((s, idx) => ({
-      name: String(s?.name || `Sheet${idx + 1}`),
-      matrix: celldataToMatrix(s || {}),
-    }));
-
-    // Use a deterministic string for dirty detection (not written to disk).
-    const serialized = JSON.stringify(
-      xlsxSheets.map((s) => ({ name: s.name, matrix: s.matrix.map((row) => (row || []).map(getCellText)) }))
-    );
-
-    return { textOut: serialized, nextTypeMap, matrix, xlsxSheets };
+// Rows whose key is empty or repeats an earlier row's key. Keyed JSON objects (key/value and
+// object-of-objects) are checked on their key column and lose such rows on save (`lossy`);
+// table-like documents are checked on the primary key column picked by the user, if any.
+// Blank rows are not saved, so they are never conflicts.
+function checkKeys(matrix, dataKind, primaryKey) {
+  const headers = (matrix[0] || []).map(getCellText);
+  const primary = PRIMARY_KEY_KINDS.includes(dataKind);
+  let col = -1;
+  if (dataKind === 'object') {
+    col = 0;
+  } else if (dataKind === 'objectOfObjects') {
+    col = Math.max(headers.indexOf('key'), 0);
+  } else if (primary && primaryKey) {
+    col = headers.indexOf(primaryKey);
+  }
+  const keyCheck = { column: primary ? primaryKey : 'key', col, primary, lossy: !primary, conflicts: [], rows: new Set() };
+  if (col < 0) {
+    return keyCheck;
   }
 
-  const result = {};
-  for (let r = 0; r < matrix.length; r += 1) {
-    const key = getCellText(matrix[r]?.[0]);
-    if (!key) {
+  const seen = new Map();
+  for (let r = dataKind === 'object' ? 0 : 1; r < matrix.length; r += 1) {
+    const row = matrix[r] || [];
+    if (!row.some((cell) => getCellText(cell) !== '')) {
       continue;
     }
-    const rawValue = getCellText(matrix[r]?.[1]);
-    const { casted, type } = castWithType(rawValue, nextTypeMap[key]);
-    nextTypeMap[key] = nextTypeMap[key] || type;
-    result[key] = casted;
+    const key = getCellText(row[col]);
+    if (key && !seen.has(key)) {
+      seen.set(key, r);
+      continue;
+    }
+    keyCheck.conflicts.push({ row: r, key, firstRow: key ? seen.get(key) : null });
+    keyCheck.rows.add(r);
+    if (key) {
+      keyCheck.rows.add(seen.get(key));
+    }
   }
-
-  return { textOut: JSON.stringify(result, null, 2), nextTypeMap, matrix };
+  return keyCheck;
 }
 
-function celldataToMatrix(sheet) {
-  const matrix = [];
-  const applyValue = (r, c, value) => {
-    if (!matrix[r]) {
-      matrix[r] = [];
-    }
-    matrix[r][c] = value;
-  };
-
-  if (Array.isArray(sheet.data) && sheet.data.length) {
-    sheet.data.forEach((row, r) => {
-      (row || []).forEach((cell, c) => applyValue(r, c, cell));
-    });
+function describeKeyConflict(conflict, keyCheck) {
+  if (!conflict.key) {
+    return `Row ${conflict.row + 1}: the ${keyCheck.primary ? `${keyCheck.column} column` : 'key'} is empty`;
   }
+  return `Row ${conflict.row + 1}: "${conflict.key}" is already used in row ${conflict.firstRow + 1}`;
+}
 
-  if (Array.isArray(sheet.celldata)) {
-    sheet.celldata.forEach((cell) => applyValue(cell.r, cell.c, cell.v ?? cell));
-  }
+function describeTypeIssue(issue, nested) {
+  const child = nested?.children.find((entry) => entry.id === issue.sheetKey);
+  const where = `${child ? `${child.label} row` : 'Row'} ${issue.row + 1}, ${issue.header}`;
+  return `${where}: "${issue.raw}" is not ${TYPE_DESCRIPTIONS[issue.expected] || issue.expected}`;
+}
 
-  return matrix;
+// The cell showing the nested table with `tableId`, or null when it is gone.
+function findTableCell(matrix, tableId) {
+  for (let r = 0; r < matrix.length; r += 1) {
+    const c = (matrix[r] || []).findIndex((cell) => cell?.tableId === tableId);
+    if (c >= 0) {
+      return { row: r, col: c };
+    }
+  }
+  return null;
 }
 
-function getCellText(cell) {
-  if (!cell) {
-    return '';
+// Path of a cell in the type map of its sheet (see toSheetPayloadFromContent in sheet-convert.js).
+function nestedPathAt(matrix, r, c, kind) {
+  const text = (row, col) => getCellText(matrix[row]?.[col]);
+  if (kind === 'object') {
+    return c === 1 && text(r, 0) ? text(r, 0) : null;
   }
-  if (typeof cell === 'string' || typeof cell === 'number' || typeof cell === 'boolean') {
-    return String(cell);
+  const header = text(0, c);
+  if (r < 1 || !header) {
+    return null;
   }
-  if (cell && typeof cell === 'object') {
-    if (typeof cell.m !== 'undefined') {
-      return String(cell.m ?? '');
-    }
-    if (typeof cell.v !== 'undefined') {
-      return String(cell.v ?? '');
-    }
+  if (kind === 'objectOfObjects') {
+    const keyCol = Math.max((matrix[0] || []).map(getCellText).indexOf('key'), 0);
+    const key = text(r, keyCol);
+    return c === keyCol || !key ? null : `${key}.${header}`;
   }
-  return '';
+  return `[${r - 1}].${header}`;
 }
 
-function castWithType(raw, hint) {
-  const trimmed = (raw ?? '').trim();
-  if (trimmed === '""' || trimmed === "''") {
-    return { casted: '', type: 'string' };
+// Where a main-sheet cell comes from in a JSON document, for the linked text view: the property
+// path (array indexes as numbers) and whether the cell shows a property name rather than a value.
+function cellJsonPath(matrix, r, c, kind, wrapper) {
+  const text = (row, col) => getCellText(matrix[row]?.[col]);
+  if (kind === 'object') {
+    const key = text(r, 0);
+    return key ? { segments: jsonRules.splitPath(key), key: c === 0 } : null;
   }
-  // Clearing a cell should become an empty string, not null, and should never drop keys.
-  if (trimmed === '') {
-    return { casted: '', type: 'string' };
+  const header = text(0, c);
+  const fields = header ? jsonRules.splitPath(header) : [];
+  if (kind === 'objectOfObjects') {
+    const keyCol = Math.max((matrix[0] || []).map(getCellText).indexOf('key'), 0);
+    const key = text(Math.max(r, 1), keyCol);
+    if (!key) {
+      return null;
+    }
+    return c === keyCol ? { segments: [key], key: true } : { segments: [key, ...fields], key: r === 0 };
   }
-  if (!hint || hint === 'string') {
-    const inferred = inferType(trimmed);
-    return inferred;
+  if (!['array', 'wrappedArray', 'jsonl'].includes(kind)) {
+    return null;
   }
+  const prefix = kind === 'wrappedArray' ? [wrapper?.dataProp || 'data'] : [];
+  return { segments: [...prefix, Math.max(r - 1, 0), ...fields], key: r === 0 };
+}
 
-  if (hint === 'number') {
-    const n = Number(trimmed);
-    if (!Number.isFinite(n)) {
-      return { casted: trimmed, type: 'string' };
+// Inverse of cellJsonPath: the main-sheet cell showing the value at `path`, or null. A value
+// inside a cell (e.g. an array item) selects that cell; an object spread over several cells
+// selects the first of them.
+function jsonPathCell(matrix, path, kind, wrapper) {
+  const segments = Array.isArray(path?.segments) ? path.segments : [];
+  const overlaps = (parts, values) =>
+    parts.every((part, i) => i >= values.length || part === String(values[i]));
+  const headers = (matrix[0] || []).map(getCellText);
+  const columnFor = (fields) => headers.findIndex((header) => header && overlaps(jsonRules.splitPath(header), fields));
+
+  if (kind === 'object') {
+    for (let r = 0; r < matrix.length; r += 1) {
+      const key = getCellText(matrix[r]?.[0]);
+      if (key && segments.length && overlaps(jsonRules.splitPath(key), segments)) {
+        return { row: r, col: path.key ? 0 : 1 };
+      }
     }
-    return { casted: n, type: 'number' };
+    return null;
   }
-  if (hint === 'boolean') {
-    if (/^true$/i.test(trimmed)) {
-      return { casted: true, type: 'boolean' };
+  if (kind === 'objectOfObjects') {
+    const keyCol = Math.max(headers.indexOf('key'), 0);
+    const [key, ...fields] = segments;
+    const row = matrix.findIndex((cells, r) => r > 0 && key !== undefined && getCellText(cells?.[keyCol]) === String(key));
+    if (row < 0) {
+      return null;
     }
-    if (/^false$/i.test(trimmed)) {
-      return { casted: false, type: 'boolean' };
+    const col = fields.length ? columnFor(fields) : keyCol;
+    return { row, col: col < 0 ? keyCol : col };
+  }
+  let rest = segments;
+  if (kind === 'wrappedArray') {
+    if (rest[0] !== (wrapper?.dataProp || 'data')) {
+      return null;
     }
-    return { casted: Boolean(trimmed), type: 'boolean' };
+    rest = rest.slice(1);
   }
-  if (hint === 'null') {
-    return { casted: null, type: 'null' };
+  const [index, ...fields] = rest;
+  if (!Number.isInteger(index)) {
+    return null;
   }
-  return { casted: trimmed, type: 'string' };
+  const col = fields.length ? columnFor(fields) : 0;
+  return { row: index + 1, col: Math.max(col, 0) };
 }
 
-function setNestedValue(target, dottedPath, value) {
-  const parts = String(dottedPath).split('.').filter(Boolean);
-  if (parts.length === 0) {
-    return;
+function toCellValue(value) {
+  if (value === null) {
+    return { v: null, m: 'null' };
   }
+  if (value === undefined) {
+    return { v: '', m: '' };
+  }
+  if (jsonRules.isLosslessNumber(value)) {
+    const literal = jsonRules.losslessNumberText(value);
+    return { v: literal, m: literal };
+  }
+  return { v: value, m: String(value) };
+}
 
-  let obj = target;
-  for (let i = 0; i < parts.length - 1; i += 1) {
-    const key = parts[i];
-    if (!obj[key] || typeof obj[key] !== 'object') {
-      obj[key] = {};
+// The columns and data rows of a sheet as sheetToText reads them: a header row naming the
+// columns (`key`/`value` for key/value documents) typed by the column schema, then the rows that
+// are not blank. `rowIndexes` holds the grid row of each data row.
+function sheetProfileTable(sheet, keyValue, schema) {
+  const texts = celldataToMatrix(sheet).map((row) => Array.from(row || [], getCellText));
+  const columns = cellSearch.tableColumns(texts, keyValue, schema);
+  const width = columns.length;
+  const rows = [];
+  const rowIndexes = [];
+  for (let r = keyValue ? 0 : 1; r < texts.length; r += 1) {
+    const row = texts[r] || [];
+    if (row.some((text) => text !== '')) {
+      rows.push(Array.from({ length: width }, (_, c) => row[c] ?? ''));
+      rowIndexes.push(r);
     }
-    obj = obj[key];
   }
-  obj[parts[parts.length - 1]] = value;
+  return { columns, rows, rowIndexes };
+}
+
+// A sheet in the table model of cell-search.js: the cell texts of every row, with columns from
+// cellSearch.tableColumns.
+function sheetSearchTable(sheet, keyValue, schema) {
+  const rows = celldataToMatrix(sheet).map((row) => Array.from(row || [], getCellText));
+  return { name: sheet.name, rows, header: !keyValue, columns: cellSearch.tableColumns(rows, keyValue, schema) };
+}
+
+// Column names offered by the find panel's column filter.
+function searchColumnNames(tables) {
+  return [...new Set(tables.flatMap(({ table }) => table.columns.map((column) => column.name)))];
+}
+
+let profileWorker = null;
+let profileWorkerRequests = 0;
+
+// Profile a table in the profile worker. The worker bundle is fetched once and started from a
+// blob URL (its address is on the page body, see getHtmlForWebview in extension.js).
+function profileInWorker(table, typeInference) {
+  if (!profileWorker) {
+    profileWorker = fetch(document.body.dataset.profileWorker)
+      .then((response) => (response.ok ? response.text() : Promise.reject(new Error(response.statusText))))
+      .then((source) => new Worker(URL.createObjectURL(new Blob([source], { type: 'text/javascript' }))));
+  }
+  return profileWorker.then(
+    (worker) =>
+      new Promise((resolve, reject) => {
+        profileWorkerRequests += 1;
+        const requestId = profileWorkerRequests;
+        const onMessage = (event) => {
+          if (event.data?.requestId !== requestId) {
+            return;
+          }
+          worker.removeEventListener('message', onMessage);
+          if (event.data.error) {
+            reject(new Error(event.data.error));
+          } else {
+            resolve(event.data.profile);
+          }
+        };
+        worker.addEventListener('message', onMessage);
+        worker.postMessage({ requestId, table, typeInference });
+      }),
+  );
+}
+
+// Bar heights in percent of the fullest bin.
+function histogramHeights(histogram) {
+  const peak = Math.max(1, ...histogram.map((bin) => bin.count));
+  return histogram.map((bin) => Math.round((100 * bin.count) / peak));
+}
+
+function formatStat(value) {
+  return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(6)));
 }
 
-function inferType(raw) {
-  if (raw === '' || raw === undefined) {
-    return { casted: '', type: 'string' };
+// A sheet as a table for the query panel: { name, columns: [{ name, type }], rows }. Columns are
+// named by the header row (`key`/`value` for key/value sheets, column letters for blank headers)
+// and typed by the column schema, else by their values (read with the file's `inference`) when
+// these agree; empty cells are null.
+function sheetToQueryTable(sheet, schema, keyValue, inference) {
+  const texts = celldataToMatrix(sheet).map((row) => Array.from(row || [], queryCellText));
+  const headerRow = keyValue ? ['key', 'value'] : texts[0] || [];
+  const body = (keyValue ? texts : texts.slice(1)).filter((row) => row.some((text) => text !== ''));
+  const width = keyValue ? 2 : Math.max(0, ...texts.map((row) => row.length));
+
+  const used = new Set();
+  const columns = [];
+  for (let c = 0; c < width; c += 1) {
+    const header = headerRow[c] ?? '';
+    let name = header.trim() || cellSearch.columnLetter(c);
+    if (used.has(name.toLowerCase())) {
+      name = `${name}_${cellSearch.columnLetter(c)}`;
+    }
+    used.add(name.toLowerCase());
+    const hint = schema ? typeHint(null, schema, header) : null;
+    const type = ['number', 'boolean', 'string'].includes(hint) ? hint : inferQueryColumnType(body.map((row) => row[c] ?? ''), inference);
+    columns.push({ name, type });
   }
-  if (/^true$/i.test(raw)) {
-    return { casted: true, type: 'boolean' };
+
+  const rows = body.map((row) => columns.map((column, c) => toQueryValue(row[c] ?? '', column.type, inference)));
+  return { name: String(sheet.name ?? ''), columns, rows };
+}
+
+// Workbook numbers (but not dates) are queried by value rather than as formatted.
+function queryCellText(cell) {
+  if (cell && typeof cell === 'object' && typeof cell.v === 'number' && cell.ct?.t === 'n') {
+    return String(cell.v);
   }
-  if (/^false$/i.test(raw)) {
-    return { casted: false, type: 'boolean' };
+  return getCellText(cell);
+}
+
+// 'number' or 'boolean' when every non-empty value is one, 'string' when none is, else null.
+function inferQueryColumnType(values, inference) {
+  const types = new Set(
+    values.filter((raw) => raw !== '' && !/^null$/i.test(raw)).map((raw) => inferType(raw, inference).type),
+  );
+  if (types.size === 1) {
+    return [...types][0];
   }
-  if (/^null$/i.test(raw)) {
-    return { casted: null, type: 'null' };
+  return types.size === 0 ? 'string' : null;
+}
+
+// Numbers a double cannot hold stay lossless numbers; the extension binds them as 64-bit
+// integers or text (see sql-query.js).
+function toQueryValue(raw, type, inference) {
+  if (raw === '') {
+    return null;
   }
-  const num = Number(raw);
-  if (Number.isFinite(num)) {
-    return { casted: num, type: 'number' };
+  if (type === 'string') {
+    return raw;
   }
-  return { casted: raw, type: 'string' };
+  const { casted, type: rawType } = inferType(raw, inference);
+  return rawType === 'number' || rawType === 'boolean' || rawType === 'null' ? casted : raw;
 }
 
-function escapeCsv(value) {
-  if (value === null || value === undefined) return '';
-  const str = String(value);
-  if (/[",\n]/.test(str)) {
-    return `"${str.replace(/"/g, '""')}"`;
+// A read-only sheet of query results: a bold header row of column names, then the rows.
+function buildQuerySheet(columns, rows, id, name, order) {
+  const data = [
+    columns.map((column) => ({ ...toCellValue(column), bl: 1 })),
+    ...rows.map((row) => columns.map((_, c) => toCellValue(row[c] ?? ''))),
+  ];
+  return {
+    id,
+    name,
+    order,
+    status: 0,
+    data,
+    row: Math.max(rows.length + 10, 20),
+    column: Math.max(columns.length + 5, 10),
+    showGridLines: true,
+    frozen: { type: 'row' },
+    config: { authority: { sheet: 1 } },
+  };
+}
+
+// The selected cells for Copy Selection as JSON/CSV/Markdown: { text, rows }. With `header`, the
+// header row names the selected columns (JSON object keys, the Markdown header, the first CSV
+// line) whether or not it is part of the selection; JSON values are cast like edited cells.
+function renderSelection(matrix, range, format, { header, schema, inference, indent }) {
+  const [firstRow, lastRow] = range.row;
+  const [firstCol, lastCol] = range.column;
+  const texts = (r) => Array.from({ length: lastCol - firstCol + 1 }, (_, i) => getCellText(matrix[r]?.[firstCol + i]));
+  const names = header ? texts(0).map((name, i) => name || cellSearch.columnLetter(firstCol + i)) : null;
+  const rows = [];
+  for (let r = header ? Math.max(firstRow, 1) : firstRow; r <= lastRow; r += 1) {
+    rows.push(texts(r));
+  }
+
+  if (format === 'json') {
+    const value = rows.map((row) => {
+      if (!names) {
+        return row.map((raw) => castWithType(raw, null, inference).casted);
+      }
+      const out = {};
+      names.forEach((name, i) => {
+        if (row[i] !== '') {
+          jsonRules.setPathValue(out, name, castWithType(row[i], typeHint(null, schema, name), inference).casted);
+        }
+      });
+      return out;
+    });
+    return { text: jsonRules.stringifyLossless(value, indent), rows: rows.length };
+  }
+  const table = names ? [names, ...rows] : rows;
+  if (format === 'markdown') {
+    return { text: markdownTable(table, Boolean(names)), rows: rows.length };
   }
-  return str;
+  return { text: table.map((row) => row.map((value) => escapeCsv(value)).join(',')).join('\n'), rows: rows.length };
 }
 
 const root = createRoot(document.getElementById('root'));
@@ -0,0 +1,12 @@
+// Web worker that profiles large sheets off the webview's main thread. Receives
+// { requestId, table, typeInference } and answers { requestId, profile } (or { requestId, error }).
+import { profileTable } from './column-profile';
+
+self.onmessage = (event) => {
+  const { requestId, table, typeInference } = event.data || {};
+  try {
+    self.postMessage({ requestId, profile: profileTable(table, typeInference) });
+  } catch (err) {
+    self.postMessage({ requestId, error: err?.message || String(err) });
+  }
+};
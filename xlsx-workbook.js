@@ -0,0 +1,852 @@
+'use strict';
+
+// Spreadsheet workbooks (.xlsx, .xlsm, .xls, .xlsb, .ods).
+// Loading maps what SheetJS reads (values, formulas, number formats, fills, merges, column
+// widths, row heights, hidden sheets) plus bold fonts and frozen panes read from the package
+// into FortuneSheet sheets. The community build of SheetJS writes only a bare workbook, so
+// saving patches the original package instead: cells, merges, sizes and panes that changed in
+// the grid are rewritten in the sheet XML, and everything else (fonts, borders, charts, defined
+// names, ...) is kept byte for byte.
+
+const path = require('path');
+const XLSX = require('xlsx');
+
+const { CFB } = XLSX;
+
+// Workbook formats opened as the xlsx kind, by file extension. `patchable` formats are zip
+// packages saved by patching the original (which also keeps an .xlsm's VBA project untouched);
+// other writable formats are rewritten by SheetJS. The community build of SheetJS drops formulas
+// when it writes .xls or .xlsb, so those open read-only and can be saved as .xlsx instead.
+const WORKBOOK_FORMATS = {
+  xlsx: { label: 'Excel Workbook', writable: true, patchable: true },
+  xlsm: { label: 'Excel Macro-Enabled Workbook', writable: true, patchable: true },
+  xls: { label: 'Excel 97-2003 Workbook', writable: false },
+  xlsb: { label: 'Excel Binary Workbook', writable: false },
+  ods: {
+    label: 'OpenDocument Spreadsheet',
+    writable: true,
+    note: 'Saving rewrites this spreadsheet: values, formulas and merged cells are kept, other formatting is not.',
+  },
+};
+
+// Child elements of <worksheet> in schema order, to insert a missing element in the right place.
+const WORKSHEET_ORDER = [
+  'sheetPr', 'dimension', 'sheetViews', 'sheetFormatPr', 'cols', 'sheetData', 'sheetCalcPr', 'sheetProtection',
+  'protectedRanges', 'scenarios', 'autoFilter', 'sortState', 'dataConsolidate', 'customSheetViews', 'mergeCells',
+  'phoneticPr', 'conditionalFormatting', 'dataValidations', 'hyperlinks', 'printOptions', 'pageMargins', 'pageSetup',
+  'headerFooter', 'rowBreaks', 'colBreaks', 'customProperties', 'cellWatches', 'ignoredErrors', 'smartTags',
+  'drawing', 'legacyDrawing', 'legacyDrawingHF', 'picture', 'oleObjects', 'controls', 'webPublishItems',
+  'tableParts', 'extLst',
+];
+
+// Number format ids below this are built into Excel; custom formats start at 164.
+const BUILTIN_FORMAT_LIMIT = 50;
+
+// Maximum digit width SheetJS assumes when it converts column widths to pixels on load; widths
+// are written back with the same factor so untouched columns keep their size.
+const MAX_DIGIT_WIDTH = 6;
+
+// Workbook format of a path (e.g. 'xls'), or null when it is not a workbook.
+function workbookFormat(fsPath) {
+  const ext = path.extname(fsPath || '').slice(1).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(WORKBOOK_FORMATS, ext) ? ext : null;
+}
+
+// --- Package and XML helpers -------------------------------------------------------------
+
+function readPart(pkg, partPath) {
+  const entry = CFB.find(pkg, `/${partPath}`);
+  return entry && entry.content ? Buffer.from(entry.content).toString('utf8') : null;
+}
+
+function writePart(pkg, partPath, text) {
+  CFB.utils.cfb_add(pkg, `/${partPath}`, Buffer.from(text, 'utf8'));
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return String(text)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&amp;/g, '&');
+}
+
+function getAttr(tag, name) {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? unescapeXml(match[1]) : undefined;
+}
+
+// Set (or with `undefined`, remove) an attribute on the opening tag at the start of `xml`.
+function setAttr(xml, name, value) {
+  const pattern = new RegExp(`\\s${name}="[^"]*"`);
+  const openEnd = xml.indexOf('>');
+  const open = xml.slice(0, openEnd + 1);
+  let next;
+  if (value === undefined || value === null) {
+    next = open.replace(pattern, '');
+  } else if (pattern.test(open)) {
+    next = open.replace(pattern, () => ` ${name}="${escapeXml(value)}"`);
+  } else {
+    next = open.replace(/\s*(\/?)>$/, (m, slash) => ` ${name}="${escapeXml(value)}"${slash}>`);
+  }
+  return next + xml.slice(openEnd + 1);
+}
+
+function elementPattern(name, flags) {
+  return new RegExp(`<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`, flags);
+}
+
+// Items of a container element, e.g. the <font> elements inside <fonts>.
+function blockItems(xml, block, item) {
+  const match = new RegExp(`<${block}\\b[^>]*>([\\s\\S]*?)</${block}>`).exec(xml);
+  return match ? match[1].match(elementPattern(item, 'g')) || [] : [];
+}
+
+// Replace a direct child of <worksheet>, or insert it where the schema expects it.
+function replaceWorksheetElement(xml, name, replacement) {
+  const existing = elementPattern(name);
+  if (existing.test(xml)) {
+    return xml.replace(existing, () => replacement);
+  }
+  if (!replacement) {
+    return xml;
+  }
+  for (const next of WORKSHEET_ORDER.slice(WORKSHEET_ORDER.indexOf(name) + 1)) {
+    const idx = xml.search(new RegExp(`<${next}\\b`));
+    if (idx >= 0) {
+      return xml.slice(0, idx) + replacement + xml.slice(idx);
+    }
+  }
+  const end = xml.lastIndexOf('</worksheet>');
+  return xml.slice(0, end) + replacement + xml.slice(end);
+}
+
+// Worksheet parts in workbook order: [{ tag, name, path }].
+function sheetParts(pkg) {
+  const workbookXml = readPart(pkg, 'xl/workbook.xml') || '';
+  const relsXml = readPart(pkg, 'xl/_rels/workbook.xml.rels') || '';
+  const targets = {};
+  (relsXml.match(/<Relationship\b[^>]*>/g) || []).forEach((tag) => {
+    const target = getAttr(tag, 'Target') || '';
+    targets[getAttr(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : path.posix.normalize(`xl/${target}`);
+  });
+  return (workbookXml.match(/<sheet\b[^>]*>/g) || []).map((tag) => ({
+    tag,
+    name: getAttr(tag, 'name'),
+    path: targets[getAttr(tag, 'r:id')],
+  }));
+}
+
+function isBoldFont(fontXml) {
+  return /<b\s*\/>|<b\s+val="(?:1|true)"\s*\/>/.test(fontXml || '');
+}
+
+// --- Loading -----------------------------------------------------------------------------
+
+// Read a workbook into sheet models: { id, name, matrix of FortuneSheet cells, config, hide, frozen }.
+function readWorkbook(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellFormula: true, cellNF: true, cellStyles: true });
+  let pkg = null;
+  try {
+    pkg = CFB.read(buffer, { type: 'buffer' });
+  } catch {
+    // Not a zip package (e.g. an older format SheetJS still reads): no bold/pane details.
+  }
+  const parts = pkg ? sheetParts(pkg) : [];
+  const stylesXml = pkg ? readPart(pkg, 'xl/styles.xml') || '' : '';
+  const fonts = blockItems(stylesXml, 'fonts', 'font');
+  const boldStyles = new Set();
+  blockItems(stylesXml, 'cellXfs', 'xf').forEach((xf, idx) => {
+    if (isBoldFont(fonts[Number(getAttr(xf, 'fontId') || 0)])) {
+      boldStyles.add(String(idx));
+    }
+  });
+
+  return workbook.SheetNames.map((name, idx) => {
+    const part = parts[idx] && parts[idx].name === name && parts[idx].path ? readPart(pkg, parts[idx].path) : null;
+    const hidden = Boolean(workbook.Workbook?.Sheets?.[idx]?.Hidden);
+    return readSheet(workbook.Sheets[name], name, idx, hidden, part || '', boldStyles);
+  });
+}
+
+function readSheet(ws, name, index, hidden, sheetXml, boldStyles) {
+  const boldCells = new Set();
+  (sheetXml.match(/<c\b[^>]*>/g) || []).forEach((tag) => {
+    if (boldStyles.has(getAttr(tag, 's'))) {
+      boldCells.add(getAttr(tag, 'r'));
+    }
+  });
+
+  const matrix = [];
+  const setCell = (r, c, cell) => {
+    (matrix[r] = matrix[r] || [])[c] = cell;
+  };
+  if (ws && ws['!ref']) {
+    const range = XLSX.utils.decode_range(ws['!ref']);
+    for (let r = range.s.r; r <= range.e.r; r += 1) {
+      for (let c = range.s.c; c <= range.e.c; c += 1) {
+        const ref = XLSX.utils.encode_cell({ r, c });
+        if (ws[ref]) {
+          setCell(r, c, toFortuneCell(ws[ref], boldCells.has(ref)));
+        }
+      }
+    }
+  }
+
+  const config = {};
+  (ws?.['!merges'] || []).forEach((merge) => {
+    const r = merge.s.r;
+    const c = merge.s.c;
+    const rs = merge.e.r - r + 1;
+    const cs = merge.e.c - c + 1;
+    config.merge = config.merge || {};
+    config.merge[`${r}_${c}`] = { r, c, rs, cs };
+    for (let rr = r; rr < r + rs; rr += 1) {
+      for (let cc = c; cc < c + cs; cc += 1) {
+        const cell = matrix[rr]?.[cc] || {};
+        cell.mc = rr === r && cc === c ? { r, c, rs, cs } : { r, c };
+        setCell(rr, cc, cell);
+      }
+    }
+  });
+  (ws?.['!cols'] || []).forEach((col, c) => {
+    if (col && col.wpx) {
+      config.columnlen = config.columnlen || {};
+      config.columnlen[c] = Math.round(col.wpx);
+    }
+  });
+  (ws?.['!rows'] || []).forEach((row, r) => {
+    if (row && row.hpx) {
+      config.rowlen = config.rowlen || {};
+      config.rowlen[r] = Math.round(row.hpx);
+    }
+  });
+
+  return {
+    id: `xlsx-${index}`,
+    name,
+    matrix,
+    config,
+    hide: hidden ? 1 : 0,
+    frozen: readFrozen(sheetXml),
+  };
+}
+
+function toFortuneCell(cell, bold) {
+  const fa = cell.z || 'General';
+  let t = 'g';
+  if (cell.t === 'n') {
+    t = XLSX.SSF.is_date(fa) ? 'd' : 'n';
+  } else if (cell.t === 'b') {
+    t = 'b';
+  } else if (cell.t === 'e') {
+    t = 'e';
+  } else if (fa === '@') {
+    t = 's';
+  }
+
+  const value = cell.t === 'e' ? cell.w : cell.v;
+  const out = {
+    v: value === undefined ? '' : value,
+    m: cell.w !== undefined ? cell.w : value === undefined ? '' : String(value),
+    ct: { fa, t },
+  };
+  if (cell.f) {
+    out.f = `=${cell.f}`;
+  }
+  if (cell.s && cell.s.patternType === 'solid' && cell.s.fgColor && cell.s.fgColor.rgb) {
+    out.bg = `#${String(cell.s.fgColor.rgb).slice(-6)}`;
+  }
+  if (bold) {
+    out.bl = 1;
+  }
+  return out;
+}
+
+// Frozen rows/columns from the first sheet view's pane, in FortuneSheet's format.
+function readFrozen(sheetXml) {
+  const pane = /<pane\b[^>]*>/.exec(sheetXml);
+  if (!pane || !/^frozen/.test(getAttr(pane[0], 'state') || '')) {
+    return null;
+  }
+  const rows = Math.floor(Number(getAttr(pane[0], 'ySplit') || 0));
+  const columns = Math.floor(Number(getAttr(pane[0], 'xSplit') || 0));
+  if (rows > 0 && columns > 0) {
+    return { type: 'rangeBoth', range: { row_focus: rows - 1, column_focus: columns - 1 } };
+  }
+  if (rows > 0) {
+    return { type: 'rangeRow', range: { row_focus: rows - 1, column_focus: 0 } };
+  }
+  if (columns > 0) {
+    return { type: 'rangeColumn', range: { row_focus: 0, column_focus: columns - 1 } };
+  }
+  return null;
+}
+
+function frozenSplit(frozen) {
+  if (!frozen) {
+    return { rows: 0, columns: 0 };
+  }
+  const rows = (frozen.range?.row_focus ?? 0) + 1;
+  const columns = (frozen.range?.column_focus ?? 0) + 1;
+  switch (frozen.type) {
+    case 'row':
+      return { rows: 1, columns: 0 };
+    case 'column':
+      return { rows: 0, columns: 1 };
+    case 'both':
+      return { rows: 1, columns: 1 };
+    case 'rangeRow':
+      return { rows, columns: 0 };
+    case 'rangeColumn':
+      return { rows: 0, columns };
+    case 'rangeBoth':
+      return { rows, columns };
+    default:
+      return { rows: 0, columns: 0 };
+  }
+}
+
+// --- Saving ------------------------------------------------------------------------------
+
+// What a cell holds: a number, boolean or string value, or a formula.
+function cellContent(cell) {
+  if (cell === null || cell === undefined) {
+    return null;
+  }
+  if (typeof cell !== 'object') {
+    return cell === '' ? null : { value: cell };
+  }
+  if (cell.f) {
+    return { formula: String(cell.f).replace(/^=/, '') };
+  }
+  const value = cell.v !== undefined && cell.v !== null ? cell.v : cell.m;
+  return value === undefined || value === null || value === '' ? null : { value };
+}
+
+function cellStyle(cell) {
+  const isObject = cell && typeof cell === 'object';
+  return {
+    bold: Boolean(isObject && cell.bl),
+    bg: (isObject && cell.bg) || null,
+    fa: (isObject && cell.ct && cell.ct.fa) || 'General',
+  };
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeRanges(sheet) {
+  return Object.values(sheet?.config?.merge || {})
+    .map((m) => XLSX.utils.encode_range({ s: { r: m.r, c: m.c }, e: { r: m.r + m.rs - 1, c: m.c + m.cs - 1 } }))
+    .sort();
+}
+
+// Write sheet models in a writable format (default .xlsx). With the bytes and models a .xlsx or
+// .xlsm file was loaded from, the original package is patched; `rebuilt` is true when that was
+// not possible and the workbook was written from scratch by SheetJS. `patchError` says why the
+// patch failed, and is null when it was not tried because sheets were added, removed or reordered.
+function writeWorkbook(sheets, source, format = 'xlsx') {
+  const info = WORKBOOK_FORMATS[format];
+  if (!info || !info.writable) {
+    throw new Error(`${info ? info.label : format} files cannot be written.`);
+  }
+  if (!info.patchable) {
+    return { buffer: buildWorkbook(sheets, format, null), rebuilt: false, patchError: null };
+  }
+  const sameSheets =
+    source &&
+    Array.isArray(source.sheets) &&
+    source.sheets.length === sheets.length &&
+    source.sheets.every((original, idx) => original.id === sheets[idx]?.id);
+  let patchError = null;
+  if (sameSheets && source.bytes) {
+    try {
+      return { buffer: patchWorkbook(source, sheets), rebuilt: false, patchError };
+    } catch (error) {
+      patchError = error.message || String(error);
+    }
+  }
+  return { buffer: buildWorkbook(sheets, format, source), rebuilt: Boolean(source && source.bytes), patchError };
+}
+
+function buildWorkbook(sheets, format, source) {
+  const workbook = XLSX.utils.book_new();
+  workbook.Workbook = { Sheets: [] };
+  (sheets || []).forEach((sheet, idx) => {
+    const ws = {};
+    let maxR = 0;
+    let maxC = 0;
+    (Array.isArray(sheet?.matrix) ? sheet.matrix : []).forEach((row, r) => {
+      (row || []).forEach((cell, c) => {
+        const content = cellContent(cell);
+        if (!content) {
+          return;
+        }
+        const { fa } = cellStyle(cell);
+        const out = content.formula !== undefined ? { t: 'n', f: content.formula } : toSheetJsValue(content.value);
+        if (fa !== 'General') {
+          out.z = fa;
+        }
+        ws[XLSX.utils.encode_cell({ r, c })] = out;
+        maxR = Math.max(maxR, r);
+        maxC = Math.max(maxC, c);
+      });
+    });
+    ws['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: maxR, c: maxC } });
+    const merges = mergeRanges(sheet);
+    if (merges.length) {
+      ws['!merges'] = merges.map((ref) => XLSX.utils.decode_range(ref));
+    }
+    Object.entries(sheet?.config?.columnlen || {}).forEach(([c, px]) => {
+      ws['!cols'] = ws['!cols'] || [];
+      ws['!cols'][Number(c)] = { wpx: px };
+    });
+    Object.entries(sheet?.config?.rowlen || {}).forEach(([r, px]) => {
+      ws['!rows'] = ws['!rows'] || [];
+      ws['!rows'][Number(r)] = { hpx: px };
+    });
+    XLSX.utils.book_append_sheet(workbook, ws, String(sheet?.name || `Sheet${idx + 1}`));
+    workbook.Workbook.Sheets.push({ Hidden: sheet?.hide ? 1 : 0 });
+  });
+  if (workbook.SheetNames.length === 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[]]), 'Sheet1');
+  }
+  if (format === 'xlsm') {
+    // Carry the VBA project over as is.
+    workbook.vbaraw = readVbaProject(source);
+  }
+  return XLSX.write(workbook, { type: 'buffer', bookType: format, cellStyles: true, bookVBA: format === 'xlsm' });
+}
+
+function readVbaProject(source) {
+  try {
+    const entry = source && source.bytes ? CFB.find(CFB.read(source.bytes, { type: 'buffer' }), '/xl/vbaProject.bin') : null;
+    return entry && entry.content ? Buffer.from(entry.content) : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function toSheetJsValue(value) {
+  if (typeof value === 'number') {
+    return { t: 'n', v: value };
+  }
+  if (typeof value === 'boolean') {
+    return { t: 'b', v: value };
+  }
+  return { t: 's', v: String(value) };
+}
+
+function patchWorkbook(source, sheets) {
+  const pkg = CFB.read(source.bytes, { type: 'buffer' });
+  const parts = sheetParts(pkg);
+  const styles = createStyleWriter(readPart(pkg, 'xl/styles.xml'));
+  let workbookXml = readPart(pkg, 'xl/workbook.xml');
+  let formulasChanged = false;
+
+  sheets.forEach((sheet, idx) => {
+    const original = source.sheets[idx];
+    const part = parts[idx];
+    if (!part || !part.path) {
+      throw new Error(`Worksheet part for "${original.name}" not found`);
+    }
+
+    let tag = part.tag;
+    if (sheet.name !== original.name) {
+      tag = setAttr(tag, 'name', sheet.name);
+    }
+    if (Boolean(sheet.hide) !== Boolean(original.hide)) {
+      tag = setAttr(tag, 'state', sheet.hide ? 'hidden' : undefined);
+    }
+    if (tag !== part.tag) {
+      workbookXml = workbookXml.replace(part.tag, () => tag);
+    }
+
+    const xml = readPart(pkg, part.path);
+    const patched = patchSheetXml(xml, original, sheet, styles);
+    if (patched.xml !== xml) {
+      writePart(pkg, part.path, patched.xml);
+    }
+    formulasChanged = formulasChanged || patched.formulasChanged;
+  });
+
+  if (styles.changed) {
+    writePart(pkg, 'xl/styles.xml', styles.toXml());
+  }
+  if (formulasChanged) {
+    // Formulas are written without cached results: have Excel recalculate on open and drop the
+    // calculation chain, which would otherwise list cells that no longer hold formulas.
+    workbookXml = /<calcPr\b/.test(workbookXml)
+      ? workbookXml.replace(/<calcPr\b[^>]*?\/?>/, (calcPr) => setAttr(calcPr, 'fullCalcOnLoad', '1'))
+      : workbookXml.replace(/<\/workbook>/, '<calcPr fullCalcOnLoad="1"/></workbook>');
+    removeCalcChain(pkg);
+  }
+  writePart(pkg, 'xl/workbook.xml', workbookXml);
+
+  return Buffer.from(CFB.write(pkg, { fileType: 'zip', type: 'buffer', compression: true }));
+}
+
+function removeCalcChain(pkg) {
+  if (!CFB.find(pkg, '/xl/calcChain.xml')) {
+    return;
+  }
+  CFB.utils.cfb_del(pkg, '/xl/calcChain.xml');
+  const rels = readPart(pkg, 'xl/_rels/workbook.xml.rels');
+  if (rels) {
+    writePart(pkg, 'xl/_rels/workbook.xml.rels', rels.replace(/<Relationship\b[^>]*Target="[^"]*calcChain\.xml"[^>]*\/>/, ''));
+  }
+  const types = readPart(pkg, '[Content_Types].xml');
+  if (types) {
+    writePart(pkg, '[Content_Types].xml', types.replace(/<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*\/>/, ''));
+  }
+}
+
+// Rewrite the parts of one worksheet's XML that differ between the loaded and edited models.
+function patchSheetXml(xml, original, sheet, styles) {
+  let out = xml;
+  let formulasChanged = false;
+  const before = original.matrix || [];
+  const after = sheet.matrix || [];
+
+  const changed = [];
+  const rowCount = Math.max(before.length, after.length);
+  for (let r = 0; r < rowCount; r += 1) {
+    const colCount = Math.max((before[r] || []).length, (after[r] || []).length);
+    for (let c = 0; c < colCount; c += 1) {
+      const a = before[r]?.[c];
+      const b = after[r]?.[c];
+      if (!sameJson(cellContent(a), cellContent(b)) || !sameJson(cellStyle(a), cellStyle(b))) {
+        changed.push({ r, c });
+      }
+    }
+  }
+
+  const beforeRows = original.config?.rowlen || {};
+  const afterRows = sheet.config?.rowlen || {};
+  const resizedRows = new Set(
+    [...Object.keys(beforeRows), ...Object.keys(afterRows)].filter((r) => beforeRows[r] !== afterRows[r]).map(Number),
+  );
+
+  if (changed.length || resizedRows.size) {
+    const result = patchSheetData(out, changed, before, after, afterRows, resizedRows, styles);
+    out = result.xml;
+    formulasChanged = result.formulasChanged;
+  }
+
+  if (!sameJson(original.config?.columnlen || {}, sheet.config?.columnlen || {})) {
+    out = patchColumnWidths(out, original.config?.columnlen || {}, sheet.config?.columnlen || {});
+  }
+
+  const merges = mergeRanges(sheet);
+  if (!sameJson(mergeRanges(original), merges)) {
+    const mergeXml = merges.length
+      ? `<mergeCells count="${merges.length}">${merges.map((ref) => `<mergeCell ref="${ref}"/>`).join('')}</mergeCells>`
+      : '';
+    out = replaceWorksheetElement(out, 'mergeCells', mergeXml);
+  }
+
+  const split = frozenSplit(sheet.frozen);
+  if (!sameJson(frozenSplit(original.frozen), split)) {
+    out = patchFrozenPane(out, split);
+  }
+
+  return { xml: out, formulasChanged };
+}
+
+function patchSheetData(xml, changed, before, after, rowHeights, resizedRows, styles) {
+  const dataMatch = /<sheetData\b[^>]*?(?:\/>|>([\s\S]*?)<\/sheetData>)/.exec(xml);
+  if (!dataMatch) {
+    throw new Error('Worksheet has no sheetData');
+  }
+
+  // Rows by index; each keeps its original XML until one of its cells changes.
+  const rows = new Map();
+  (dataMatch[1] || '').match(elementPattern('row', 'g'))?.forEach((rowXml) => {
+    const open = /^<row\b[^>]*?\/?>/.exec(rowXml)[0];
+    const r = Number(getAttr(open, 'r')) - 1;
+    const cells = new Map();
+    (rowXml.match(elementPattern('c', 'g')) || []).forEach((cellXml) => {
+      cells.set(XLSX.utils.decode_cell(getAttr(cellXml, 'r')).c, cellXml);
+    });
+    rows.set(r, { open: open.replace(/\/>$/, '>'), cells, raw: rowXml, touched: false });
+  });
+  const rowAt = (r) => {
+    if (!rows.has(r)) {
+      rows.set(r, { open: `<row r="${r + 1}">`, cells: new Map(), raw: '', touched: true });
+    }
+    return rows.get(r);
+  };
+
+  // A shared formula lives in its first cell; rewriting that cell alone would break the other
+  // cells of the group, so they are all rewritten with their own (expanded) formula.
+  const targets = new Map(changed.map((cell) => [`${cell.r},${cell.c}`, cell]));
+  const sharedGroups = new Set();
+  changed.forEach(({ r, c }) => {
+    const cellXml = rows.get(r)?.cells.get(c) || '';
+    const shared = /<f\b[^>]*\bt="shared"[^>]*>/.exec(cellXml);
+    if (shared && getAttr(shared[0], 'ref')) {
+      sharedGroups.add(getAttr(shared[0], 'si'));
+    }
+  });
+  if (sharedGroups.size) {
+    rows.forEach((row, r) => {
+      row.cells.forEach((cellXml, c) => {
+        const shared = /<f\b[^>]*\bt="shared"[^>]*>/.exec(cellXml);
+        if (shared && sharedGroups.has(getAttr(shared[0], 'si'))) {
+          targets.set(`${r},${c}`, { r, c });
+        }
+      });
+    });
+  }
+
+  let formulasChanged = false;
+  targets.forEach(({ r, c }) => {
+    const row = rowAt(r);
+    const previousXml = row.cells.get(c) || '';
+    const a = before[r]?.[c];
+    const b = after[r]?.[c];
+    let styleIndex = previousXml ? getAttr(previousXml, 's') : undefined;
+    if (!sameJson(cellStyle(a), cellStyle(b))) {
+      styleIndex = styles.restyle(styleIndex, cellStyle(b));
+    }
+    const content = cellContent(b);
+    formulasChanged = formulasChanged || /<f\b/.test(previousXml) || Boolean(content && content.formula !== undefined);
+    const cellXml = buildCellXml(XLSX.utils.encode_cell({ r, c }), styleIndex, content);
+    if (cellXml) {
+      row.cells.set(c, cellXml);
+    } else {
+      row.cells.delete(c);
+    }
+    row.touched = true;
+  });
+
+  resizedRows.forEach((r) => {
+    const row = rowAt(r);
+    const px = rowHeights[r];
+    row.open = setAttr(row.open, 'ht', px ? String(Math.round(px * 0.75 * 100) / 100) : undefined);
+    row.open = setAttr(row.open, 'customHeight', px ? '1' : undefined);
+    row.touched = true;
+  });
+
+  const rowsXml = [...rows.keys()]
+    .sort((x, y) => x - y)
+    .map((r) => {
+      const row = rows.get(r);
+      if (!row.touched) {
+        return row.raw;
+      }
+      // Cells may now reach beyond the original span hint; Excel recomputes it.
+      const open = setAttr(row.open, 'spans', undefined);
+      const cells = [...row.cells.keys()].sort((x, y) => x - y).map((c) => row.cells.get(c));
+      return `${open}${cells.join('')}</row>`;
+    })
+    .join('');
+
+  const dataOpen = /^<sheetData\b[^>]*?/.exec(dataMatch[0])[0].replace(/\/$/, '');
+  const dataXml = `${dataOpen}>${rowsXml}</sheetData>`;
+  return {
+    xml: xml.slice(0, dataMatch.index) + dataXml + xml.slice(dataMatch.index + dataMatch[0].length),
+    formulasChanged,
+  };
+}
+
+// Formulas are written without a cached value; Excel computes it on open.
+function buildCellXml(ref, styleIndex, content) {
+  const attrs = `r="${ref}"${styleIndex !== undefined ? ` s="${styleIndex}"` : ''}`;
+  if (!content) {
+    // Keep formatted empty cells (borders, fills) in place.
+    return styleIndex !== undefined && styleIndex !== '0' ? `<c ${attrs}/>` : null;
+  }
+  if (content.formula !== undefined) {
+    return `<c ${attrs}><f>${escapeXml(content.formula)}</f></c>`;
+  }
+  const { value } = content;
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c ${attrs}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c ${attrs} t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c ${attrs} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function pxToColumnWidth(px) {
+  return Math.round((px / MAX_DIGIT_WIDTH) * 256) / 256;
+}
+
+function patchColumnWidths(xml, before, after) {
+  // Expand the existing <col min max .../> ranges to one attribute set per column.
+  const columns = new Map();
+  blockItems(xml, 'cols', 'col').forEach((colXml) => {
+    const min = Number(getAttr(colXml, 'min'));
+    const max = Number(getAttr(colXml, 'max'));
+    for (let c = min; c <= max; c += 1) {
+      columns.set(c - 1, colXml);
+    }
+  });
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    const c = Number(key);
+    if (before[key] === after[key]) {
+      return;
+    }
+    let colXml = columns.get(c) || '<col/>';
+    colXml = setAttr(colXml, 'width', after[key] ? String(pxToColumnWidth(after[key])) : undefined);
+    colXml = setAttr(colXml, 'customWidth', after[key] ? '1' : undefined);
+    columns.set(c, colXml);
+  });
+
+  // Merge neighbouring columns with identical attributes back into ranges.
+  const strip = (colXml) => setAttr(setAttr(colXml, 'min', undefined), 'max', undefined);
+  const ranges = [];
+  [...columns.keys()]
+    .sort((x, y) => x - y)
+    .forEach((c) => {
+      const attrs = strip(columns.get(c));
+      if (!/\s\w+="/.test(attrs)) {
+        return;
+      }
+      const last = ranges[ranges.length - 1];
+      if (last && last.max === c - 1 && last.attrs === attrs) {
+        last.max = c;
+      } else {
+        ranges.push({ min: c, max: c, attrs });
+      }
+    });
+
+  const colsXml = ranges.length
+    ? `<cols>${ranges
+        .map((range) => setAttr(setAttr(range.attrs, 'min', String(range.min + 1)), 'max', String(range.max + 1)))
+        .join('')}</cols>`
+    : '';
+  return replaceWorksheetElement(xml, 'cols', colsXml);
+}
+
+function patchFrozenPane(xml, split) {
+  let out = xml.replace(/<pane\b[^>]*\/>/g, '').replace(/<selection\b[^>]*\bpane="[^"]*"[^>]*\/>/g, '');
+  if (!split.rows && !split.columns) {
+    return out;
+  }
+  const activePane = split.rows && split.columns ? 'bottomRight' : split.rows ? 'bottomLeft' : 'topRight';
+  const pane =
+    `<pane${split.columns ? ` xSplit="${split.columns}"` : ''}${split.rows ? ` ySplit="${split.rows}"` : ''}` +
+    ` topLeftCell="${XLSX.utils.encode_cell({ r: split.rows, c: split.columns })}" activePane="${activePane}" state="frozen"/>`;
+
+  const view = /<sheetView\b[^>]*?(\/?)>/.exec(out);
+  if (!view) {
+    return replaceWorksheetElement(out, 'sheetViews', `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>`);
+  }
+  const replacement = view[1] ? `${view[0].replace(/\s*\/>$/, '>')}${pane}</sheetView>` : `${view[0]}${pane}`;
+  out = out.slice(0, view.index) + replacement + out.slice(view.index + view[0].length);
+  return out;
+}
+
+// Adds cell formats to styles.xml for cells whose bold, fill or number format changed.
+function createStyleWriter(stylesXml) {
+  const xml = stylesXml || '';
+  const fonts = blockItems(xml, 'fonts', 'font');
+  const fills = blockItems(xml, 'fills', 'fill');
+  const xfs = blockItems(xml, 'cellXfs', 'xf');
+  const numFmts = blockItems(xml, 'numFmts', 'numFmt');
+  // SheetJS's format table is shared and also collects custom formats of every workbook it read,
+  // so only the built-in ids are taken from it.
+  const formatIds = new Map();
+  Object.entries(XLSX.SSF.get_table()).forEach(([id, code]) => {
+    if (Number(id) < BUILTIN_FORMAT_LIMIT && !formatIds.has(code)) {
+      formatIds.set(code, Number(id));
+    }
+  });
+  numFmts.forEach((numFmt) => formatIds.set(getAttr(numFmt, 'formatCode'), Number(getAttr(numFmt, 'numFmtId'))));
+  const cache = new Map();
+
+  const writer = {
+    changed: false,
+    restyle(baseIndex, style) {
+      const key = `${baseIndex || 0}|${style.bold}|${style.bg}|${style.fa}`;
+      if (cache.has(key)) {
+        return cache.get(key);
+      }
+      let xf = xfs[Number(baseIndex || 0)] || '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>';
+
+      const fontId = Number(getAttr(xf, 'fontId') || 0);
+      if (isBoldFont(fonts[fontId]) !== style.bold) {
+        const base = fonts[fontId] || '<font/>';
+        const font = style.bold
+          ? base.replace(/^<font\b([^>]*?)\s*(\/?)>/, (m, attrs, slash) => `<font${attrs}><b/>${slash ? '</font>' : ''}`)
+          : base.replace(/<b\b[^>]*\/>/g, '');
+        fonts.push(font);
+        xf = setAttr(setAttr(xf, 'fontId', String(fonts.length - 1)), 'applyFont', '1');
+      }
+
+      const fillXml = style.bg
+        ? `<fill><patternFill patternType="solid"><fgColor rgb="FF${style.bg.replace(/^#/, '').toUpperCase()}"/><bgColor indexed="64"/></patternFill></fill>`
+        : null;
+      const currentFill = fills[Number(getAttr(xf, 'fillId') || 0)] || '';
+      const currentBg = /patternType="solid"/.test(currentFill) ? (/<fgColor\b[^>]*rgb="(?:[0-9A-Fa-f]{2})?([0-9A-Fa-f]{6})"/.exec(currentFill) || [])[1] : null;
+      if ((currentBg ? `#${currentBg}`.toLowerCase() : null) !== (style.bg ? style.bg.toLowerCase() : null)) {
+        if (fillXml) {
+          fills.push(fillXml);
+          xf = setAttr(xf, 'fillId', String(fills.length - 1));
+        } else {
+          xf = setAttr(xf, 'fillId', '0');
+        }
+        xf = setAttr(xf, 'applyFill', '1');
+      }
+
+      let numFmtId = formatIds.get(style.fa);
+      if (numFmtId === undefined) {
+        numFmtId = Math.max(163, ...numFmts.map((numFmt) => Number(getAttr(numFmt, 'numFmtId')))) + 1;
+        numFmts.push(`<numFmt numFmtId="${numFmtId}" formatCode="${escapeXml(style.fa)}"/>`);
+        formatIds.set(style.fa, numFmtId);
+      }
+      if (Number(getAttr(xf, 'numFmtId') || 0) !== numFmtId) {
+        xf = setAttr(setAttr(xf, 'numFmtId', String(numFmtId)), 'applyNumberFormat', '1');
+      }
+
+      xfs.push(xf);
+      const index = String(xfs.length - 1);
+      cache.set(key, index);
+      writer.changed = true;
+      return index;
+    },
+    toXml() {
+      const block = (name, items) => `<${name} count="${items.length}">${items.join('')}</${name}>`;
+      let out = xml;
+      const replaceBlock = (name, items) => {
+        const pattern = new RegExp(`<${name}\\b[^>]*?(?:/>|>[\\s\\S]*?</${name}>)`);
+        out = pattern.test(out)
+          ? out.replace(pattern, () => block(name, items))
+          : out.replace(/(<styleSheet\b[^>]*>)/, (m) => `${m}${block(name, items)}`);
+      };
+      replaceBlock('cellXfs', xfs);
+      replaceBlock('fills', fills);
+      replaceBlock('fonts', fonts);
+      if (numFmts.length) {
+        replaceBlock('numFmts', numFmts);
+      }
+      return out;
+    },
+  };
+  return writer;
+}
+
+module.exports = {
+  WORKBOOK_FORMATS,
+  workbookFormat,
+  readWorkbook,
+  writeWorkbook,
+};